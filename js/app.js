@@ -6,6 +6,55 @@
 // Track auth state
 let authReady = false;
 
+// Setup of the pass-and-play game on this device (null during online games)
+let localGameOptions = null;
+
+// Player count limits for pass-and-play (same as online games)
+const LOCAL_MIN_PLAYERS = 2;
+const LOCAL_MAX_PLAYERS = 7;
+
+// Profile screen: lifetime stats in display order (see FirebaseService.PROFILE_STAT_FIELDS)
+const PROFILE_STAT_LABELS = [
+    { key: 'gamesPlayed', label: 'Games Played' },
+    { key: 'wins', label: 'Wins' },
+    { key: 'ties', label: 'Ties' },
+    { key: 'boxesCaptured', label: 'Boxes Captured' },
+    { key: 'goldenSquares', label: 'Golden Squares' },
+    { key: 'penaltySquares', label: 'Penalty Squares Hit' },
+    { key: 'rouletteTriggered', label: 'Roulette Triggered' },
+    { key: 'rouletteSuffered', label: 'Roulette Suffered' }
+];
+
+// Stops the Browse Games list listener (null when not on that screen)
+let unsubscribeFromBrowse = null;
+
+// Profile last shown on the profile screen (guest stats offered for merging on sign-in)
+let loadedProfile = null;
+
+// Friendly messages for Firebase Auth errors on the profile screen
+const ACCOUNT_ERROR_MESSAGES = {
+    'auth/invalid-email': 'That email address is not valid',
+    'auth/weak-password': 'Password must be at least 6 characters',
+    'auth/wrong-password': 'Wrong email or password',
+    'auth/user-not-found': 'Wrong email or password',
+    'auth/invalid-credential': 'Wrong email or password',
+    'auth/invalid-login-credentials': 'Wrong email or password',
+    'auth/too-many-requests': 'Too many attempts - please try again later',
+    'auth/operation-not-allowed': 'Email sign-in is not enabled for this game server'
+};
+
+// Lobby settings panel: label and value format for each RulesEngine setting
+const SETTING_FIELDS = [
+    { key: 'maxPlayers', label: 'Max Players' },
+    { key: 'goldenSquares', label: 'Golden Squares' },
+    { key: 'penaltySquares', label: 'Penalty Squares' },
+    { key: 'sabotageEnabled', label: 'Sabotage Roulette' },
+    { key: 'glowDuration', label: 'Glow Time', seconds: true },
+    { key: 'glowInterval', label: 'Time Between Glows', seconds: true },
+    { key: 'missPenaltyDuration', label: 'Miss Penalty', seconds: true },
+    { key: 'anchorTimeoutDuration', label: 'Anchor Timeout', seconds: true }
+];
+
 // Wait for DOM to be ready
 document.addEventListener('DOMContentLoaded', async function() {
     console.log('Dots and Lines - App initialized');
@@ -16,7 +65,7 @@ document.addEventListener('DOMContentLoaded', async function() {
     if (joinCode) {
         const gameCodeInput = document.getElementById('game-code-input');
         if (gameCodeInput) {
-            gameCodeInput.value = joinCode.toUpperCase().slice(0, 6);
+            gameCodeInput.value = GameCodes.normalizeCode(joinCode).slice(0, GameCodes.MAX_CODE_LENGTH);
         }
         // Clear the URL parameter without refreshing
         window.history.replaceState({}, document.title, window.location.pathname);
@@ -25,15 +74,34 @@ document.addEventListener('DOMContentLoaded', async function() {
     // Show menu screen (landing page)
     showScreen('menu');
 
+    // Cache the app for offline use and installation
+    registerServiceWorker();
+
     // Set up menu screen (buttons start disabled)
     setupMenuScreen();
 
     // Set up lobby screen
     setupLobbyScreen();
 
+    // Set up local (pass-and-play) setup screen
+    setupLocalScreen();
+
+    // Set up profile screen
+    setupProfileScreen();
+
     // Set up game over screen
     setupGameOverScreen();
 
+    // Set up replay viewer controls
+    if (typeof ReplayService !== 'undefined') {
+        ReplayService.setupControls();
+    }
+
+    // Set up the chat drawer (shown once in an online game)
+    if (typeof ChatService !== 'undefined') {
+        ChatService.setupControls();
+    }
+
     // Initialize canvas and board rendering (for when game screen is shown)
     if (typeof initCanvas === 'function') {
         initCanvas();
@@ -42,15 +110,25 @@ document.addEventListener('DOMContentLoaded', async function() {
     }
 
     // Initialize lobby (Firebase + Auth) - do this after UI is set up
+    // Offline (or the Firebase SDK failed to load): only Play Locally is available
     if (typeof LobbyService !== 'undefined') {
-        const result = await LobbyService.init();
-        if (result.success || result === true) {
-            console.log('Firebase and Auth ready');
-            authReady = true;
-            enableGameButtons();
+        if (isOffline()) {
+            showOfflineMode();
         } else {
-            console.error('Failed to initialize Firebase/Auth:', result.error);
-            showAuthError(result.error || 'Unknown error');
+            const result = await LobbyService.init();
+            if (result.success || result === true) {
+                console.log('Firebase and Auth ready');
+                authReady = true;
+                enableGameButtons();
+
+                // Offer to go back into a game interrupted by a reload or app switch
+                await offerRejoin();
+            } else if (isOffline()) {
+                showOfflineMode();
+            } else {
+                console.error('Failed to initialize Firebase/Auth:', result.error);
+                showAuthError(result.error || 'Unknown error');
+            }
         }
     }
 
@@ -68,6 +146,55 @@ document.addEventListener('DOMContentLoaded', async function() {
     }
 });
 
+/**
+ * Register the service worker (sw.js) that precaches the app shell
+ * A new version takes over in the background; the running page keeps its
+ * loaded scripts and the update is used from the next launch
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    // First install also takes control; only later changes are updates
+    const hadController = !!navigator.serviceWorker.controller;
+    navigator.serviceWorker.addEventListener('controllerchange', function() {
+        if (!hadController) return;
+        showNotification('Update downloaded - it will load next time you open the game', 4000);
+    });
+
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        console.log('Service worker registered:', registration.scope);
+    }).catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
+}
+
+/**
+ * Ask to rejoin the saved game (if it is still running) and rejoin it
+ */
+async function offerRejoin() {
+    if (typeof LobbyService === 'undefined') return;
+
+    const game = await LobbyService.getResumableGame();
+    if (!game) return;
+
+    const rejoin = await showPrompt(`Rejoin your game ${game.code}?`, {
+        confirmText: 'Rejoin',
+        cancelText: 'Not Now'
+    });
+    if (!rejoin) {
+        LobbyService.forgetSavedGame();
+        return;
+    }
+
+    const result = await LobbyService.joinGame(game.code, LobbyService.getSavedName());
+    if (result.success) {
+        console.log('Rejoined game:', result.gameId);
+        showScreen(result.status === 'active' ? 'game' : 'lobby');
+    } else {
+        alert('Failed to rejoin game: ' + (result.error || 'Unknown error'));
+    }
+}
+
 /**
  * Enable game buttons once auth is ready
  */
@@ -86,9 +213,59 @@ function enableGameButtons() {
         joinGameBtn.disabled = false;
         joinGameBtn.textContent = 'Join Game';
     }
+    const watchGameBtn = document.getElementById('watch-game-btn');
+    if (watchGameBtn) {
+        watchGameBtn.disabled = false;
+    }
+    ['quick-match-btn', 'browse-games-btn'].forEach(id => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.disabled = false;
+        }
+    });
+    const profileBtn = document.getElementById('profile-btn');
+    if (profileBtn) {
+        profileBtn.disabled = false;
+    }
     console.log('Game buttons enabled - auth ready');
 }
 
+/**
+ * Check if online play is unavailable
+ * @returns {boolean} True if the browser is offline or the Firebase SDK did not load
+ */
+function isOffline() {
+    return typeof firebase === 'undefined' || !navigator.onLine;
+}
+
+/**
+ * Show that online play is unavailable (Play Locally still works)
+ */
+function showOfflineMode() {
+    const createGameBtn = document.getElementById('create-game-btn');
+    const joinGameBtn = document.getElementById('join-game-btn');
+
+    if (createGameBtn) {
+        createGameBtn.disabled = true;
+        createGameBtn.textContent = 'Offline';
+    }
+    if (joinGameBtn) {
+        joinGameBtn.disabled = true;
+        joinGameBtn.textContent = 'Offline';
+    }
+    const watchGameBtn = document.getElementById('watch-game-btn');
+    if (watchGameBtn) {
+        watchGameBtn.disabled = true;
+    }
+    ['quick-match-btn', 'browse-games-btn'].forEach(id => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.disabled = true;
+        }
+    });
+    console.log('Offline - online play disabled');
+}
+
 /**
  * Show auth error to user
  * @param {string} errorMessage - The error message to display
@@ -124,7 +301,12 @@ function setupMenuScreen() {
     const playerNameInput = document.getElementById('player-name');
     const createGameBtn = document.getElementById('create-game-btn');
     const joinGameBtn = document.getElementById('join-game-btn');
+    const watchGameBtn = document.getElementById('watch-game-btn');
     const gameCodeInput = document.getElementById('game-code-input');
+    const quickMatchBtn = document.getElementById('quick-match-btn');
+    const browseGamesBtn = document.getElementById('browse-games-btn');
+    const browseBackBtn = document.getElementById('browse-back-btn');
+    const playLocalBtn = document.getElementById('play-local-btn');
 
     // Disable buttons until auth is ready
     if (createGameBtn) {
@@ -204,7 +386,7 @@ function setupMenuScreen() {
             }
 
             let playerName = playerNameInput ? playerNameInput.value.trim() : '';
-            const gameCode = gameCodeInput ? gameCodeInput.value.trim().toUpperCase() : '';
+            const gameCode = gameCodeInput ? GameCodes.normalizeCode(gameCodeInput.value) : '';
 
             if (!playerName) {
                 alert('Please enter your name');
@@ -214,8 +396,8 @@ function setupMenuScreen() {
             // Enforce 12-character limit
             playerName = playerName.slice(0, 12);
 
-            if (!gameCode || gameCode.length !== 6) {
-                alert('Please enter a valid 6-character game code');
+            if (!GameCodes.isValidCode(gameCode)) {
+                alert('Please enter a valid game code');
                 return;
             }
 
@@ -230,7 +412,8 @@ function setupMenuScreen() {
                 const result = await LobbyService.joinGame(gameCode, playerName);
                 if (result.success) {
                     console.log('Joined game:', result.gameId);
-                    showScreen('lobby');
+                    // Members of a started game go straight back to the board
+                    showScreen(result.status === 'active' ? 'game' : 'lobby');
                 } else {
                     alert('Failed to join game: ' + (result.error || 'Unknown error'));
                 }
@@ -242,6 +425,77 @@ function setupMenuScreen() {
         });
     }
 
+    // Watch Game button - follow a game without taking a seat
+    if (watchGameBtn) {
+        watchGameBtn.addEventListener('click', async function() {
+            if (!authReady) {
+                alert('Still connecting to server. Please wait...');
+                return;
+            }
+
+            const playerName = (playerNameInput ? playerNameInput.value.trim() : '').slice(0, 12) || 'Spectator';
+            const gameCode = gameCodeInput ? GameCodes.normalizeCode(gameCodeInput.value) : '';
+            if (!GameCodes.isValidCode(gameCode)) {
+                alert('Please enter a valid game code');
+                return;
+            }
+
+            watchGameBtn.disabled = true;
+            watchGameBtn.textContent = 'Opening...';
+
+            if (typeof LobbyService !== 'undefined') {
+                const result = await LobbyService.watchGame(gameCode, playerName);
+                if (result.success) {
+                    showScreen(result.status === 'active' ? 'game' : 'lobby');
+                } else {
+                    alert('Failed to watch game: ' + (result.error || 'Unknown error'));
+                }
+            }
+
+            watchGameBtn.disabled = false;
+            watchGameBtn.textContent = 'Watch Game';
+        });
+    }
+
+    // Quick Match button - join the fullest public lobby, or host a public one
+    if (quickMatchBtn) {
+        quickMatchBtn.addEventListener('click', async function() {
+            if (!authReady) {
+                alert('Still connecting to server. Please wait...');
+                return;
+            }
+
+            const playerName = getMenuPlayerName();
+            if (!playerName) return;
+
+            quickMatchBtn.disabled = true;
+            quickMatchBtn.textContent = 'Finding...';
+
+            const result = await LobbyService.quickMatch(playerName);
+            if (result.success) {
+                if (result.created) {
+                    showNotification('No open games - hosting a public one');
+                }
+                showScreen(result.status === 'active' ? 'game' : 'lobby');
+            } else {
+                alert('Quick Match failed: ' + (result.error || 'Unknown error'));
+            }
+
+            quickMatchBtn.disabled = false;
+            quickMatchBtn.textContent = 'Quick Match';
+        });
+    }
+
+    // Browse Games button - list of public lobbies waiting for players
+    if (browseGamesBtn) {
+        browseGamesBtn.addEventListener('click', openBrowseGames);
+    }
+    if (browseBackBtn) {
+        browseBackBtn.addEventListener('click', function() {
+            showScreen('menu');
+        });
+    }
+
     // Auto-uppercase game code input and disable Host Game when code is entered
     if (gameCodeInput) {
         gameCodeInput.addEventListener('input', function() {
@@ -261,6 +515,224 @@ function setupMenuScreen() {
             createGameBtn.disabled = true;
         }
     }
+
+    // Play Locally button - pass-and-play on this device, works offline
+    if (playLocalBtn) {
+        playLocalBtn.addEventListener('click', function() {
+            renderLocalPlayerInputs();
+            showScreen('local');
+        });
+    }
+}
+
+/**
+ * Get the name typed on the menu, alerting if it's empty
+ * @returns {string|null} Name (12 characters at most), or null if missing
+ */
+function getMenuPlayerName() {
+    const playerNameInput = document.getElementById('player-name');
+    const playerName = playerNameInput ? playerNameInput.value.trim().slice(0, 12) : '';
+    if (!playerName) {
+        alert('Please enter your name');
+        return null;
+    }
+    return playerName;
+}
+
+/**
+ * Show the Browse Games screen and keep its list live
+ */
+function openBrowseGames() {
+    if (!authReady) {
+        alert('Still connecting to server. Please wait...');
+        return;
+    }
+
+    stopBrowsingGames();
+    renderPublicGames([]);
+    showScreen('browse');
+    unsubscribeFromBrowse = FirebaseService.subscribeToPublicLobbies(renderPublicGames);
+}
+
+/**
+ * Stop listening to the Browse Games list
+ */
+function stopBrowsingGames() {
+    if (unsubscribeFromBrowse) {
+        unsubscribeFromBrowse();
+        unsubscribeFromBrowse = null;
+    }
+}
+
+/**
+ * Describe a public lobby's board and rules, e.g. "Square 5×5 · Party · 30s per Move"
+ * @param {object} lobby - Entry from FirebaseService.subscribeToPublicLobbies
+ * @returns {string}
+ */
+function describePublicGame(lobby) {
+    const preset = RulesEngine.RULE_PRESETS.find(p => p.id === lobby.preset) || RulesEngine.CUSTOM_PRESET;
+    const parts = [
+        `${BoardLayouts.getLayout(lobby.layout).name} ${lobby.boardWidth}×${lobby.boardHeight}`,
+        preset.name
+    ];
+    if (lobby.turnTimer) {
+        parts.push(RulesEngine.getTurnTimerOption(lobby.turnTimer).name);
+    }
+    if (lobby.series) {
+        parts.push(Series.getSeriesOption(lobby.series).name);
+    }
+    return parts.join(' · ');
+}
+
+/**
+ * Show the open public lobbies, fullest first
+ * @param {Array<object>} lobbies - From FirebaseService.subscribeToPublicLobbies
+ */
+function renderPublicGames(lobbies) {
+    const containerEl = document.getElementById('public-games-container');
+    const emptyEl = document.getElementById('public-games-empty');
+    if (!containerEl) return;
+
+    containerEl.innerHTML = '';
+    if (emptyEl) {
+        emptyEl.hidden = lobbies.length > 0;
+    }
+
+    lobbies.forEach(lobby => {
+        const item = document.createElement('div');
+        item.className = 'public-game-item';
+
+        const info = document.createElement('div');
+        info.className = 'public-game-info';
+        const title = document.createElement('strong');
+        title.textContent = `${lobby.hostName}'s game (${lobby.playerCount}/${lobby.maxPlayers})`;
+        const details = document.createElement('span');
+        details.className = 'public-game-details';
+        details.textContent = describePublicGame(lobby);
+        info.appendChild(title);
+        info.appendChild(details);
+
+        const joinBtn = document.createElement('button');
+        joinBtn.className = 'btn-primary';
+        joinBtn.textContent = 'Join';
+        joinBtn.addEventListener('click', async function() {
+            const playerName = getMenuPlayerName();
+            if (!playerName) return;
+
+            joinBtn.disabled = true;
+            const result = await LobbyService.joinGame(lobby.code, playerName);
+            if (result.success) {
+                showScreen(result.status === 'active' ? 'game' : 'lobby');
+            } else {
+                joinBtn.disabled = false;
+                alert('Failed to join game: ' + (result.error || 'Unknown error'));
+            }
+        });
+
+        item.appendChild(info);
+        item.appendChild(joinBtn);
+        containerEl.appendChild(item);
+    });
+}
+
+/**
+ * Fill a layout picker and a board size picker with the available options
+ * @param {HTMLSelectElement} layoutSelect - Layout picker
+ * @param {HTMLSelectElement} boardSizeSelect - Size picker (boxes on the longest side)
+ */
+function populateBoardPickers(layoutSelect, boardSizeSelect) {
+    BoardLayouts.LAYOUTS.forEach(layout => {
+        const option = document.createElement('option');
+        option.value = layout.id;
+        option.textContent = layout.name;
+        layoutSelect.appendChild(option);
+    });
+    layoutSelect.value = BoardLayouts.DEFAULT_LAYOUT;
+
+    for (let boxes = BoardLayouts.MIN_BOARD_BOXES; boxes <= BoardLayouts.MAX_BOARD_BOXES; boxes++) {
+        const option = document.createElement('option');
+        option.value = boxes;
+        option.textContent = `Size ${boxes}`;
+        boardSizeSelect.appendChild(option);
+    }
+    boardSizeSelect.value = BoardLayouts.DEFAULT_BOARD_BOXES;
+}
+
+/**
+ * Build the one-tap rule preset buttons (Classic, Party, Chaos)
+ */
+function setupPresetButtons() {
+    const container = document.getElementById('preset-buttons');
+    if (!container) return;
+
+    RulesEngine.RULE_PRESETS.forEach(preset => {
+        const button = document.createElement('button');
+        button.className = 'btn-secondary preset-btn';
+        button.dataset.preset = preset.id;
+        button.textContent = preset.name;
+        button.setAttribute('aria-pressed', 'false');
+
+        button.addEventListener('click', async function() {
+            if (typeof LobbyService === 'undefined') return;
+            const result = await LobbyService.setGameSettings(RulesEngine.getPresetSettings(preset.id));
+            if (!result.success) {
+                alert('Failed to change rules: ' + (result.error || 'Unknown error'));
+            }
+        });
+
+        container.appendChild(button);
+    });
+}
+
+/**
+ * Build one picker per rule setting in the lobby settings panel
+ * Ranges come from RulesEngine.SETTINGS_LIMITS
+ */
+function setupSettingsFields() {
+    const container = document.getElementById('settings-fields');
+    if (!container) return;
+
+    SETTING_FIELDS.forEach(field => {
+        const row = document.createElement('div');
+        row.className = 'lobby-options';
+
+        const label = document.createElement('label');
+        label.htmlFor = `setting-${field.key}`;
+        label.textContent = field.label;
+
+        const select = document.createElement('select');
+        select.id = `setting-${field.key}`;
+
+        const limits = RulesEngine.SETTINGS_LIMITS[field.key];
+        const values = limits ? [] : [true, false];
+        for (let value = limits ? limits.min : 0; limits && value <= limits.max; value += limits.step) {
+            values.push(value);
+        }
+        values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = String(value);
+            if (typeof value === 'boolean') {
+                option.textContent = value ? 'On' : 'Off';
+            } else {
+                option.textContent = field.seconds ? `${value / 1000}s` : String(value);
+            }
+            select.appendChild(option);
+        });
+        select.value = String(RulesEngine.DEFAULT_SETTINGS[field.key]);
+
+        select.addEventListener('change', async function() {
+            if (typeof LobbyService === 'undefined') return;
+            const value = limits ? parseInt(select.value, 10) : select.value === 'true';
+            const result = await LobbyService.setGameSettings({ [field.key]: value });
+            if (!result.success) {
+                alert('Failed to change settings: ' + (result.error || 'Unknown error'));
+            }
+        });
+
+        row.appendChild(label);
+        row.appendChild(select);
+        container.appendChild(row);
+    });
 }
 
 /**
@@ -271,6 +743,104 @@ function setupLobbyScreen() {
     const shareCodeBtn = document.getElementById('share-code-btn');
     const startGameBtn = document.getElementById('start-game-btn');
     const leaveLobbyBtn = document.getElementById('leave-lobby-btn');
+    const layoutSelect = document.getElementById('layout-select');
+    const boardSizeSelect = document.getElementById('board-size-select');
+
+    // Board layout and size pickers (host only; size counts boxes on the longest side)
+    if (layoutSelect && boardSizeSelect) {
+        populateBoardPickers(layoutSelect, boardSizeSelect);
+
+        const onBoardChange = async function() {
+            if (typeof LobbyService === 'undefined') return;
+            const result = await LobbyService.setBoardLayout(
+                layoutSelect.value,
+                parseInt(boardSizeSelect.value, 10)
+            );
+            if (!result.success) {
+                alert('Failed to change board: ' + (result.error || 'Unknown error'));
+            }
+        };
+        layoutSelect.addEventListener('change', onBoardChange);
+        boardSizeSelect.addEventListener('change', onBoardChange);
+    }
+
+    // Rule presets and individual settings (host only)
+    setupPresetButtons();
+    setupSettingsFields();
+
+    // Turn timer picker (host only)
+    const turnTimerSelect = document.getElementById('turn-timer-select');
+    if (turnTimerSelect) {
+        RulesEngine.TURN_TIMER_OPTIONS.forEach(timer => {
+            const option = document.createElement('option');
+            option.value = timer.id;
+            option.textContent = timer.name;
+            turnTimerSelect.appendChild(option);
+        });
+
+        turnTimerSelect.addEventListener('change', async function() {
+            if (typeof LobbyService === 'undefined') return;
+            const result = await LobbyService.setTurnTimer(turnTimerSelect.value);
+            if (!result.success) {
+                alert('Failed to change turn timer: ' + (result.error || 'Unknown error'));
+            }
+        });
+    }
+
+    // Browse Games listing (host only)
+    const publicLobbyToggle = document.getElementById('public-lobby-toggle');
+    if (publicLobbyToggle) {
+        publicLobbyToggle.addEventListener('change', async function() {
+            if (typeof LobbyService === 'undefined') return;
+            const result = await LobbyService.setPublic(publicLobbyToggle.checked);
+            if (!result.success) {
+                publicLobbyToggle.checked = !publicLobbyToggle.checked;
+                alert('Failed to change who can find the game: ' + (result.error || 'Unknown error'));
+            }
+        });
+    }
+
+    // Series picker (host only)
+    const seriesSelect = document.getElementById('series-select');
+    if (seriesSelect) {
+        Series.SERIES_OPTIONS.forEach(series => {
+            const option = document.createElement('option');
+            option.value = series.id;
+            option.textContent = series.name;
+            seriesSelect.appendChild(option);
+        });
+
+        seriesSelect.addEventListener('change', async function() {
+            if (typeof LobbyService === 'undefined') return;
+            const result = await LobbyService.setSeries(seriesSelect.value);
+            if (!result.success) {
+                alert('Failed to change series: ' + (result.error || 'Unknown error'));
+            }
+        });
+    }
+
+    // Bot level picker and Add Bot button (host only)
+    const botLevelSelect = document.getElementById('bot-level-select');
+    const addBotBtn = document.getElementById('add-bot-btn');
+    if (botLevelSelect && addBotBtn) {
+        Bots.BOT_LEVELS.forEach(level => {
+            const option = document.createElement('option');
+            option.value = level.id;
+            option.textContent = level.name;
+            botLevelSelect.appendChild(option);
+        });
+        botLevelSelect.value = Bots.DEFAULT_BOT_LEVEL;
+
+        addBotBtn.addEventListener('click', async function() {
+            if (typeof LobbyService === 'undefined') return;
+            addBotBtn.disabled = true;
+            const result = await LobbyService.addBot(botLevelSelect.value);
+            addBotBtn.disabled = false;
+            if (!result.success) {
+                alert('Failed to add bot: ' + (result.error || 'Unknown error'));
+            }
+        });
+    }
 
     // Copy game code button
     if (copyCodeBtn) {
@@ -391,29 +961,421 @@ function setupLobbyScreen() {
     }
 }
 
+/**
+ * Set up the Play Locally setup screen
+ */
+function setupLocalScreen() {
+    const playerCountSelect = document.getElementById('local-player-count');
+    const layoutSelect = document.getElementById('local-layout-select');
+    const boardSizeSelect = document.getElementById('local-board-size-select');
+    const startBtn = document.getElementById('local-start-btn');
+    const backBtn = document.getElementById('local-back-btn');
+
+    if (playerCountSelect) {
+        for (let count = LOCAL_MIN_PLAYERS; count <= LOCAL_MAX_PLAYERS; count++) {
+            const option = document.createElement('option');
+            option.value = count;
+            option.textContent = `${count} players`;
+            playerCountSelect.appendChild(option);
+        }
+        playerCountSelect.value = LOCAL_MIN_PLAYERS;
+        playerCountSelect.addEventListener('change', renderLocalPlayerInputs);
+    }
+
+    if (layoutSelect && boardSizeSelect) {
+        populateBoardPickers(layoutSelect, boardSizeSelect);
+    }
+
+    if (startBtn) {
+        startBtn.addEventListener('click', function() {
+            const nameInputs = document.querySelectorAll('#local-players input');
+            const names = Array.from(nameInputs).map((input, index) => {
+                return input.value.trim().slice(0, 12) || `Player ${index + 1}`;
+            });
+
+            localGameOptions = {
+                names,
+                layout: layoutSelect ? layoutSelect.value : BoardLayouts.DEFAULT_LAYOUT,
+                boardSize: boardSizeSelect ? parseInt(boardSizeSelect.value, 10) : BoardLayouts.DEFAULT_BOARD_BOXES
+            };
+            startLocalPlay();
+        });
+    }
+
+    if (backBtn) {
+        backBtn.addEventListener('click', function() {
+            showScreen('menu');
+        });
+    }
+}
+
+/**
+ * Set up profile screen (display name, preferred color, lifetime stats)
+ */
+function setupProfileScreen() {
+    const profileBtn = document.getElementById('profile-btn');
+    const saveBtn = document.getElementById('profile-save-btn');
+    const backBtn = document.getElementById('profile-back-btn');
+    const colorsEl = document.getElementById('profile-colors');
+
+    // One swatch per player color, plus "no preference"
+    if (colorsEl && typeof FirebaseService !== 'undefined') {
+        [null, ...FirebaseService.PLAYER_COLORS].forEach(color => {
+            const swatch = document.createElement('button');
+            swatch.className = 'profile-color';
+            swatch.dataset.color = color || '';
+            swatch.setAttribute('role', 'radio');
+            swatch.setAttribute('aria-checked', 'false');
+            if (color) {
+                swatch.style.background = color;
+                swatch.setAttribute('aria-label', `Color ${color}`);
+            } else {
+                swatch.textContent = 'Any';
+                swatch.setAttribute('aria-label', 'No preferred color');
+            }
+            swatch.addEventListener('click', function() {
+                selectProfileColor(color);
+            });
+            colorsEl.appendChild(swatch);
+        });
+    }
+
+    if (profileBtn) {
+        profileBtn.addEventListener('click', openProfile);
+    }
+
+    setupAccountSection();
+
+    if (saveBtn) {
+        saveBtn.addEventListener('click', async function() {
+            const nameInput = document.getElementById('profile-name');
+            const name = nameInput ? nameInput.value.trim().slice(0, 12) : '';
+            const selected = document.querySelector('#profile-colors .profile-color.selected');
+            const color = selected && selected.dataset.color ? selected.dataset.color : null;
+
+            saveBtn.disabled = true;
+            try {
+                await FirebaseService.saveUserProfile({ name, color });
+
+                // The menu uses the same name for hosting and joining
+                if (name && typeof LobbyService !== 'undefined') {
+                    LobbyService.saveName(name);
+                    const playerNameInput = document.getElementById('player-name');
+                    if (playerNameInput) {
+                        playerNameInput.value = name;
+                    }
+                }
+                showNotification('Profile saved');
+            } catch (error) {
+                console.error('Failed to save profile:', error);
+                alert('Failed to save profile: ' + error.message);
+            }
+            saveBtn.disabled = false;
+        });
+    }
+
+    if (backBtn) {
+        backBtn.addEventListener('click', function() {
+            showScreen('menu');
+        });
+    }
+}
+
+/**
+ * Load the profile and show the profile screen
+ */
+async function openProfile() {
+    if (!authReady) {
+        alert('Still connecting to server. Please wait...');
+        return;
+    }
+
+    let profile = null;
+    try {
+        profile = await FirebaseService.getUserProfile();
+    } catch (error) {
+        console.error('Failed to load profile:', error);
+        alert('Failed to load profile: ' + error.message);
+        return;
+    }
+
+    const nameInput = document.getElementById('profile-name');
+    if (nameInput) {
+        const playerNameInput = document.getElementById('player-name');
+        nameInput.value = (profile && profile.name) || (playerNameInput ? playerNameInput.value.trim() : '');
+    }
+    loadedProfile = profile;
+    selectProfileColor(profile ? profile.color : null);
+    renderProfileStats(profile ? profile.stats : {});
+    renderAccountSection();
+
+    showScreen('profile');
+}
+
+/**
+ * Set up the account part of the profile screen (link, sign in, sign out)
+ */
+function setupAccountSection() {
+    const linkBtn = document.getElementById('account-link-btn');
+    const signInBtn = document.getElementById('account-signin-btn');
+    const signOutBtn = document.getElementById('account-signout-btn');
+
+    if (linkBtn) {
+        linkBtn.addEventListener('click', async function() {
+            const credentials = getAccountFormValues();
+            if (!credentials) return;
+
+            linkBtn.disabled = true;
+            try {
+                await FirebaseService.linkAccount(credentials.email, credentials.password);
+                showNotification('Account created - your stats are saved to it');
+                await openProfile();
+            } catch (error) {
+                if (error.code === 'auth/email-already-in-use' || error.code === 'auth/credential-already-in-use') {
+                    const signIn = await showPrompt('That email already has an account. Sign in to it instead?', {
+                        confirmText: 'Sign In',
+                        cancelText: 'Cancel'
+                    });
+                    if (signIn) {
+                        await signInToAccount(credentials);
+                    }
+                } else {
+                    console.error('Failed to link account:', error);
+                    alert(getAccountErrorMessage(error));
+                }
+            }
+            linkBtn.disabled = false;
+        });
+    }
+
+    if (signInBtn) {
+        signInBtn.addEventListener('click', async function() {
+            const credentials = getAccountFormValues();
+            if (!credentials) return;
+
+            signInBtn.disabled = true;
+            await signInToAccount(credentials);
+            signInBtn.disabled = false;
+        });
+    }
+
+    if (signOutBtn) {
+        signOutBtn.addEventListener('click', async function() {
+            const confirmed = await showPrompt('Sign out? This device will play as a new guest with empty stats.', {
+                confirmText: 'Sign Out',
+                cancelText: 'Cancel'
+            });
+            if (!confirmed) return;
+
+            try {
+                await FirebaseService.signOutOfAccount();
+                await openProfile();
+            } catch (error) {
+                console.error('Failed to sign out:', error);
+                alert(getAccountErrorMessage(error));
+            }
+        });
+    }
+}
+
+/**
+ * Sign in to an existing account, offering to bring this device's guest stats along
+ * @param {{email: string, password: string}} credentials
+ */
+async function signInToAccount(credentials) {
+    const guestGames = loadedProfile ? loadedProfile.stats.gamesPlayed : 0;
+    let merge = false;
+    if (!FirebaseService.getAccountEmail() && guestGames > 0) {
+        merge = await showPrompt(`Add this device's ${guestGames} game${guestGames === 1 ? '' : 's'} to your account?`, {
+            confirmText: 'Add Stats',
+            cancelText: 'Skip'
+        });
+    }
+
+    try {
+        const merged = await FirebaseService.signInToAccount(credentials.email, credentials.password, merge);
+        showNotification(merged ? 'Signed in - stats merged' : 'Signed in');
+        await openProfile();
+
+        // Use the account's saved name on the menu too
+        if (loadedProfile && loadedProfile.name && typeof LobbyService !== 'undefined') {
+            LobbyService.saveName(loadedProfile.name);
+            const playerNameInput = document.getElementById('player-name');
+            if (playerNameInput) {
+                playerNameInput.value = loadedProfile.name;
+            }
+        }
+    } catch (error) {
+        console.error('Failed to sign in:', error);
+        alert(getAccountErrorMessage(error));
+    }
+}
+
+/**
+ * Read and check the email and password fields
+ * @returns {{email: string, password: string}|null} Null (after telling the user) if incomplete
+ */
+function getAccountFormValues() {
+    const emailInput = document.getElementById('account-email');
+    const passwordInput = document.getElementById('account-password');
+    const email = emailInput ? emailInput.value.trim() : '';
+    const password = passwordInput ? passwordInput.value : '';
+
+    if (!email || !password) {
+        alert('Please enter your email and password');
+        return null;
+    }
+    return { email, password };
+}
+
+/**
+ * Turn a Firebase Auth error into a message for the player
+ * @param {Error} error
+ * @returns {string}
+ */
+function getAccountErrorMessage(error) {
+    return ACCOUNT_ERROR_MESSAGES[error.code] || ('Account error: ' + (error.message || 'Unknown error'));
+}
+
+/**
+ * Show the signed-in email, or the form to create or sign in to an account
+ */
+function renderAccountSection() {
+    const email = FirebaseService.getAccountEmail();
+    const statusEl = document.getElementById('account-status');
+    const formEl = document.getElementById('account-form');
+    const signOutBtn = document.getElementById('account-signout-btn');
+    const passwordInput = document.getElementById('account-password');
+
+    if (statusEl) {
+        statusEl.textContent = email
+            ? `Signed in as ${email}`
+            : 'Playing as a guest. Create an account to keep your stats on any device.';
+    }
+    if (formEl) {
+        formEl.hidden = !!email;
+    }
+    if (signOutBtn) {
+        signOutBtn.hidden = !email;
+    }
+    if (passwordInput) {
+        passwordInput.value = '';
+    }
+}
+
+/**
+ * Highlight the chosen preferred color swatch
+ * @param {string|null} color - Hex color, or null for no preference
+ */
+function selectProfileColor(color) {
+    document.querySelectorAll('#profile-colors .profile-color').forEach(swatch => {
+        const selected = swatch.dataset.color === (color || '');
+        swatch.classList.toggle('selected', selected);
+        swatch.setAttribute('aria-checked', String(selected));
+    });
+}
+
+/**
+ * Show lifetime stats on the profile screen
+ * @param {object} stats - Counters from FirebaseService.getUserProfile
+ */
+function renderProfileStats(stats) {
+    const statsEl = document.getElementById('profile-stats');
+    if (!statsEl) return;
+
+    statsEl.innerHTML = '';
+    PROFILE_STAT_LABELS.forEach(({ key, label }) => {
+        const item = document.createElement('div');
+        item.className = 'profile-stat';
+
+        const valueEl = document.createElement('div');
+        valueEl.className = 'profile-stat-value';
+        valueEl.textContent = stats[key] || 0;
+
+        const labelEl = document.createElement('div');
+        labelEl.className = 'profile-stat-label';
+        labelEl.textContent = label;
+
+        item.appendChild(valueEl);
+        item.appendChild(labelEl);
+        statsEl.appendChild(item);
+    });
+}
+
+/**
+ * Show one name input per local player, keeping names already typed
+ */
+function renderLocalPlayerInputs() {
+    const container = document.getElementById('local-players');
+    const playerCountSelect = document.getElementById('local-player-count');
+    if (!container || !playerCountSelect) return;
+
+    const count = parseInt(playerCountSelect.value, 10);
+    const existing = Array.from(container.querySelectorAll('input')).map(input => input.value);
+
+    // Player 1 defaults to the name entered on the menu
+    if (existing.length === 0) {
+        const playerNameInput = document.getElementById('player-name');
+        existing.push(playerNameInput ? playerNameInput.value.trim().slice(0, 12) : '');
+    }
+
+    container.innerHTML = '';
+    for (let i = 0; i < count; i++) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.maxLength = 12;
+        input.placeholder = `Player ${i + 1}`;
+        input.value = existing[i] || '';
+        input.setAttribute('aria-label', `Player ${i + 1} name`);
+        container.appendChild(input);
+    }
+}
+
+/**
+ * Start (or restart) the pass-and-play game from localGameOptions
+ */
+function startLocalPlay() {
+    if (!localGameOptions || typeof startLocalGame !== 'function') return;
+
+    // Make sure no online session is still attached to the board
+    if (typeof GameService !== 'undefined') {
+        GameService.cleanup();
+    }
+
+    showScreen('game');
+    startLocalGame(localGameOptions);
+}
+
 /**
  * Set up game over screen functionality
  */
 function setupGameOverScreen() {
+    const watchReplayBtn = document.getElementById('watch-replay-btn');
     const playAgainBtn = document.getElementById('play-again-btn');
     const backToMenuBtn = document.getElementById('back-to-menu-btn');
 
-    // Play Again button
+    // Watch Replay button - plays the finished game back from its move log
+    if (watchReplayBtn) {
+        watchReplayBtn.addEventListener('click', function() {
+            const finishedGame = typeof GameService !== 'undefined' ? GameService.getState() : null;
+            const moves = finishedGame && finishedGame.moves;
+            if (!moves || !ReplayService.start(moves)) {
+                alert('No move history was recorded for this game.');
+            }
+        });
+    }
+
+    // Play Again button (Rematch in online games)
     if (playAgainBtn) {
         playAgainBtn.addEventListener('click', async function() {
             console.log('Play again clicked');
-            // Leave the current game properly
-            if (typeof LobbyService !== 'undefined') {
-                await LobbyService.leaveLobby();
-            }
-            // Clean up current game session
-            if (typeof GameService !== 'undefined') {
-                GameService.cleanup();
+            // Local games restart straight away with the same players and board
+            if (localGameOptions) {
+                startLocalPlay();
+                return;
             }
-            // Reset local game state
-            resetGameState();
-            // Go back to menu to start a new game
-            showScreen('menu');
+            // Online games carry the same group into a new lobby
+            await enterRematch(null);
         });
     }
 
@@ -421,6 +1383,7 @@ function setupGameOverScreen() {
     if (backToMenuBtn) {
         backToMenuBtn.addEventListener('click', async function() {
             console.log('Back to menu clicked');
+            localGameOptions = null;
             // Leave the game properly
             if (typeof LobbyService !== 'undefined') {
                 await LobbyService.leaveLobby();
@@ -436,9 +1399,131 @@ function setupGameOverScreen() {
     }
 }
 
+/**
+ * Ask whether to join a rematch another player offered (called by game.js)
+ * Only asked while this player is still on the game-over screen
+ * @param {{code: string, hostName: string}} rematch
+ */
+async function showRematchOffer(rematch) {
+    const gameOverScreen = document.getElementById('gameover-screen');
+    if (!gameOverScreen || gameOverScreen.classList.contains('hidden')) return;
+
+    const spectating = LobbyService.isSpectator();
+    const message = spectating
+        ? `${rematch.hostName || 'A player'} started a rematch. Watch it?`
+        : `${rematch.hostName || 'A player'} wants a rematch!`;
+    const accepted = await showPrompt(message, {
+        confirmText: spectating ? 'Watch' : 'Join',
+        cancelText: spectating ? 'No Thanks' : 'Decline'
+    });
+    if (accepted) {
+        await enterRematch(rematch.code);
+    }
+}
+
+/**
+ * Leave the finished game and go to the rematch lobby (spectators keep watching)
+ * @param {string|null} code - Rematch to join, or null to host one
+ *                             (joins the one already offered, if any)
+ */
+async function enterRematch(code) {
+    const localPlayer = GameService.getLocalPlayer();
+    const playerName = (localPlayer && localPlayer.name) || LobbyService.getSavedName() || 'Player';
+
+    const rematchBtn = document.getElementById('play-again-btn');
+    if (rematchBtn) {
+        rematchBtn.disabled = true;
+    }
+
+    // The lobby takes over the game subscription, so stop the old session first
+    const spectating = LobbyService.isSpectator();
+    GameService.cleanup();
+    let result;
+    if (spectating) {
+        result = await LobbyService.watchGame(code, playerName);
+    } else {
+        result = code
+            ? await LobbyService.joinGame(code, playerName)
+            : await LobbyService.startRematch(playerName);
+    }
+
+    if (rematchBtn) {
+        rematchBtn.disabled = false;
+    }
+    resetGameState();
+
+    if (result.success) {
+        showScreen('lobby');
+    } else {
+        alert('Failed to start rematch: ' + (result.error || 'Unknown error'));
+        await LobbyService.leaveLobby();
+        showScreen('menu');
+    }
+}
+
+/**
+ * Build the host's buttons for another player's lobby row
+ * @param {{index: number, name: string}} player - Player in the lobby
+ * @returns {HTMLElement}
+ */
+function createPlayerActions(player) {
+    const actionsEl = document.createElement('div');
+    actionsEl.className = 'player-actions';
+
+    const actions = [
+        {
+            label: 'Make Host',
+            message: `Make ${player.name} the host? You won't be able to change the game any more.`,
+            run: () => LobbyService.makeHost(player.index)
+        },
+        {
+            label: 'Kick',
+            message: `Remove ${player.name} from the game? They can join again with the code.`,
+            run: () => LobbyService.kickPlayer(player.index, false)
+        },
+        {
+            label: 'Ban',
+            message: `Ban ${player.name}? They won't be able to join or watch this game again.`,
+            run: () => LobbyService.kickPlayer(player.index, true)
+        }
+    ];
+
+    actions.forEach(action => {
+        const button = document.createElement('button');
+        button.className = 'btn-player-action';
+        button.textContent = action.label;
+        button.setAttribute('aria-label', `${action.label}: ${player.name}`);
+        button.addEventListener('click', async function() {
+            if (!await showPrompt(action.message, { confirmText: action.label })) return;
+
+            button.disabled = true;
+            const result = await action.run();
+            if (!result.success) {
+                button.disabled = false;
+                alert(`${action.label} failed: ` + (result.error || 'Unknown error'));
+            }
+        });
+        actionsEl.appendChild(button);
+    });
+
+    return actionsEl;
+}
+
+/**
+ * Leave the lobby screen after the host removed us
+ * Called by lobby.js when our seat disappears before the game starts
+ * @param {boolean} banned - True if the host also banned us
+ */
+function handleRemovedFromLobby(banned) {
+    showScreen('menu');
+    alert(banned
+        ? 'The host removed you from the game and banned you from rejoining.'
+        : 'The host removed you from the game.');
+}
+
 /**
  * Update lobby screen with game data
- * @param {{code: string, players: Array, isHost: boolean}} lobbyData - Lobby information
+ * @param {{code: string, players: Array, hostId: string, isHost: boolean, layout: string, boardSize: number, turnTimer: object, series: object}} lobbyData - Lobby information
  */
 function updateLobby(lobbyData) {
     // Update game code
@@ -459,10 +1544,123 @@ function updateLobby(lobbyData) {
                 <div class="player-color-dot" style="background:${player.color};"></div>
                 <strong>${player.name}</strong>
             `;
+
+            // Bot seats: level tag, and a remove button for the host
+            if (player.bot) {
+                const botTag = document.createElement('span');
+                botTag.className = 'player-bot-tag';
+                botTag.textContent = 'BOT';
+                playerItem.appendChild(botTag);
+
+                if (lobbyData.isHost === true) {
+                    const removeBtn = document.createElement('button');
+                    removeBtn.className = 'btn-remove-bot';
+                    removeBtn.textContent = '\u00D7'; // multiplication sign (x)
+                    removeBtn.setAttribute('aria-label', `Remove ${player.name}`);
+                    removeBtn.addEventListener('click', async function() {
+                        removeBtn.disabled = true;
+                        const result = await LobbyService.removeBot(player.index);
+                        if (!result.success) {
+                            removeBtn.disabled = false;
+                            alert('Failed to remove bot: ' + (result.error || 'Unknown error'));
+                        }
+                    });
+                    playerItem.appendChild(removeBtn);
+                }
+            }
+
+            if (player.id === lobbyData.hostId) {
+                const hostTag = document.createElement('span');
+                hostTag.className = 'player-host-tag';
+                hostTag.textContent = 'HOST';
+                playerItem.appendChild(hostTag);
+            } else if (lobbyData.isHost === true && !player.bot) {
+                playerItem.appendChild(createPlayerActions(player));
+            }
+
             playersContainerEl.appendChild(playerItem);
         });
     }
 
+    // Spectators, listed apart from the seats
+    const spectatorsSectionEl = document.getElementById('spectators-section');
+    const spectatorsContainerEl = document.getElementById('spectators-container');
+    if (spectatorsSectionEl && spectatorsContainerEl) {
+        const spectators = lobbyData.spectators || [];
+        spectatorsSectionEl.hidden = spectators.length === 0;
+        spectatorsContainerEl.textContent = spectators.map(spectator => spectator.name).join(', ');
+    }
+
+    // Bot controls (host only, while there is a free seat)
+    const lobbyBotsEl = document.getElementById('lobby-bots');
+    if (lobbyBotsEl) {
+        const playerCount = lobbyData.players ? lobbyData.players.length : 0;
+        lobbyBotsEl.classList.toggle('hidden', lobbyData.isHost !== true);
+        const addBotBtn = document.getElementById('add-bot-btn');
+        if (addBotBtn) {
+            addBotBtn.disabled = playerCount >= (lobbyData.maxPlayers || 7);
+        }
+    }
+
+    // Update board pickers (read-only for non-hosts)
+    const layoutSelect = document.getElementById('layout-select');
+    const boardSizeSelect = document.getElementById('board-size-select');
+    if (layoutSelect && boardSizeSelect) {
+        layoutSelect.value = BoardLayouts.getLayout(lobbyData.layout).id;
+        if (lobbyData.boardSize) {
+            boardSizeSelect.value = lobbyData.boardSize;
+        }
+        layoutSelect.disabled = lobbyData.isHost !== true;
+        boardSizeSelect.disabled = lobbyData.isHost !== true;
+    }
+
+    const publicLobbyToggle = document.getElementById('public-lobby-toggle');
+    if (publicLobbyToggle) {
+        publicLobbyToggle.checked = lobbyData.isPublic === true;
+        publicLobbyToggle.disabled = lobbyData.isHost !== true;
+    }
+
+    const turnTimerSelect = document.getElementById('turn-timer-select');
+    if (turnTimerSelect) {
+        turnTimerSelect.value = RulesEngine.getTurnTimerOption(lobbyData.turnTimer).id;
+        turnTimerSelect.disabled = lobbyData.isHost !== true;
+    }
+
+    // A series already under way can't be changed until it's decided
+    const seriesInProgress = !!(lobbyData.series && Series.getResults(lobbyData.series).length > 0);
+    const seriesSelect = document.getElementById('series-select');
+    if (seriesSelect) {
+        seriesSelect.value = Series.getSeriesOption(lobbyData.series).id;
+        seriesSelect.disabled = lobbyData.isHost !== true || seriesInProgress;
+    }
+    const lobbySeriesEl = document.getElementById('lobby-series');
+    if (lobbySeriesEl) {
+        lobbySeriesEl.hidden = !seriesInProgress;
+        lobbySeriesEl.textContent = seriesInProgress ? getSeriesSummary(lobbyData.series) : '';
+    }
+
+    // Update rule preset (Custom when the host has changed individual settings)
+    const settings = lobbyData.settings || RulesEngine.normalizeSettings();
+    const preset = RulesEngine.getRulePreset(settings);
+    const presetNameEl = document.getElementById('preset-name');
+    if (presetNameEl) {
+        presetNameEl.textContent = preset.name;
+    }
+    document.querySelectorAll('#preset-buttons .preset-btn').forEach(button => {
+        const selected = button.dataset.preset === preset.id;
+        button.classList.toggle('selected', selected);
+        button.setAttribute('aria-pressed', String(selected));
+        button.disabled = lobbyData.isHost !== true;
+    });
+
+    // Update settings panel (read-only for non-hosts)
+    SETTING_FIELDS.forEach(field => {
+        const select = document.getElementById(`setting-${field.key}`);
+        if (!select) return;
+        select.value = String(settings[field.key]);
+        select.disabled = lobbyData.isHost !== true;
+    });
+
     // Update lobby status
     const lobbyStatusEl = document.getElementById('lobby-status');
     if (lobbyStatusEl) {
@@ -498,11 +1696,18 @@ function updateLobby(lobbyData) {
 /**
  * Show a specific screen and hide others
  * Screen transition flow: menu → lobby → game → gameover
+ * (or menu → local → game → gameover when playing locally,
+ * or menu → browse → lobby when picking a public game)
  *
- * @param {string} screenName - 'menu', 'lobby', 'game', or 'gameover'
+ * @param {string} screenName - 'menu', 'lobby', 'browse', 'local', 'profile', 'game', or 'gameover'
  */
 function showScreen(screenName) {
-    const screens = ['menu', 'lobby', 'game', 'gameover'];
+    const screens = ['menu', 'lobby', 'browse', 'local', 'profile', 'game', 'gameover'];
+
+    // The Browse Games list only listens while it's on screen
+    if (screenName !== 'browse') {
+        stopBrowsingGames();
+    }
 
     // Hide all screens except the target
     screens.forEach(name => {
@@ -523,6 +1728,18 @@ function showScreen(screenName) {
         if (typeof handleResize === 'function') {
             setTimeout(() => handleResize(), 100);
         }
+    } else if (screenName === 'gameover') {
+        // Local games keep no move log, so there is nothing to replay
+        const watchReplayBtn = document.getElementById('watch-replay-btn');
+        if (watchReplayBtn) {
+            watchReplayBtn.hidden = !!localGameOptions;
+        }
+        const playAgainBtn = document.getElementById('play-again-btn');
+        if (playAgainBtn) {
+            playAgainBtn.textContent = localGameOptions ? 'Play Again' : 'Rematch';
+            // Spectators weren't in the game, so they can only follow a rematch
+            playAgainBtn.hidden = !localGameOptions && LobbyService.isSpectator();
+        }
     }
 
     console.log('Screen changed to:', screenName);
@@ -541,6 +1758,50 @@ function resetGameState() {
     }
 }
 
+/**
+ * Ask the player a yes/no question in an in-page dialog
+ * @param {string} message - Question to show
+ * @param {object} [options] - Optional settings
+ * @param {string} [options.confirmText] - Confirm button label (default 'OK')
+ * @param {string} [options.cancelText] - Cancel button label (default 'Cancel')
+ * @returns {Promise<boolean>} True if confirmed
+ */
+function showPrompt(message, options = {}) {
+    const dialogEl = document.getElementById('prompt-dialog');
+    const messageEl = document.getElementById('prompt-message');
+    const confirmBtn = document.getElementById('prompt-confirm-btn');
+    const cancelBtn = document.getElementById('prompt-cancel-btn');
+
+    // Fall back to the browser dialog if the markup is missing
+    if (!dialogEl || !messageEl || !confirmBtn || !cancelBtn) {
+        return Promise.resolve(confirm(message));
+    }
+
+    messageEl.textContent = message;
+    confirmBtn.textContent = options.confirmText || 'OK';
+    cancelBtn.textContent = options.cancelText || 'Cancel';
+    dialogEl.classList.remove('hidden');
+    confirmBtn.focus();
+
+    return new Promise(resolve => {
+        function close(answer) {
+            dialogEl.classList.add('hidden');
+            confirmBtn.removeEventListener('click', onConfirm);
+            cancelBtn.removeEventListener('click', onCancel);
+            resolve(answer);
+        }
+        function onConfirm() {
+            close(true);
+        }
+        function onCancel() {
+            close(false);
+        }
+
+        confirmBtn.addEventListener('click', onConfirm);
+        cancelBtn.addEventListener('click', onCancel);
+    });
+}
+
 // Track persistent notification state
 let persistentNotificationDismissHandler = null;
 
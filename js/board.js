@@ -17,7 +17,8 @@ let canvasWidth;
 let canvasHeight;
 
 // Game constants
-const GRID_SIZE = 6; // 5 boxes = 6 dots per side
+// Board shape in boxes plus the mask of disabled boxes (synced from game state)
+let boardShape = BoardLayouts.buildBoard(BoardLayouts.DEFAULT_LAYOUT, BoardLayouts.DEFAULT_BOARD_BOXES);
 const DOT_RADIUS = 6; // Radius of dots in pixels
 const DOT_RADIUS_ACTIVE = 10; // Larger radius for activated dot
 const LINE_WIDTH = 4; // Width of lines in pixels
@@ -423,6 +424,15 @@ function getUniquePlayers() {
 
 let players = getUniquePlayers();
 
+/**
+ * Check if a networked game session is running
+ * Without one (including offline) the board plays a local pass-and-play game
+ * @returns {boolean}
+ */
+function isMultiplayerGame() {
+    return typeof GameService !== 'undefined' && !!(GameService.getState && GameService.getState());
+}
+
 /**
  * Initialize canvas and set up event listeners
  */
@@ -517,14 +527,14 @@ function calculateGridLayout() {
     const availableWidth = canvasWidth - (padding * 2);
     const availableHeight = canvasHeight - (padding * 2);
 
-    // Calculate spacing based on the smaller dimension to ensure grid fits
-    const maxSpacingWidth = availableWidth / (GRID_SIZE - 1);
-    const maxSpacingHeight = availableHeight / (GRID_SIZE - 1);
+    // Calculate spacing based on the tighter dimension to ensure grid fits
+    const maxSpacingWidth = availableWidth / boardShape.boardWidth;
+    const maxSpacingHeight = availableHeight / boardShape.boardHeight;
     gridSpacing = Math.min(maxSpacingWidth, maxSpacingHeight);
 
     // Calculate total grid size
-    const gridWidth = gridSpacing * (GRID_SIZE - 1);
-    const gridHeight = gridSpacing * (GRID_SIZE - 1);
+    const gridWidth = gridSpacing * boardShape.boardWidth;
+    const gridHeight = gridSpacing * boardShape.boardHeight;
 
     // Center the grid
     gridOffsetX = (canvasWidth - gridWidth) / 2;
@@ -539,6 +549,31 @@ function calculateGridLayout() {
     });
 }
 
+/**
+ * Change the board shape and recalculate the layout
+ * @param {object} state - Game state or board fields (boardWidth, boardHeight, disabledBoxes)
+ */
+function setBoardShape(state) {
+    const shape = RulesEngine.getBoardShape(state);
+    const nextShape = {
+        boardWidth: shape.cols,
+        boardHeight: shape.rows,
+        disabledBoxes: state.disabledBoxes || null
+    };
+    if (JSON.stringify(nextShape) === JSON.stringify({
+        boardWidth: boardShape.boardWidth,
+        boardHeight: boardShape.boardHeight,
+        disabledBoxes: boardShape.disabledBoxes || null
+    })) {
+        return;
+    }
+
+    boardShape = nextShape;
+    if (canvas && ctx) {
+        calculateGridLayout();
+    }
+}
+
 /**
  * Clear the canvas
  */
@@ -637,7 +672,9 @@ function updateCanvasContainerColor() {
 function drawSpecialSquareIndicators() {
     // Get special squares from GameService if in multiplayer, otherwise use local
     let specialSquares = { golden: [], penalty: [] };
-    if (typeof GameService !== 'undefined' && GameService.getSpecialSquares) {
+    if (typeof ReplayService !== 'undefined' && ReplayService.isActive()) {
+        specialSquares = ReplayService.getSpecialSquares();
+    } else if (isMultiplayerGame()) {
         specialSquares = GameService.getSpecialSquares();
     } else {
         // Use local special squares for single-player mode
@@ -650,7 +687,8 @@ function drawSpecialSquareIndicators() {
         return boxes.some(b => `${b.row},${b.col}` === key);
     };
 
-    const INSET_MARGIN = 8; // Pixels to inset from box edges
+    // Pixels to inset from box edges (shrinks on large boards so small boxes keep their fill)
+    const INSET_MARGIN = Math.min(8, gridSpacing * 0.1);
 
     // Draw golden square indicators (solid gold inset square + star icon)
     if (specialSquares.golden && specialSquares.golden.length > 0) {
@@ -710,9 +748,12 @@ function drawSpecialSquareIndicators() {
                 const size = Math.min(width, height) * 0.125; // Reduced from 0.25 to 0.125 (50% smaller)
                 ctx.lineCap = 'round';
 
+                // Stroke width scales down on large boards (12px on the default 5x5 board)
+                const strokeWidth = Math.min(12, Math.max(3, width * 0.12));
+
                 // Draw black stroke outline first (slightly thicker)
                 ctx.strokeStyle = '#000000';
-                ctx.lineWidth = 14; // Slightly thicker for outline effect
+                ctx.lineWidth = strokeWidth + 2; // Slightly thicker for outline effect
                 ctx.beginPath();
                 ctx.moveTo(centerX - size, centerY - size);
                 ctx.lineTo(centerX + size, centerY + size);
@@ -722,7 +763,7 @@ function drawSpecialSquareIndicators() {
 
                 // Draw red X on top
                 ctx.strokeStyle = '#BF3333'; // 25% darker red
-                ctx.lineWidth = 12;
+                ctx.lineWidth = strokeWidth;
                 ctx.beginPath();
                 ctx.moveTo(centerX - size, centerY - size);
                 ctx.lineTo(centerX + size, centerY + size);
@@ -786,8 +827,11 @@ function drawDots() {
         .getPropertyValue('--dot-color').trim() || '#FFFFFF';
     const playerColor = players[currentPlayer] ? players[currentPlayer].color : '#FFFFFF';
 
-    for (let row = 0; row < GRID_SIZE; row++) {
-        for (let col = 0; col < GRID_SIZE; col++) {
+    for (let row = 0; row <= boardShape.boardHeight; row++) {
+        for (let col = 0; col <= boardShape.boardWidth; col++) {
+            // Dots that only touch disabled boxes are not part of the board
+            if (!RulesEngine.isDotOnBoard(boardShape, row, col)) continue;
+
             const pos = getDotPosition(row, col);
             const isActive = activeDot && activeDot.row === row && activeDot.col === col;
             const isDragStart = dragStartDot && dragStartDot.row === row && dragStartDot.col === col;
@@ -1555,7 +1599,7 @@ function stopGlowAnimation() {
  * Draw miss penalty overlay (red pulsing border for opponents in penalty)
  */
 function drawMissPenaltyOverlay() {
-    if (typeof GameService === 'undefined') return;
+    if (!isMultiplayerGame()) return;
     if (GameService.isMyTurn()) return; // Only show for opponents
     if (!GameService.isMissPenaltyActive || !GameService.isMissPenaltyActive()) return;
 
@@ -1583,8 +1627,16 @@ function drawMissPenaltyOverlay() {
  */
 function drawSabotageElements() {
     try {
-        if (typeof GameService === 'undefined') {
+        // Replays show the recorded event instead of the live sabotage state
+        if (typeof ReplayService !== 'undefined' && ReplayService.isActive()) {
+            stopGlowAnimation();
+            drawReplayMarker();
+            return;
+        }
+
+        if (!isMultiplayerGame()) {
             // Not in multiplayer mode
+            stopGlowAnimation();
             return;
         }
 
@@ -1704,6 +1756,34 @@ function drawSabotageElements() {
     }
 }
 
+/**
+ * Draw the dot affected by the replay frame being shown
+ * (glowing roulette dot, or the prohibit/sabotage/anchor outcome)
+ */
+function drawReplayMarker() {
+    const marker = ReplayService.getMarker();
+    if (!marker) return;
+
+    const [row, col] = marker.dot.split(',').map(Number);
+    if (isNaN(row) || isNaN(col)) return;
+    const pos = getDotPosition(row, col);
+
+    switch (marker.type) {
+        case 'glow':
+            drawGlowingDot(row, col);
+            break;
+        case 'prohibit':
+            drawProhibitedSymbol(pos.x, pos.y);
+            break;
+        case 'sabotage':
+            drawSabotagedSymbol(pos.x, pos.y);
+            break;
+        case 'anchor':
+            drawAnchoredSymbol(pos.x, pos.y);
+            break;
+    }
+}
+
 /**
  * Check if a point is near a glowing dot and handle the tap
  * Returns true if the tap was handled (glowing dot was tapped)
@@ -1712,12 +1792,12 @@ function drawSabotageElements() {
  * @returns {boolean} True if glowing dot was tapped
  */
 function checkGlowingDotTap(x, y) {
-    if (typeof GameService === 'undefined') return false;
+    if (!isMultiplayerGame()) return false;
 
     const sabotage = GameService.getSabotageState();
 
-    // Only opponents can tap for sabotage
-    if (GameService.isMyTurn()) return false;
+    // Only opponents can tap for sabotage (spectators just watch)
+    if (GameService.isMyTurn() || GameService.isSpectating()) return false;
 
     // If no glowing dot, no sabotage interaction possible
     if (!sabotage || !sabotage.glowingDot) return false;
@@ -1804,8 +1884,8 @@ function screenToCanvasCoords(screenX, screenY) {
 
 /**
  * Get the canvas position of a dot
- * @param {number} row - Row index (0 to GRID_SIZE-1)
- * @param {number} col - Column index (0 to GRID_SIZE-1)
+ * @param {number} row - Row index (0 to boardHeight)
+ * @param {number} col - Column index (0 to boardWidth)
  * @returns {{x: number, y: number}} Canvas coordinates of the dot
  */
 function getDotPosition(row, col) {
@@ -1830,8 +1910,10 @@ function getNearestDot(x, y, tolerance = 25) {
     let nearestDot = null;
     let nearestDistance = tolerance;
 
-    for (let row = 0; row < GRID_SIZE; row++) {
-        for (let col = 0; col < GRID_SIZE; col++) {
+    for (let row = 0; row <= boardShape.boardHeight; row++) {
+        for (let col = 0; col <= boardShape.boardWidth; col++) {
+            if (!RulesEngine.isDotOnBoard(boardShape, row, col)) continue;
+
             const pos = getDotPosition(row, col);
             const distance = Math.sqrt(Math.pow(x - pos.x, 2) + Math.pow(y - pos.y, 2));
 
@@ -1862,20 +1944,24 @@ function areDotsAdjacent(dot1, dot2) {
  * Get line definition from two adjacent dots
  * @param {{row: number, col: number}} dot1
  * @param {{row: number, col: number}} dot2
- * @returns {{row: number, col: number, direction: string}|null}
+ * @returns {{row: number, col: number, direction: string}|null} Null if no edge joins the dots
  */
 function getLineFromDots(dot1, dot2) {
     if (!areDotsAdjacent(dot1, dot2)) return null;
 
+    let line;
     if (dot1.row === dot2.row) {
         // Horizontal line
         const col = Math.min(dot1.col, dot2.col);
-        return { row: dot1.row, col, direction: 'h' };
+        line = { row: dot1.row, col, direction: 'h' };
     } else {
         // Vertical line
         const row = Math.min(dot1.row, dot2.row);
-        return { row, col: dot1.col, direction: 'v' };
+        line = { row, col: dot1.col, direction: 'v' };
     }
+
+    // Edges between two disabled boxes don't exist on shaped boards
+    return RulesEngine.isLineOnBoard(boardShape, line.row, line.col, line.direction) ? line : null;
 }
 
 /**
@@ -1924,7 +2010,7 @@ function clearInputState() {
 function tryPlaceLine(dot1, dot2) {
     const line = getLineFromDots(dot1, dot2);
     if (!line) {
-        console.log('Dots are not adjacent');
+        console.log('No line between these dots');
         return false;
     }
 
@@ -1934,7 +2020,7 @@ function tryPlaceLine(dot1, dot2) {
     }
 
     // Check if we're in multiplayer mode (GameService exists and has active game)
-    if (typeof GameService !== 'undefined' && GameService.getState && GameService.getState()) {
+    if (isMultiplayerGame()) {
         // Check if it's our turn first
         if (!GameService.isMyTurn()) {
             console.log('Not your turn!');
@@ -1963,21 +2049,21 @@ function tryPlaceLine(dot1, dot2) {
         return true; // Return true to indicate attempt was made
     }
 
-    // Single-player/local mode - handle locally
-    // Place the line
-    addLine(line.row, line.col, line.direction, currentPlayer);
+    // Single-player/local mode - apply the move with the shared rules engine
+    const result = RulesEngine.applyMove(getLocalRulesState(), { ...line, playerIndex: currentPlayer });
 
-    // Check for completed boxes
-    const result = checkAndCompleteBoxes(line, currentPlayer);
+    // Clear input state
+    clearInputState();
 
-    // Update scores if boxes were completed
-    if (result.count > 0) {
-        calculateScores();
-        updateScoreboard();
+    if (!result.ok) {
+        console.log('Move rejected:', result.reason);
+        redraw();
+        return false;
     }
 
-    // Clear input state
-    clearInputState();
+    applyLocalRulesState(result.state);
+    updateScoreboard();
+    updateLocalTurnStyle();
 
     // Redraw board
     redraw();
@@ -1988,54 +2074,91 @@ function tryPlaceLine(dot1, dot2) {
         return true;
     }
 
-    // Turn logic:
-    // - No boxes completed: check for banked turn, otherwise switch to next player
-    // - Boxes completed: player gets another turn (stays as current player)
-    // - Golden box completed: player gets TWO more turns (banked turn system)
-    let turnEnded = false; // Track if turn actually changed hands
-    if (result.count === 0) {
-        // No boxes completed - check if player has banked turns
-        if (players[currentPlayer] && players[currentPlayer].bankedTurns > 0) {
-            // Use a banked turn to stay as current player
-            players[currentPlayer].bankedTurns--;
-            console.log('Used banked turn! Player', currentPlayer, 'keeps turn. Remaining banked:', players[currentPlayer].bankedTurns);
-            updateScoreboard();
-        } else {
-            // No banked turns - switch to next player
-            currentPlayer = (currentPlayer + 1) % players.length;
-            turnEnded = true; // Turn changed hands
-            updateScoreboard();
-        }
-    } else {
-        // Boxes completed - player naturally gets another turn
-        if (result.hasGolden) {
-            // Golden box gives ADDITIONAL banked turn for use later
-            if (players[currentPlayer]) {
-                players[currentPlayer].bankedTurns = (players[currentPlayer].bankedTurns || 0) + 1;
-                console.log('Golden box! Player', currentPlayer, 'banked an extra turn. Total banked:', players[currentPlayer].bankedTurns);
-            }
-        }
-        // Player stays as current player (normal box completion behavior)
-    }
-
-    // Immediately replace completed special squares with the same type
-    if (result.hasGolden) {
-        replenishSpecialSquare('golden');
-    }
-    if (result.hasPenalty) {
-        replenishSpecialSquare('penalty');
-    }
-
     // Increment turn counter and check for special square movement
+    const turnEnded = result.events.some(e => e.type === 'turn');
     if (turnEnded) {
         turnCounter++;
         checkAndMoveSpecialSquares();
+
+        // Pass-and-play: tell the table whose turn it is
+        if (typeof showNotification === 'function' && players[currentPlayer]) {
+            showNotification(`Pass to ${players[currentPlayer].name}`);
+        }
     }
 
-    console.log('Line placed:', line, 'Boxes:', result.count, 'Golden:', result.hasGolden, 'Player:', currentPlayer);
+    console.log('Line placed:', line, 'Events:', result.events.map(e => e.type), 'Player:', currentPlayer);
     return true;
 }
 
+/**
+ * Tint the board with the color of the player to move in local mode
+ * Every seat is on this device, so banked turns always pulse
+ */
+function updateLocalTurnStyle() {
+    const turnPlayer = players[currentPlayer];
+    if (!turnPlayer) return;
+    updateCanvasContainerStyle(turnPlayer.color, turnPlayer.bankedTurns || 0, true);
+}
+
+/**
+ * Build a rules engine state from the local mode board state
+ * @returns {object} Game state in the games/{gameId} document shape
+ */
+function getLocalRulesState() {
+    const linesObj = {};
+    lines.forEach(l => {
+        linesObj[RulesEngine.getLineKey(l.row, l.col, l.direction)] = l.ownerId;
+    });
+
+    const boxesObj = {};
+    boxes.forEach(b => {
+        boxesObj[RulesEngine.getBoxKey(b.row, b.col)] = { ownerId: b.ownerId, type: b.type || 'normal' };
+    });
+
+    return {
+        status: 'active',
+        boardWidth: boardShape.boardWidth,
+        boardHeight: boardShape.boardHeight,
+        disabledBoxes: boardShape.disabledBoxes,
+        players: players.map(p => ({ score: p.score || 0, bankedTurns: p.bankedTurns || 0 })),
+        playerCount: players.length,
+        currentPlayerIndex: currentPlayer,
+        lines: linesObj,
+        boxes: boxesObj,
+        specialSquares: {
+            golden: [...localSpecialSquares.golden],
+            penalty: [...localSpecialSquares.penalty]
+        }
+    };
+}
+
+/**
+ * Copy a rules engine state back into the local mode board state
+ * @param {object} state - Game state returned by RulesEngine
+ */
+function applyLocalRulesState(state) {
+    lines.length = 0;
+    Object.entries(state.lines).forEach(([key, ownerId]) => {
+        lines.push({ ...RulesEngine.parseLineKey(key), ownerId });
+    });
+
+    boxes.length = 0;
+    Object.entries(state.boxes).forEach(([key, box]) => {
+        boxes.push({ ...RulesEngine.parsePointKey(key), ownerId: box.ownerId, type: box.type });
+    });
+
+    state.players.forEach((p, index) => {
+        if (players[index]) {
+            players[index].score = p.score || 0;
+            players[index].bankedTurns = p.bankedTurns || 0;
+        }
+    });
+
+    currentPlayer = state.currentPlayerIndex;
+    localSpecialSquares.golden = [...state.specialSquares.golden];
+    localSpecialSquares.penalty = [...state.specialSquares.penalty];
+}
+
 // Track pointer state for distinguishing click from drag
 let pointerDownTime = 0;
 let pointerDownPos = null;
@@ -2048,11 +2171,14 @@ const CLICK_TIMEOUT = 200; // Max ms for a quick tap
  * @param {number} y - Canvas Y coordinate
  */
 function handlePointerDownAt(x, y) {
+    // The board is read-only while a replay is showing
+    if (typeof ReplayService !== 'undefined' && ReplayService.isActive()) return;
+
     pointerDownTime = Date.now();
     pointerDownPos = { x, y };
 
     // Opponents can't initiate drags - only tap for sabotage
-    const isOpponent = typeof GameService !== 'undefined' && !GameService.isMyTurn();
+    const isOpponent = isMultiplayerGame() && !GameService.isMyTurn();
     if (isOpponent) return;
 
     const dot = getNearestDot(x, y);
@@ -2113,12 +2239,14 @@ function handlePointerMoveAt(x, y) {
  * @param {number} y - Canvas Y coordinate
  */
 function handlePointerUpAt(x, y) {
+    if (typeof ReplayService !== 'undefined' && ReplayService.isActive()) return;
+
     const wasQuickTap = (Date.now() - pointerDownTime) < CLICK_TIMEOUT;
     const movedDistance = pointerDownPos ?
         Math.sqrt(Math.pow(x - pointerDownPos.x, 2) + Math.pow(y - pointerDownPos.y, 2)) : 0;
 
     // Check if it's NOT our turn - opponents can only tap for sabotage
-    const isOpponent = typeof GameService !== 'undefined' && !GameService.isMyTurn();
+    const isOpponent = isMultiplayerGame() && !GameService.isMyTurn();
 
     if (isOpponent) {
         // Opponents can only interact via sabotage taps or special square tooltips
@@ -2199,8 +2327,8 @@ function handlePointerUpAt(x, y) {
  * @returns {boolean} True if a special square was tapped
  */
 function checkSpecialSquareTap(x, y) {
-    let specialSquares = { golden: [], penalty: [] };
-    if (typeof GameService !== 'undefined' && GameService.getSpecialSquares) {
+    let specialSquares = localSpecialSquares;
+    if (isMultiplayerGame()) {
         specialSquares = GameService.getSpecialSquares();
     }
     if (!specialSquares.golden && !specialSquares.penalty) return false;
@@ -2330,8 +2458,10 @@ function getNearestLine(x, y) {
     let nearestDistance = TAP_TOLERANCE;
 
     // Check all possible horizontal lines
-    for (let row = 0; row < GRID_SIZE; row++) {
-        for (let col = 0; col < GRID_SIZE - 1; col++) {
+    for (let row = 0; row <= boardShape.boardHeight; row++) {
+        for (let col = 0; col < boardShape.boardWidth; col++) {
+            if (!RulesEngine.isLineOnBoard(boardShape, row, col, 'h')) continue;
+
             const dot1 = getDotPosition(row, col);
             const dot2 = getDotPosition(row, col + 1);
 
@@ -2353,8 +2483,10 @@ function getNearestLine(x, y) {
     }
 
     // Check all possible vertical lines
-    for (let row = 0; row < GRID_SIZE - 1; row++) {
-        for (let col = 0; col < GRID_SIZE; col++) {
+    for (let row = 0; row < boardShape.boardHeight; row++) {
+        for (let col = 0; col <= boardShape.boardWidth; col++) {
+            if (!RulesEngine.isLineOnBoard(boardShape, row, col, 'v')) continue;
+
             const dot1 = getDotPosition(row, col);
             const dot2 = getDotPosition(row + 1, col);
 
@@ -2385,7 +2517,7 @@ function getNearestLine(x, y) {
  */
 function isLineOwned(line) {
     // Check against Firebase state if in multiplayer mode
-    if (typeof GameService !== 'undefined' && GameService.lineExists) {
+    if (isMultiplayerGame()) {
         return GameService.lineExists(line.row, line.col, line.direction);
     }
 
@@ -2397,126 +2529,21 @@ function isLineOwned(line) {
     );
 }
 
-/**
- * Add a line to the game state
- * @param {number} row - Row index
- * @param {number} col - Column index
- * @param {string} direction - 'h' for horizontal, 'v' for vertical
- * @param {number} ownerId - Player ID who owns the line
- */
-function addLine(row, col, direction, ownerId) {
-    lines.push({ row, col, direction, ownerId });
-}
-
-/**
- * Check if a box is already owned
- * @param {number} row - Box row index
- * @param {number} col - Box column index
- * @returns {boolean} True if box is owned
- */
-function isBoxOwned(row, col) {
-    return boxes.some(b => b.row === row && b.col === col);
-}
-
-/**
- * Check if a box is completed (all 4 sides have lines)
- * @param {number} row - Box row index
- * @param {number} col - Box column index
- * @returns {boolean} True if all 4 sides have lines
- */
-function isBoxCompleted(row, col) {
-    // A box is completed if all 4 lines exist:
-    // Top: horizontal at (row, col)
-    // Bottom: horizontal at (row+1, col)
-    // Left: vertical at (row, col)
-    // Right: vertical at (row, col+1)
-
-    const hasTop = isLineOwned({ row, col, direction: 'h' });
-    const hasBottom = isLineOwned({ row: row + 1, col, direction: 'h' });
-    const hasLeft = isLineOwned({ row, col, direction: 'v' });
-    const hasRight = isLineOwned({ row, col: col + 1, direction: 'v' });
-
-    return hasTop && hasBottom && hasLeft && hasRight;
-}
-
-/**
- * Check and complete boxes affected by a new line
- * @param {{row: number, col: number, direction: string}} line - The line that was just added
- * @param {number} ownerId - Player ID who placed the line
- * @returns {{count: number, hasGolden: boolean, hasPenalty: boolean}} Completion results
- */
-function checkAndCompleteBoxes(line, ownerId) {
-    let completedCount = 0;
-    let hasGolden = false;
-    let hasPenalty = false;
-    const boxesToCheck = [];
-
-    // Determine which boxes might be affected by this line
-    if (line.direction === 'h') {
-        // Horizontal line can affect box above and below
-        if (line.row > 0) {
-            boxesToCheck.push({ row: line.row - 1, col: line.col });
-        }
-        if (line.row < GRID_SIZE - 1) {
-            boxesToCheck.push({ row: line.row, col: line.col });
-        }
-    } else {
-        // Vertical line can affect box left and right
-        if (line.col > 0) {
-            boxesToCheck.push({ row: line.row, col: line.col - 1 });
-        }
-        if (line.col < GRID_SIZE - 1) {
-            boxesToCheck.push({ row: line.row, col: line.col });
-        }
-    }
-
-    // Get special squares to check if completed boxes are special
-    let specialSquares = { golden: [], penalty: [] };
-    if (typeof GameService !== 'undefined' && GameService.getSpecialSquares) {
-        specialSquares = GameService.getSpecialSquares();
-    } else {
-        // Use local special squares for single-player mode
-        specialSquares = localSpecialSquares;
-    }
-
-    // Check each affected box
-    for (const box of boxesToCheck) {
-        if (!isBoxOwned(box.row, box.col) && isBoxCompleted(box.row, box.col)) {
-            // Check if this box is a special square
-            const boxKey = `${box.row},${box.col}`;
-            let boxType = null;
-            if (specialSquares.golden && specialSquares.golden.includes(boxKey)) {
-                boxType = 'golden';
-                hasGolden = true;
-            } else if (specialSquares.penalty && specialSquares.penalty.includes(boxKey)) {
-                boxType = 'penalty';
-                hasPenalty = true;
-            }
-
-            boxes.push({ row: box.row, col: box.col, ownerId, type: boxType });
-            completedCount++;
-            console.log('Box completed:', box, 'by player', ownerId, boxType ? `(${boxType})` : '');
-        }
-    }
-
-    return { count: completedCount, hasGolden, hasPenalty };
-}
+// Turn timer display (timed online games)
+let turnTimerInterval = null;
+const TURN_TIMER_TICK = 250;
+const TURN_TIMER_LOW = 5000; // Turn the countdown red for the last 5 seconds
 
-/**
- * Calculate scores for all players based on owned boxes
- */
-function calculateScores() {
-    // Reset scores
-    players.forEach(player => player.score = 0);
+// Quick emotes floating over score items (see showEmoteReaction)
+const EMOTE_REACTION_DURATION = 2000; // Keep in sync with the emote-float animation in styles.css
+const emoteReactions = {}; // playerIndex -> {text, shownAt}
 
-    // Count boxes owned by each player
-    boxes.forEach(box => {
-        const player = players.find(p => p.id === box.ownerId);
-        if (player) {
-            player.score++;
-        }
-    });
-}
+// Scoreboard labels for GameService.getPlayerPresence states
+const PRESENCE_LABELS = {
+    online: 'Connected',
+    away: 'Away',
+    offline: 'Disconnected'
+};
 
 /**
  * Update the scoreboard UI
@@ -2545,6 +2572,7 @@ function updateScoreboard() {
     players.forEach((player, index) => {
         const scoreItem = document.createElement('div');
         scoreItem.className = 'score-item';
+        scoreItem.dataset.playerIndex = index;
 
         // Highlight current player
         if (index === currentPlayer) {
@@ -2556,6 +2584,19 @@ function updateScoreboard() {
         nameEl.className = 'score-name';
         nameEl.innerHTML = `<span style="display:inline-block;width:12px;height:12px;border-radius:50%;background:${player.color};margin-right:6px;border:1px solid #FFFFFF;box-sizing:border-box;"></span>${player.name}`;
 
+        // Connection status in online games (bots have none)
+        const presence = isMultiplayerGame() ? GameService.getPlayerPresence(index) : null;
+        if (presence) {
+            const presenceEl = document.createElement('span');
+            presenceEl.className = `presence-indicator ${presence}`;
+            presenceEl.title = PRESENCE_LABELS[presence];
+            presenceEl.setAttribute('aria-label', PRESENCE_LABELS[presence]);
+            nameEl.appendChild(presenceEl);
+            if (presence !== 'online') {
+                scoreItem.classList.add(`presence-${presence}`);
+            }
+        }
+
         // Score value
         const scoreEl = document.createElement('div');
         scoreEl.className = 'score-value';
@@ -2563,13 +2604,131 @@ function updateScoreboard() {
 
         scoreItem.appendChild(nameEl);
         scoreItem.appendChild(scoreEl);
+
+        // Turn clock in timed online games (filled in by updateTurnTimerDisplay)
+        const timeLeft = isMultiplayerGame() ? GameService.getTurnTimeRemaining(index) : null;
+        if (timeLeft !== null) {
+            const timerEl = document.createElement('div');
+            timerEl.className = 'score-timer';
+            timerEl.dataset.playerIndex = index;
+            scoreItem.classList.add('timed');
+            scoreItem.appendChild(timerEl);
+        }
+
+        appendEmoteReaction(scoreItem, index);
         scoreboardEl.appendChild(scoreItem);
     });
 
+    updateTurnTimerDisplay();
+    if (scoreboardEl.querySelector('.score-timer')) {
+        if (!turnTimerInterval) {
+            turnTimerInterval = setInterval(updateTurnTimerDisplay, TURN_TIMER_TICK);
+        }
+    } else {
+        stopTurnTimerDisplay();
+    }
+
     // Update game status message
     updateGameStatus();
 }
 
+/**
+ * Float a quick emote over the sender's scoreboard entry (called by chat.js)
+ * Spectators have no entry, so their emotes only show in the chat
+ * @param {string} uid - Sender
+ * @param {string} text - The emote
+ */
+function showEmoteReaction(uid, text) {
+    const gameState = isMultiplayerGame() ? GameService.getState() : null;
+    const playerIndex = gameState && gameState.members ? gameState.members[uid] : undefined;
+    if (typeof playerIndex !== 'number') return;
+
+    emoteReactions[playerIndex] = { text, shownAt: Date.now() };
+    const scoreItem = document.querySelector(`#scoreboard .score-item[data-player-index="${playerIndex}"]`);
+    if (scoreItem) {
+        appendEmoteReaction(scoreItem, playerIndex);
+    }
+}
+
+/**
+ * Add a player's current emote to their score item
+ * The scoreboard is rebuilt on every game update, so the animation resumes
+ * where it was rather than starting over
+ * @param {HTMLElement} scoreItem
+ * @param {number} playerIndex
+ */
+function appendEmoteReaction(scoreItem, playerIndex) {
+    const reaction = emoteReactions[playerIndex];
+    if (!reaction) return;
+
+    const elapsed = Date.now() - reaction.shownAt;
+    if (elapsed >= EMOTE_REACTION_DURATION) {
+        delete emoteReactions[playerIndex];
+        return;
+    }
+
+    const previous = scoreItem.querySelector('.emote-reaction');
+    if (previous) {
+        previous.remove();
+    }
+
+    const reactionEl = document.createElement('span');
+    reactionEl.className = 'emote-reaction';
+    reactionEl.textContent = reaction.text;
+    reactionEl.style.animationDelay = `-${elapsed}ms`;
+    reactionEl.addEventListener('animationend', () => reactionEl.remove());
+    scoreItem.appendChild(reactionEl);
+}
+
+/**
+ * Refresh the countdown text and the ring around the active player's score item
+ */
+function updateTurnTimerDisplay() {
+    const timerEls = document.querySelectorAll('#scoreboard .score-timer');
+    if (timerEls.length === 0 || !isMultiplayerGame()) {
+        stopTurnTimerDisplay();
+        return;
+    }
+
+    const limit = GameService.getTurnTimeLimit();
+    timerEls.forEach(timerEl => {
+        const index = parseInt(timerEl.dataset.playerIndex, 10);
+        const timeLeft = GameService.getTurnTimeRemaining(index);
+        if (timeLeft === null) return;
+
+        timerEl.textContent = formatTurnTime(timeLeft);
+
+        const isActive = index === currentPlayer;
+        timerEl.classList.toggle('low', isActive && timeLeft < TURN_TIMER_LOW);
+        if (isActive && limit) {
+            const progress = Math.max(0, Math.min(1, timeLeft / limit));
+            timerEl.parentElement.style.setProperty('--timer-progress', progress);
+        }
+    });
+}
+
+/**
+ * Stop refreshing the turn countdown
+ */
+function stopTurnTimerDisplay() {
+    if (turnTimerInterval) {
+        clearInterval(turnTimerInterval);
+        turnTimerInterval = null;
+    }
+}
+
+/**
+ * Format a countdown as "45s" or "4:05"
+ * @param {number} ms - Milliseconds left
+ * @returns {string}
+ */
+function formatTurnTime(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const rest = seconds % 60;
+    return `${Math.floor(seconds / 60)}:${rest < 10 ? '0' : ''}${rest}`;
+}
+
 /**
  * Update the game status message
  */
@@ -2580,6 +2739,9 @@ function updateGameStatus() {
     const currentPlayerObj = players[currentPlayer];
     if (currentPlayerObj) {
         statusEl.innerHTML = `<strong style="color:${currentPlayerObj.color}">${currentPlayerObj.name}'s Turn</strong>`;
+        if (isMultiplayerGame() && GameService.isSpectating()) {
+            statusEl.insertAdjacentHTML('afterbegin', 'Watching &middot; ');
+        }
     }
 }
 
@@ -2588,8 +2750,7 @@ function updateGameStatus() {
  * @returns {boolean} True if game is over
  */
 function isGameOver() {
-    const totalBoxes = (GRID_SIZE - 1) * (GRID_SIZE - 1); // 5x5 = 25 boxes
-    return boxes.length >= totalBoxes;
+    return RulesEngine.isBoardFull(getLocalRulesState());
 }
 
 /**
@@ -2611,6 +2772,13 @@ function determineWinner() {
 function showGameOver() {
     const result = determineWinner();
 
+    // Online games fill this in afterwards (see showGameOverFromState)
+    const rulesEl = document.getElementById('gameover-rules');
+    if (rulesEl) {
+        rulesEl.textContent = '';
+    }
+    showSeriesStandings(null);
+
     // Update winner display
     const winnerDisplayEl = document.getElementById('winner-display');
     if (winnerDisplayEl) {
@@ -2665,6 +2833,9 @@ function showGameOver() {
 function updateBoardFromGameState(gameState) {
     if (!gameState) return;
 
+    // Match the board layout chosen by the host
+    setBoardShape(gameState);
+
     // Update lines array from game state
     lines.length = 0;
     if (gameState.linesArray) {
@@ -2753,6 +2924,7 @@ function updateScoreboardFromState(gameState) {
 
     // Refresh the scoreboard UI
     updateScoreboard();
+    updateSeriesBanner(gameState);
 }
 
 /**
@@ -2779,6 +2951,118 @@ function showGameOverFromState(gameState) {
 
     // Use the standard game over display
     showGameOver();
+
+    // Show which rules were played (online games only)
+    const rulesEl = document.getElementById('gameover-rules');
+    if (rulesEl) {
+        rulesEl.textContent = `Rules: ${RulesEngine.getRulePreset(RulesEngine.getSettings(gameState)).name}`;
+    }
+    showSeriesStandings(gameState);
+}
+
+/**
+ * Describe a series and its wins so far, e.g. "Best of 5 - Game 3 · Ana 1 · Ben 1"
+ * @param {object} series - The game's series field (see series.js)
+ * @returns {string}
+ */
+function getSeriesSummary(series) {
+    const standings = Series.getSeriesStatus(series).standings;
+    const wins = standings.map(row => `${row.name} ${row.wins}`);
+    return [Series.describeSeriesGame(series), ...wins].join(' · ');
+}
+
+/**
+ * Show or hide the series banner above the scoreboard
+ * @param {object|null} gameState - The game state from Firebase (null hides the banner)
+ */
+function updateSeriesBanner(gameState) {
+    const bannerEl = document.getElementById('series-banner');
+    if (!bannerEl) return;
+
+    const series = gameState && gameState.series;
+    bannerEl.hidden = !series;
+    bannerEl.textContent = series ? getSeriesSummary(series) : '';
+}
+
+/**
+ * Fill in the series standings on the game over screen, including this game
+ * @param {object|null} gameState - The finished game state (null hides the standings)
+ */
+function showSeriesStandings(gameState) {
+    const standingsEl = document.getElementById('series-standings');
+    if (!standingsEl) return;
+
+    const series = gameState && gameState.series;
+    standingsEl.hidden = !series;
+    standingsEl.innerHTML = '';
+    if (!series) return;
+
+    const status = Series.getSeriesStatus(series, Series.getGameResult(gameState));
+
+    const titleEl = document.createElement('h3');
+    titleEl.textContent = `${Series.getSeriesOption(series).name} - after ${status.gameNumber} game${status.gameNumber === 1 ? '' : 's'}`;
+    standingsEl.appendChild(titleEl);
+
+    status.standings.forEach(row => {
+        const rowEl = document.createElement('div');
+        rowEl.className = 'series-standings-row';
+        if (status.champion && status.champion.id === row.id) {
+            rowEl.classList.add('champion');
+        }
+        rowEl.innerHTML = `
+            <span class="series-standings-name"><span class="series-standings-color" style="background:${row.color};"></span></span>
+            <span>${row.wins} W</span>
+            <span>${row.boxes} boxes</span>
+        `;
+        rowEl.querySelector('.series-standings-name').appendChild(document.createTextNode(row.name));
+        standingsEl.appendChild(rowEl);
+    });
+
+    const resultEl = document.createElement('p');
+    resultEl.className = 'series-standings-result';
+    if (status.champion) {
+        resultEl.innerHTML = `<span style="color:${status.champion.color}"></span> wins the series!`;
+        resultEl.firstChild.textContent = status.champion.name;
+    } else {
+        resultEl.textContent = `First to ${Series.getWinsNeeded(series)} wins takes the series - Rematch for the next game`;
+    }
+    standingsEl.appendChild(resultEl);
+}
+
+/**
+ * Start a pass-and-play game on this device (no Firebase needed)
+ * Uses the same rules engine, special squares and game over screen as online games
+ * @param {{names: string[], layout: string, boardSize: number}} options - 2-7 player names and board
+ */
+function startLocalGame(options) {
+    lines.length = 0;
+    boxes.length = 0;
+    currentPlayer = 0;
+    setBoardShape(BoardLayouts.buildBoard(options.layout, options.boardSize));
+    clearInputState();
+
+    // Seat the players with shuffled colors, like an online game
+    const colors = generatePlayerColors();
+    players.length = 0;
+    options.names.forEach((name, index) => {
+        players.push({
+            id: index,
+            name: name || `Player ${index + 1}`,
+            color: colors[index],
+            score: 0,
+            bankedTurns: 0
+        });
+    });
+
+    turnCounter = 0;
+    nextMoveTurn = getRandomMoveTurn();
+    initializeSpecialSquares();
+
+    updateScoreboard();
+    updateLocalTurnStyle();
+    redraw();
+
+    console.log('Local game started:', players.length, 'players on', boardShape.boardWidth, 'x', boardShape.boardHeight);
 }
 
 /**
@@ -2790,8 +3074,9 @@ function resetBoardState() {
     lines.length = 0;
     boxes.length = 0;
 
-    // Reset current player
+    // Reset current player and board shape
     currentPlayer = 0;
+    setBoardShape(BoardLayouts.buildBoard(BoardLayouts.DEFAULT_LAYOUT, BoardLayouts.DEFAULT_BOARD_BOXES));
 
     // Clear input state
     clearInputState();
@@ -2806,6 +3091,7 @@ function resetBoardState() {
 
     // Update UI
     updateScoreboard();
+    updateSeriesBanner(null);
 
     // Reset turn counter and special squares
     turnCounter = 0;
@@ -2874,7 +3160,7 @@ function validateSpecialSquares() {
  */
 function initializeSpecialSquares() {
     // Skip if in multiplayer mode (GameService handles it)
-    if (typeof GameService !== 'undefined' && GameService.getState && GameService.getState()) {
+    if (isMultiplayerGame()) {
         return;
     }
 
@@ -2903,52 +3189,8 @@ function initializeSpecialSquares() {
  * @returns {string[]} Array of "row,col" keys for uncompleted boxes
  */
 function getUncompletedBoxPositions() {
-    const positions = [];
-    for (let row = 0; row < GRID_SIZE - 1; row++) {
-        for (let col = 0; col < GRID_SIZE - 1; col++) {
-            const key = `${row},${col}`;
-            if (!boxes.some(b => `${b.row},${b.col}` === key)) {
-                positions.push(key);
-            }
-        }
-    }
-    return positions;
-}
-
-/**
- * Replenish a specific type of special square immediately when completed
- * @param {string} type - 'golden' or 'penalty'
- */
-function replenishSpecialSquare(type) {
-    // Skip if in multiplayer mode (GameService handles it)
-    if (typeof GameService !== 'undefined' && GameService.getState && GameService.getState()) {
-        return;
-    }
-
-    // Remove completed special squares of this type
-    localSpecialSquares[type] = localSpecialSquares[type].filter(key =>
-        !boxes.some(b => `${b.row},${b.col}` === key)
-    );
-
-    const uncompletedPositions = getUncompletedBoxPositions();
-    const currentSpecial = [...localSpecialSquares.golden, ...localSpecialSquares.penalty];
-    const availablePositions = uncompletedPositions.filter(pos => !currentSpecial.includes(pos));
-
-    if (availablePositions.length === 0) {
-        console.log(`No available positions to place new ${type} square`);
-        return;
-    }
-
-    // Pick a random available position
-    const shuffled = [...availablePositions].sort(() => Math.random() - 0.5);
-    const newPosition = shuffled[0];
-
-    // Add the new special square of the same type
-    localSpecialSquares[type].push(newPosition);
-
-    console.log(`${type} square completed! New ${type} square placed at ${newPosition}`);
-    console.log('Current special squares:', localSpecialSquares);
-    redraw();
+    return RulesEngine.getAllBoxKeys(boardShape)
+        .filter(key => !boxes.some(b => `${b.row},${b.col}` === key));
 }
 
 /**
@@ -2957,7 +3199,7 @@ function replenishSpecialSquare(type) {
  */
 function moveSpecialSquares() {
     // Skip if in multiplayer mode (GameService handles it)
-    if (typeof GameService !== 'undefined' && GameService.getState && GameService.getState()) {
+    if (isMultiplayerGame()) {
         return;
     }
 
@@ -3002,7 +3244,7 @@ function moveSpecialSquares() {
  */
 function checkAndMoveSpecialSquares() {
     // Skip if in multiplayer mode
-    if (typeof GameService !== 'undefined' && GameService.getState && GameService.getState()) {
+    if (isMultiplayerGame()) {
         return;
     }
 
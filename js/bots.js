@@ -0,0 +1,380 @@
+/**
+ * bots.js - Computer opponents for Dots and Lines
+ * Picks a line for a bot seat from a rules-engine state
+ *
+ * Levels:
+ * - easy:   Random legal line
+ * - medium: Takes free boxes, otherwise avoids drawing the third side of a box
+ * - hard:   Chain analysis (hands over the smallest chain, keeps control with
+ *           the long-chain double-dealing move) and plays around golden and
+ *           penalty squares
+ *
+ * Like rules.js this module is DOM-free and Firebase-free. Bots only ever
+ * choose from RulesEngine.getLegalMoves, so prohibited and anchored dots are
+ * respected; the chosen move is played through the same path as a human's.
+ *
+ * Used by:
+ * - game.js: The host picks moves for bot seats
+ * - firebase.js: Bot seat names
+ */
+
+(function(root) {
+  'use strict';
+
+  const RulesEngine = (typeof module !== 'undefined' && module.exports)
+    ? require('./rules.js')
+    : root.RulesEngine;
+
+  const BOT_LEVELS = [
+    { id: 'easy', name: 'Easy' },
+    { id: 'medium', name: 'Medium' },
+    { id: 'hard', name: 'Hard' }
+  ];
+  const DEFAULT_BOT_LEVEL = 'medium';
+
+  // How much handing a box to an opponent hurts (golden banks them a turn)
+  const GIFT_WEIGHTS = { normal: 1, golden: 2, penalty: 1 };
+
+  // Hand over the last two boxes of a chain when the opponent must then give back more than this
+  const DOUBLE_DEAL_THRESHOLD = 2;
+
+  /**
+   * Look up a level by id (falls back to the default level)
+   * @param {string} id - Level id
+   * @returns {{id: string, name: string}}
+   */
+  function getBotLevel(id) {
+    return BOT_LEVELS.find(level => level.id === id) ||
+      BOT_LEVELS.find(level => level.id === DEFAULT_BOT_LEVEL);
+  }
+
+  /**
+   * Pick a random element
+   * @param {Array} items - Non-empty array
+   * @param {function} random - Returns a number in [0, 1)
+   * @returns {*}
+   */
+  function pickRandom(items, random) {
+    return items[Math.floor(random() * items.length)];
+  }
+
+  /**
+   * Keep the items with the lowest score
+   * @param {Array} items
+   * @param {function} score - item => number
+   * @returns {Array}
+   */
+  function lowestScoring(items, score) {
+    let best = Infinity;
+    let result = [];
+    items.forEach(item => {
+      const value = score(item);
+      if (value < best) {
+        best = value;
+        result = [item];
+      } else if (value === best) {
+        result.push(item);
+      }
+    });
+    return result;
+  }
+
+  // ============================================
+  // BOARD MODEL
+  // Lightweight copy of lines and claimed boxes for fast look-ahead
+  // ============================================
+
+  /**
+   * Build a look-ahead model from a game state
+   * @param {object} state - Game state
+   * @returns {{state: object, lines: Set<string>, claimed: Set<string>}}
+   */
+  function createModel(state) {
+    const lines = new Set(Object.keys(state.lines || {}).filter(key => RulesEngine.hasLine(state, key)));
+    const claimed = new Set(Object.keys(state.boxes || {}));
+    return { state, lines, claimed };
+  }
+
+  /**
+   * Copy a model so look-ahead can change it
+   * @param {object} model
+   * @returns {object}
+   */
+  function cloneModel(model) {
+    return { state: model.state, lines: new Set(model.lines), claimed: new Set(model.claimed) };
+  }
+
+  /**
+   * Count the drawn sides of a box
+   * @param {object} model
+   * @param {{row: number, col: number}} box
+   * @returns {number}
+   */
+  function countSides(model, box) {
+    return RulesEngine.getBoxSides(box.row, box.col).filter(key => model.lines.has(key)).length;
+  }
+
+  /**
+   * Get the open boxes on either side of a line
+   * @param {object} model
+   * @param {{row: number, col: number, direction: string}} line
+   * @returns {Array<{row: number, col: number, key: string}>}
+   */
+  function getOpenNeighbours(model, line) {
+    return RulesEngine.getAdjacentBoxes(model.state, line.row, line.col, line.direction)
+      .map(box => ({ ...box, key: RulesEngine.getBoxKey(box.row, box.col) }))
+      .filter(box => !model.claimed.has(box.key));
+  }
+
+  /**
+   * Get the special square type of a box key
+   * @param {object} model
+   * @param {string} key - Box key "row,col"
+   * @returns {string} 'golden', 'penalty' or 'normal'
+   */
+  function getBoxType(model, key) {
+    const { row, col } = RulesEngine.parsePointKey(key);
+    return RulesEngine.getSpecialSquareType(model.state, row, col);
+  }
+
+  /**
+   * Get the boxes a line would complete
+   * @param {object} model
+   * @param {{row: number, col: number, direction: string}} line
+   * @returns {Array<{row: number, col: number, key: string}>}
+   */
+  function getCompletedBy(model, line) {
+    return getOpenNeighbours(model, line).filter(box => countSides(model, box) === 3);
+  }
+
+  /**
+   * Count the boxes a line leaves with three sides (without completing them)
+   * @param {object} model
+   * @param {{row: number, col: number, direction: string}} line
+   * @returns {number}
+   */
+  function countThirdSides(model, line) {
+    return getOpenNeighbours(model, line).filter(box => countSides(model, box) === 2).length;
+  }
+
+  /**
+   * Draw a line in the model and claim whatever it completes
+   * @param {object} model - Mutated
+   * @param {{row: number, col: number, direction: string}} line
+   * @returns {Array<{row: number, col: number, key: string}>} Boxes claimed
+   */
+  function drawInModel(model, line) {
+    const completed = getCompletedBy(model, line);
+    model.lines.add(RulesEngine.getLineKey(line.row, line.col, line.direction));
+    completed.forEach(box => model.claimed.add(box.key));
+    return completed;
+  }
+
+  /**
+   * Let the next player take every box they can, one after another
+   * @param {object} model - Mutated
+   * @returns {{count: number, weight: number}} Boxes taken and their weighted value
+   */
+  function takeAllCapturable(model) {
+    let count = 0;
+    let weight = 0;
+    let found = true;
+
+    while (found) {
+      found = false;
+      for (const key of RulesEngine.getAllBoxKeys(model.state)) {
+        if (model.claimed.has(key)) continue;
+        const box = RulesEngine.parsePointKey(key);
+        const missing = RulesEngine.getBoxSides(box.row, box.col).filter(side => !model.lines.has(side));
+        if (missing.length !== 1) continue;
+
+        drawInModel(model, RulesEngine.parseLineKey(missing[0])).forEach(taken => {
+          count++;
+          weight += GIFT_WEIGHTS[getBoxType(model, taken.key)] || 1;
+        });
+        found = true;
+      }
+    }
+
+    return { count, weight };
+  }
+
+  /**
+   * Weighted number of boxes the opponent can take after a (non-capturing) line
+   * @param {object} model
+   * @param {{row: number, col: number, direction: string}} line
+   * @returns {number}
+   */
+  function getGiveaway(model, line) {
+    const next = cloneModel(model);
+    drawInModel(next, line);
+    return takeAllCapturable(next).weight;
+  }
+
+  /**
+   * Get every undrawn line in a model
+   * @param {object} model
+   * @returns {Array<{row: number, col: number, direction: string}>}
+   */
+  function getOpenLines(model) {
+    return RulesEngine.getAllLineKeys(model.state)
+      .filter(key => !model.lines.has(key))
+      .map(RulesEngine.parseLineKey);
+  }
+
+  /**
+   * Smallest weighted giveaway the player to move is forced into
+   * (0 while a safe line remains)
+   * @param {object} model
+   * @returns {number}
+   */
+  function getForcedGiveaway(model) {
+    const open = getOpenLines(model);
+    if (open.length === 0) return 0;
+    if (open.some(line => countThirdSides(model, line) === 0)) return 0;
+    return Math.min(...open.map(line => getGiveaway(model, line)));
+  }
+
+  // ============================================
+  // LEVELS
+  // ============================================
+
+  /**
+   * Easy: any legal line
+   */
+  function chooseEasyMove(state, legal, random) {
+    return pickRandom(legal, random);
+  }
+
+  /**
+   * Medium: take a box if possible, otherwise avoid drawing a third side
+   */
+  function chooseMediumMove(state, legal, random) {
+    const model = createModel(state);
+
+    const captures = legal.filter(line => getCompletedBy(model, line).length > 0);
+    if (captures.length > 0) {
+      return pickRandom(captures, random);
+    }
+
+    return pickRandom(lowestScoring(legal, line => countThirdSides(model, line)), random);
+  }
+
+  /**
+   * Find the double-dealing move at the end of a chain
+   * When only two boxes are left to take (A with three sides, then B through
+   * their shared line), drawing B's far side hands both to the opponent, who
+   * then has to open the next chain for us.
+   * @param {object} model
+   * @param {Array<object>} legal - Legal lines
+   * @returns {{row: number, col: number, direction: string}|null}
+   */
+  function findDoubleDeal(model, legal) {
+    const remaining = takeAllCapturable(cloneModel(model));
+    if (remaining.count !== 2) return null;
+
+    for (const line of legal) {
+      const completed = getCompletedBy(model, line);
+      if (completed.length !== 1) continue;
+
+      // Taking A must set up B as the last box
+      const next = cloneModel(model);
+      drawInModel(next, line);
+      const boxB = getOpenNeighbours(next, line).find(box => countSides(next, box) === 3);
+      if (!boxB) continue;
+
+      const farSide = RulesEngine.getBoxSides(boxB.row, boxB.col)
+        .find(key => !next.lines.has(key));
+      const far = RulesEngine.parseLineKey(farSide);
+
+      // The far side must not reach into another open box, and must be playable now
+      if (getOpenNeighbours(model, far).length !== 1) continue;
+      if (!legal.some(l => RulesEngine.getLineKey(l.row, l.col, l.direction) === farSide)) continue;
+
+      // Never hand over golden or penalty squares this way
+      if (getBoxType(model, completed[0].key) !== 'normal' || getBoxType(model, boxB.key) !== 'normal') continue;
+
+      // Worth it only if the opponent must then give back more than the two boxes
+      drawInModel(next, far);
+      if (getForcedGiveaway(next) > DOUBLE_DEAL_THRESHOLD) {
+        return far;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Hard: chain analysis plus golden/penalty awareness
+   */
+  function chooseHardMove(state, legal, random) {
+    const model = createModel(state);
+
+    // 1. Free boxes - golden first (banks a turn), penalty last (ends the turn)
+    const captures = legal.filter(line => getCompletedBy(model, line).length > 0);
+    if (captures.length > 0) {
+      const doubleDeal = findDoubleDeal(model, legal);
+      if (doubleDeal) return doubleDeal;
+
+      return pickRandom(lowestScoring(captures, line => {
+        const types = getCompletedBy(model, line).map(box => getBoxType(model, box.key));
+        if (types.includes('penalty')) return 2;
+        if (types.includes('golden')) return 0;
+        return 1;
+      }), random);
+    }
+
+    // 2. Safe lines - keep golden squares away from a third side, lure opponents towards penalties
+    const safe = legal.filter(line => countThirdSides(model, line) === 0);
+    if (safe.length > 0) {
+      return pickRandom(lowestScoring(safe, line => {
+        return getOpenNeighbours(model, line).reduce((score, box) => {
+          const type = getBoxType(model, box.key);
+          if (type === 'golden') return score + 1;
+          if (type === 'penalty') return score - 1;
+          return score;
+        }, 0);
+      }), random);
+    }
+
+    // 3. Every line gives something away - open the cheapest chain
+    return pickRandom(lowestScoring(legal, line => getGiveaway(model, line)), random);
+  }
+
+  const LEVEL_STRATEGIES = {
+    easy: chooseEasyMove,
+    medium: chooseMediumMove,
+    hard: chooseHardMove
+  };
+
+  /**
+   * Choose a line for the player whose turn it is
+   * @param {object} state - Game state (include sabotage to respect prohibit/anchor)
+   * @param {string} levelId - 'easy', 'medium' or 'hard'
+   * @param {object} [options]
+   * @param {function} [options.random] - Random source
+   * @returns {{row: number, col: number, direction: string}|null} null if there is no legal move
+   */
+  function chooseMove(state, levelId, options = {}) {
+    const random = options.random || Math.random;
+    const legal = RulesEngine.getLegalMoves(state);
+    if (legal.length === 0) return null;
+
+    const strategy = LEVEL_STRATEGIES[getBotLevel(levelId).id];
+    return strategy(state, legal, random);
+  }
+
+  const Bots = {
+    BOT_LEVELS,
+    DEFAULT_BOT_LEVEL,
+
+    getBotLevel,
+    chooseMove
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Bots;
+  } else {
+    root.Bots = Bots;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
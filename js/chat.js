@@ -0,0 +1,339 @@
+/**
+ * chat.js - In-game text chat and quick emotes for Dots and Lines
+ * A collapsible drawer on the lobby and game screens of online games
+ *
+ * Messages are stored under games/{gameId}/chat (see FirebaseService.sendChatMessage).
+ * Quick emotes are messages flagged emote: true; they also float over the
+ * sender's scoreboard entry. Muting is per player and local to this device.
+ *
+ * Coordinates with:
+ * - firebase.js: Sending and listening for messages
+ * - lobby.js: Opens the chat when entering a game, closes it when leaving
+ * - board.js: Floating emotes over the scoreboard (showEmoteReaction)
+ * - app.js: Control setup, showPrompt and showNotification
+ */
+
+const QUICK_EMOTES = ['nice!', 'ouch', 'gg', '\u{1F608}', '\u{1F602}', '\u{1F44F}'];
+const CHAT_SEND_COOLDOWN = 1000; // Matches the one-message-per-second security rule
+const CHAT_REACTION_MAX_AGE = 5000; // Older emotes (history) don't float
+const MUTED_PLAYERS_STORAGE_KEY = 'dotsAndLinesMutedPlayers';
+
+let chatGameId = null;
+let unsubscribeFromChat = null;
+let chatMessages = []; // Every message received for the open game, muted or not
+let chatUnreadCount = 0;
+let chatLastSentAt = 0;
+
+/**
+ * Load muted players from localStorage
+ * @returns {object} uid -> name
+ */
+function getMutedPlayers() {
+  try {
+    return JSON.parse(localStorage.getItem(MUTED_PLAYERS_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Save muted players to localStorage
+ * @param {object} mutedPlayers - uid -> name
+ */
+function saveMutedPlayers(mutedPlayers) {
+  localStorage.setItem(MUTED_PLAYERS_STORAGE_KEY, JSON.stringify(mutedPlayers));
+}
+
+/**
+ * Check if a player's messages are hidden
+ * @param {string} uid
+ * @returns {boolean}
+ */
+function isPlayerMuted(uid) {
+  return Object.prototype.hasOwnProperty.call(getMutedPlayers(), uid);
+}
+
+/**
+ * Hide or show a player's messages and emotes
+ * @param {string} uid
+ * @param {string} name - Shown in the muted list
+ * @param {boolean} muted
+ */
+function setPlayerMuted(uid, name, muted) {
+  const mutedPlayers = getMutedPlayers();
+  if (muted) {
+    mutedPlayers[uid] = name;
+  } else {
+    delete mutedPlayers[uid];
+  }
+  saveMutedPlayers(mutedPlayers);
+  renderChatMessages();
+}
+
+/**
+ * Start the chat for a game and show the drawer
+ * @param {string} gameId - Game ID
+ */
+function openChat(gameId) {
+  if (chatGameId === gameId) return;
+  closeChat();
+
+  chatGameId = gameId;
+  const drawerEl = document.getElementById('chat-drawer');
+  if (drawerEl) {
+    drawerEl.classList.remove('hidden');
+  }
+
+  unsubscribeFromChat = FirebaseService.subscribeToChat(gameId, handleChatMessage);
+  console.log('[CHAT] Opened for game:', gameId);
+}
+
+/**
+ * Stop the chat and hide the drawer
+ */
+function closeChat() {
+  if (unsubscribeFromChat) {
+    unsubscribeFromChat();
+    unsubscribeFromChat = null;
+  }
+
+  chatGameId = null;
+  chatMessages = [];
+  chatUnreadCount = 0;
+  toggleChatPanel(false);
+  renderChatMessages();
+  updateChatUnread();
+
+  const drawerEl = document.getElementById('chat-drawer');
+  if (drawerEl) {
+    drawerEl.classList.add('hidden');
+  }
+}
+
+/**
+ * Handle a message arriving from Firebase (history first, then live)
+ * @param {{id: string, uid: string, name: string, text: string, at: number, emote: boolean}} message
+ */
+function handleChatMessage(message) {
+  chatMessages.push(message);
+  if (isPlayerMuted(message.uid)) return;
+
+  appendChatMessage(message);
+
+  const user = FirebaseService.getUser();
+  const isOwn = !!(user && message.uid === user.uid);
+  const isLive = FirebaseService.getServerTime() - message.at < CHAT_REACTION_MAX_AGE;
+
+  if (message.emote && isLive && typeof showEmoteReaction === 'function') {
+    showEmoteReaction(message.uid, message.text);
+  }
+  if (!isOwn && isLive && !isChatPanelOpen()) {
+    chatUnreadCount++;
+    updateChatUnread();
+  }
+}
+
+/**
+ * Add one message to the bottom of the message list
+ * @param {object} message
+ */
+function appendChatMessage(message) {
+  const messagesEl = document.getElementById('chat-messages');
+  if (!messagesEl) return;
+
+  const user = FirebaseService.getUser();
+  const isOwn = !!(user && message.uid === user.uid);
+
+  const rowEl = document.createElement('div');
+  rowEl.className = 'chat-message';
+  if (message.emote) {
+    rowEl.classList.add('emote');
+  }
+
+  // Tapping someone else's name offers to mute them
+  const senderEl = document.createElement('button');
+  senderEl.className = 'chat-sender';
+  senderEl.textContent = message.name;
+  if (isOwn) {
+    senderEl.disabled = true;
+  } else {
+    senderEl.title = `Mute ${message.name}`;
+    senderEl.addEventListener('click', async function() {
+      const confirmed = await showPrompt(`Mute ${message.name}? You won't see their messages or emotes.`, {
+        confirmText: 'Mute',
+        cancelText: 'Cancel'
+      });
+      if (confirmed) {
+        setPlayerMuted(message.uid, message.name, true);
+      }
+    });
+  }
+
+  const textEl = document.createElement('span');
+  textEl.className = 'chat-text';
+  textEl.textContent = message.text;
+
+  rowEl.appendChild(senderEl);
+  rowEl.appendChild(textEl);
+  messagesEl.appendChild(rowEl);
+  messagesEl.scrollTop = messagesEl.scrollHeight;
+}
+
+/**
+ * Redraw the message list and the muted players list (after muting or unmuting)
+ */
+function renderChatMessages() {
+  const messagesEl = document.getElementById('chat-messages');
+  if (messagesEl) {
+    messagesEl.innerHTML = '';
+    chatMessages
+      .filter(message => !isPlayerMuted(message.uid))
+      .forEach(appendChatMessage);
+  }
+
+  const mutedEl = document.getElementById('chat-muted');
+  if (!mutedEl) return;
+
+  const mutedPlayers = getMutedPlayers();
+  const mutedInGame = Object.keys(mutedPlayers)
+    .filter(uid => chatMessages.some(message => message.uid === uid));
+  mutedEl.innerHTML = '';
+  mutedEl.hidden = mutedInGame.length === 0;
+
+  mutedInGame.forEach(uid => {
+    const unmuteBtn = document.createElement('button');
+    unmuteBtn.className = 'chat-unmute';
+    unmuteBtn.textContent = `${mutedPlayers[uid]} ×`;
+    unmuteBtn.setAttribute('aria-label', `Unmute ${mutedPlayers[uid]}`);
+    unmuteBtn.addEventListener('click', function() {
+      setPlayerMuted(uid, mutedPlayers[uid], false);
+    });
+    mutedEl.appendChild(unmuteBtn);
+  });
+}
+
+/**
+ * Send a message or emote from this player
+ * @param {string} text
+ * @param {boolean} [emote]
+ * @returns {Promise<boolean>} True if sent
+ */
+async function sendChat(text, emote = false) {
+  if (!chatGameId || !text.trim()) return false;
+
+  if (Date.now() - chatLastSentAt < CHAT_SEND_COOLDOWN) {
+    showNotification('Slow down a little!');
+    return false;
+  }
+  chatLastSentAt = Date.now();
+
+  const name = (typeof LobbyService !== 'undefined' && LobbyService.getSavedName()) || 'Player';
+  try {
+    await FirebaseService.sendChatMessage(chatGameId, name.slice(0, 12), text, emote);
+    return true;
+  } catch (error) {
+    if (FirebaseService.isPermissionDenied(error)) {
+      showNotification('Slow down a little!');
+    } else {
+      console.error('[CHAT] Failed to send message:', error);
+      showNotification('Message not sent');
+    }
+    return false;
+  }
+}
+
+/**
+ * Check if the message panel is expanded
+ * @returns {boolean}
+ */
+function isChatPanelOpen() {
+  const panelEl = document.getElementById('chat-panel');
+  return !!(panelEl && !panelEl.hidden);
+}
+
+/**
+ * Expand or collapse the message panel
+ * @param {boolean} open
+ */
+function toggleChatPanel(open) {
+  const panelEl = document.getElementById('chat-panel');
+  const toggleBtn = document.getElementById('chat-toggle-btn');
+  if (panelEl) {
+    panelEl.hidden = !open;
+  }
+  if (toggleBtn) {
+    toggleBtn.setAttribute('aria-expanded', String(open));
+  }
+
+  if (open) {
+    chatUnreadCount = 0;
+    updateChatUnread();
+    const messagesEl = document.getElementById('chat-messages');
+    if (messagesEl) {
+      messagesEl.scrollTop = messagesEl.scrollHeight;
+    }
+  }
+}
+
+/**
+ * Show the number of unread messages on the toggle button
+ */
+function updateChatUnread() {
+  const unreadEl = document.getElementById('chat-unread');
+  if (!unreadEl) return;
+  unreadEl.hidden = chatUnreadCount === 0;
+  unreadEl.textContent = chatUnreadCount > 9 ? '9+' : String(chatUnreadCount);
+}
+
+/**
+ * Set up the drawer toggle, message form and emote buttons
+ */
+function setupChatControls() {
+  const toggleBtn = document.getElementById('chat-toggle-btn');
+  const form = document.getElementById('chat-form');
+  const input = document.getElementById('chat-input');
+  const emotesEl = document.getElementById('chat-emotes');
+
+  if (toggleBtn) {
+    toggleBtn.addEventListener('click', function() {
+      toggleChatPanel(!isChatPanelOpen());
+    });
+  }
+
+  if (form && input) {
+    input.maxLength = FirebaseService.CHAT_MAX_LENGTH;
+    form.addEventListener('submit', async function(e) {
+      e.preventDefault();
+      if (await sendChat(input.value)) {
+        input.value = '';
+      }
+    });
+  }
+
+  if (emotesEl) {
+    QUICK_EMOTES.forEach(emote => {
+      const emoteBtn = document.createElement('button');
+      emoteBtn.type = 'button';
+      emoteBtn.className = 'chat-emote-btn';
+      emoteBtn.textContent = emote;
+      emoteBtn.addEventListener('click', function() {
+        sendChat(emote, true);
+      });
+      emotesEl.appendChild(emoteBtn);
+    });
+  }
+}
+
+// Export for use in other modules
+window.ChatService = {
+  QUICK_EMOTES,
+
+  setupControls: setupChatControls,
+  open: openChat,
+  close: closeChat,
+  send: sendChat,
+
+  // Muting (this device only)
+  isMuted: isPlayerMuted,
+  setMuted: setPlayerMuted
+};
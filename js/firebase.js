@@ -6,21 +6,56 @@
  * Path: games/{gameId}
  *
  * {
- *   code: "ABC123",              // 6-char join code (uppercase letters + numbers)
+ *   code: "ABC123",              // 6-8 char join code, reserved under gameCodes/ (see gamecodes.js)
  *   status: "waiting",           // "waiting" | "active" | "finished"
  *   hostId: "uid1",              // User ID of the game creator
- *   gridSize: 6,                 // 6 dots = 5x5 boxes
- *   maxPlayers: 7,               // 2-7 players supported
+ *   public: true,                // Optional: listed in Browse Games while waiting (see PUBLIC LOBBIES)
+ *   layout: "square",            // Named board layout (see layouts.js)
+ *   boardWidth: 5,               // Boxes per row (host picks 4 to 12 on the longest side)
+ *   boardHeight: 5,              // Boxes per column
+ *   disabledBoxes: {             // Optional mask of boxes cut out of the board
+ *     "2,2": true                // Edges and dots touching only disabled boxes don't exist
+ *   },
+ *   settings: {                  // Host-edited rule knobs (see RulesEngine.DEFAULT_SETTINGS)
+ *     maxPlayers: 7,             // 2-7 players supported
+ *     goldenSquares: 1,
+ *     penaltySquares: 2,
+ *     sabotageEnabled: true,
+ *     glowDuration: 1000,
+ *     glowInterval: 5000,
+ *     missPenaltyDuration: 2000,
+ *     anchorTimeoutDuration: 3000,
+ *     preset: "party"            // "classic" | "party" | "chaos" | "custom" (from the rules above)
+ *   },
+ *   turnTimer: {                 // Optional clock (see RulesEngine.TURN_TIMER_OPTIONS)
+ *     mode: "move",              // "move" = limit per move | "bank" = time bank per player
+ *     limit: 30000               // Milliseconds per move, or each player's starting bank
+ *   },
+ *   series: {                    // Optional multi-game series (see series.js)
+ *     mode: "bestOf",            // "bestOf" | "firstTo"
+ *     target: 5,                 // Games in the series, or wins needed
+ *     results: { 0: { winners: ["uid1"], players: { uid1: { name, color, score } } } }
+ *   },                           // Earlier games of the series, carried into each rematch
  *
  *   players: {                   // Object with index keys for 2-7 players
  *     0: { id: "uid1", name: "Player 1", color: "#FF6B6B", score: 0, bankedTurns: 0 },
  *     1: { id: "uid2", name: "Player 2", color: "#4ECDC4", score: 0, bankedTurns: 0 },
  *     2: { id: "uid3", name: "Player 3", color: "#FFE66D", score: 0, bankedTurns: 0 },
- *     3: { id: "uid4", name: "Player 4", color: "#A8E6CF", score: 0, bankedTurns: 0 }
- *   },
+ *     3: { id: "bot-lx2k9", name: "Hard Bot", color: "#A8E6CF", score: 0, bankedTurns: 0, bot: "hard" }
+ *   },                           // Bot seats: id starts with "bot-", bot = level; moved by the host
+ *                                // Bank mode adds timeBank (ms left) to every seat
  *   playerCount: 2,              // Current number of players
+ *   members: {                   // uid -> player index (lets security rules find a player's seat)
+ *     "uid1": 0,
+ *     "uid2": 1
+ *   },
+ *   bans: {                      // uid -> player the host banned (rules refuse them a seat or spectator spot)
+ *     "uid7": { name: "Eve", bannedAt: 1234567890 }
+ *   },
  *
  *   currentPlayerIndex: 0,       // Index of player whose turn it is
+ *   moveSeq: 0,                  // Bumped by exactly 1 per committed move (compare-and-set, see commitMove)
+ *   turnStartedAt: 1234567890,   // Server time of the last line or skip (the turn timer runs from here; sabotage doesn't reset it)
  *   turnPhase: "normal",         // "normal" | "bankedDecision" (choosing to use banked turn)
  *
  *   lines: {                     // Object with line keys for efficient lookup
@@ -39,10 +74,85 @@
  *     penalty: ["1,3", "4,0"]    // 1-2 penalty squares (forfeit turn)
  *   },
  *
+ *   spectators: {                // uid -> watcher without a seat (see watchGame)
+ *     "uid9": { name: "Dana", joinedAt: 1234567890 }
+ *   },                           // Not members: no part in playerCount, turns or sabotage
+ *
+ *   chat: {                      // Push id -> message from a player or spectator (see sendChatMessage)
+ *     "-Nx1": { uid: "uid1", name: "Alice", text: "nice!", emote: true, at: 1234567890 }
+ *   },
+ *   chatLastSent: {              // uid -> time of their last message (rules allow one per second)
+ *     "uid1": 1234567890
+ *   },
+ *   chatLastMessage: {           // uid -> key of their last message (rules allow one message per write)
+ *     "uid1": "-Nx1"
+ *   },
+ *
+ *   presence: {                  // uid -> connection, written by each player (onDisconnect marks offline)
+ *     "uid1": { state: "online", lastChanged: 1234567890 }  // "online" | "away" | "offline"
+ *   },
+ *
+ *   moves: {                     // Append-only action log (see movelog.js)
+ *     0: { seq: 0, type: "start", playerIndex: 0, at: 1234567890, ... },
+ *     1: { seq: 1, type: "line", playerIndex: 0, at: 1234567891, line: "0,0,h", events: [...] },
+ *     "1_-Nx8k2...": { seq: 1, type: "glow", playerIndex: 1, at: 1234567892, dot: "2,3" }
+ *   },                           // Moves are keyed by the moveSeq they commit; glow/roulette by {seq}_{pushId}
+ *
+ *   rematchOf: {                 // Set when created with Rematch (see createRematch)
+ *     gameId: "xyz789",          // The finished game
+ *     order: ["uid2", "uid1"]    // Its players, rotated; the first one seated moves first
+ *   },
+ *   rematch: {                   // Set on a finished game once someone offers a rematch
+ *     gameId: "def456", code: "DEF456", hostId: "uid2", hostName: "Bob"
+ *   },
+ *
  *   createdAt: 1234567890,       // Timestamp when game was created
  *   lastActivity: 1234567890     // Timestamp of last move
  * }
  *
+ * === USERS ===
+ * users/{uid}: {                 // One profile per signed-in player, written only by them
+ *   name: "Alice",               // Display name (also kept in localStorage)
+ *   color: "#0000FF",            // Preferred color, used when it's free in a game
+ *   stats: {                     // Lifetime counters, added to when a game finishes
+ *     gamesPlayed, wins, ties, boxesCaptured, goldenSquares, penaltySquares,
+ *     rouletteTriggered, rouletteSuffered
+ *   },
+ *   lastGameId: "abc123",        // Last game counted
+ *   recordedGames: { "abc123": 1234567890 },  // Every game counted, create-only (stops double counting)
+ *   mergeToken: "k3x9...",       // Anonymous profiles: one-time token to merge into an account
+ *   mergedInto: "accountUid",    // Anonymous profiles: set (and the token cleared) once merged
+ *   merged: { "anonUid": "k3x9..." },  // Accounts: anonymous profiles merged in (see mergeProfile)
+ *   lastMergedUid: "anonUid",
+ *   updatedAt: 1234567890
+ * }
+ *
+ * === GAME CODES ===
+ * gameCodes/{code}: {            // One per game, reserved in a transaction before the game is created
+ *   hostId: "uid1",              // Only the holder may create games/{code in lower case}
+ *   reservedAt: 1234567890
+ * }
+ *
+ * === PUBLIC LOBBIES ===
+ * publicLobbies/{gameId}: {      // Summary of a public waiting game, kept in step by updateWaitingGame
+ *   code: "ABC123", hostId: "uid1", hostName: "Alice",
+ *   playerCount: 2, maxPlayers: 4,
+ *   layout: "square", boardWidth: 5, boardHeight: 5,
+ *   preset: "party",
+ *   turnTimer: { mode: "move", limit: 30000 },  // Optional, copied from the game
+ *   series: { mode: "bestOf", target: 3 },       // Optional, without results
+ *   createdAt: 1234567890,
+ *   updatedAt: 1234567890        // Server time of the last lobby change
+ * }
+ *
+ * === GAME ARCHIVE ===
+ * gameArchive/{gameId}: {        // Finished games removed by scripts/cleanup-games.js (no client access)
+ *   code, createdAt, finishedAt, layout, boardWidth, boardHeight, preset, moveCount,
+ *   winners: ["uid1"],
+ *   players: { uid1: { name, color, score } },
+ *   turnTimer, series, rematchOf  // Only if the game had them
+ * }
+ *
  * === PLAYER COLORS ===
  * Player 1: #FF6B6B (Coral Red)
  * Player 2: #4ECDC4 (Teal)
@@ -101,16 +211,40 @@ function generatePlayerColors() {
 // Actual game colors come from gameData.playerColors stored in Firebase
 const PLAYER_COLORS = ROYGBIV_COLORS.slice(0, 7);
 
+// Local emulator ports (see "emulators" in firebase.json)
+const EMULATOR_HOST = '127.0.0.1';
+const DATABASE_EMULATOR_PORT = 9000;
+const AUTH_EMULATOR_PORT = 9099;
+
 // Initialize Firebase
 let app, database, auth;
 let currentGameRef = null;
 let currentGameListener = null;
+let serverTimeOffset = 0; // Server clock minus local clock, from .info/serverTimeOffset
+
+/**
+ * Check if the page was opened with ?emulator to target the local emulators
+ * @returns {boolean}
+ */
+function shouldUseEmulators() {
+  return new URLSearchParams(window.location.search).has('emulator');
+}
 
 function initializeFirebase() {
   try {
     app = firebase.initializeApp(firebaseConfig);
     database = firebase.database();
     auth = firebase.auth();
+    if (shouldUseEmulators()) {
+      database.useEmulator(EMULATOR_HOST, DATABASE_EMULATOR_PORT);
+      auth.useEmulator(`http://${EMULATOR_HOST}:${AUTH_EMULATOR_PORT}`);
+      console.log('Using local Firebase emulators');
+    }
+
+    // Track the clock difference to the server (see getServerTime)
+    database.ref('.info/serverTimeOffset').on('value', snapshot => {
+      serverTimeOffset = snapshot.val() || 0;
+    });
     console.log('Firebase initialized successfully');
     return true;
   } catch (error) {
@@ -119,8 +253,28 @@ function initializeFirebase() {
   }
 }
 
-// Sign in anonymously
-async function signInAnonymously() {
+/**
+ * Wait for Firebase Auth to restore the user saved in this browser
+ * @returns {Promise<object|null>} The restored user, or null
+ */
+function waitForRestoredUser() {
+  return new Promise(resolve => {
+    const unsubscribe = auth.onAuthStateChanged(user => {
+      unsubscribe();
+      resolve(user);
+    });
+  });
+}
+
+// Sign in: keep the player saved in this browser (anonymous or linked
+// account), otherwise sign in anonymously
+async function signInPlayer() {
+  const restored = await waitForRestoredUser();
+  if (restored) {
+    console.log('Restored sign-in:', restored.uid, restored.isAnonymous ? '(anonymous)' : restored.email);
+    return restored;
+  }
+
   try {
     console.log('Attempting anonymous sign-in...');
     const userCredential = await auth.signInAnonymously();
@@ -144,70 +298,94 @@ function getGameRef(gameId) {
   return database.ref(`games/${gameId}`);
 }
 
+// Random source for new codes (GameCodes.createCodeGenerator(seed) makes collisions repeatable)
+let codeRandom = Math.random;
+
 function generateGameCode() {
-  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Removed confusing chars (0,O,1,I)
-  let code = '';
-  for (let i = 0; i < 6; i++) {
-    code += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return code;
+  return GameCodes.generateCode(GameCodes.MIN_CODE_LENGTH, codeRandom);
 }
 
 /**
- * Generate random special square positions
- * @param {number} gridSize - Grid size (6 = 5x5 boxes)
- * @returns {{golden: string[], penalty: string[]}} Special square positions
+ * Use a different random source for new game codes (for testing collisions)
+ * @param {function(): number|null} random - e.g. GameCodes.createCodeGenerator(42), null for Math.random
  */
-function generateSpecialSquares(gridSize) {
-  const boxCount = gridSize - 1;
-  const positions = [];
-
-  // Generate all possible positions
-  for (let row = 0; row < boxCount; row++) {
-    for (let col = 0; col < boxCount; col++) {
-      positions.push(`${row},${col}`);
-    }
-  }
-
-  // Shuffle positions
-  for (let i = positions.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [positions[i], positions[j]] = [positions[j], positions[i]];
-  }
+function setCodeGenerator(random) {
+  codeRandom = random || Math.random;
+}
 
-  // Pick exactly 1 golden (bonus) and 2 penalty squares
-  const goldenCount = 1;
-  const penaltyCount = 2;
+/**
+ * Reserve a join code for a new game
+ * The transaction means two hosts can never hold the same code, and the
+ * security rules only let a game be created under a code its host holds
+ * @param {string} code - Uppercase code
+ * @returns {Promise<boolean>} False if the code is taken
+ */
+async function reserveGameCode(code) {
+  const user = getCurrentUser();
+  const result = await database.ref(`gameCodes/${code}`).transaction(current => {
+    if (current) return; // Taken - abort
+    return { hostId: user.uid, reservedAt: firebase.database.ServerValue.TIMESTAMP };
+  }, undefined, false);
+  if (!result.committed) return false;
+
+  // Games from before codes were reserved have no gameCodes entry; keep the
+  // reservation so the code isn't offered again, but don't use it
+  const existing = await getGameRef(code.toLowerCase()).child('code').once('value');
+  return !existing.exists();
+}
 
-  return {
-    golden: positions.slice(0, goldenCount),
-    penalty: positions.slice(goldenCount, goldenCount + penaltyCount)
-  };
+/**
+ * Generate random special square positions
+ * @param {object} board - Board fields from BoardLayouts.buildBoard
+ * @param {object} [settings] - Game settings (golden and penalty square counts)
+ * @returns {{golden: string[], penalty: string[]}} Special square positions
+ */
+function generateSpecialSquares(board, settings) {
+  return RulesEngine.placeSpecialSquares({ ...board, settings });
 }
 
 /**
  * Create a new game in Firebase
  * @param {string} playerName - Name of the creating player
  * @param {number} maxPlayers - Maximum number of players (2-7)
+ * @param {string} layoutId - Board layout (see BoardLayouts.LAYOUTS)
+ * @param {number} boardSize - Boxes along the longest side
+ * @param {object} [options] - Carried over from a finished game (see createRematch)
+ * @param {object} [options.settings] - Game settings
+ * @param {object} [options.turnTimer] - Turn timer
+ * @param {object} [options.series] - Series, with the results so far
+ * @param {Array<object>} [options.bots] - Bot seats to keep (same ids and levels)
+ * @param {{gameId: string, order: string[]}} [options.rematchOf] - Finished game and next seat order
+ * @param {boolean} [options.public] - List the lobby in Browse Games
  * @returns {Promise<{gameId: string, code: string}>}
  */
-async function createGame(playerName, maxPlayers = 7) {
+async function createGame(playerName, maxPlayers = 7, layoutId = BoardLayouts.DEFAULT_LAYOUT, boardSize = BoardLayouts.DEFAULT_BOARD_BOXES, options = {}) {
   const user = getCurrentUser();
   if (!user) {
     throw new Error('User not signed in');
   }
 
-  const code = generateGameCode();
+  const code = await GameCodes.allocateCode(reserveGameCode, {
+    random: codeRandom,
+    onCollision: taken => console.log('Game code taken, trying another:', taken)
+  });
   const gameId = code.toLowerCase();
-  const gridSize = 6; // 5x5 boxes
+  const board = BoardLayouts.buildBoard(layoutId, boardSize);
   const playerColors = generatePlayerColors(); // Unique colors for this game
+  const preferredColor = await getPreferredColor();
+  if (playerColors.includes(preferredColor)) {
+    // The host sits in seat 0, so move their preferred color there
+    playerColors.splice(playerColors.indexOf(preferredColor), 1);
+    playerColors.unshift(preferredColor);
+  }
+  const settings = RulesEngine.normalizeSettings({ ...options.settings, maxPlayers });
 
   const gameData = {
     code: code,
     status: 'waiting',
     hostId: user.uid,
-    gridSize: gridSize,
-    maxPlayers: Math.min(7, Math.max(2, maxPlayers)),
+    ...board,
+    settings: settings,
     playerColors: playerColors, // Store colors in game document
 
     players: {
@@ -220,21 +398,57 @@ async function createGame(playerName, maxPlayers = 7) {
       }
     },
     playerCount: 1,
+    members: {
+      [user.uid]: 0
+    },
 
     currentPlayerIndex: 0,
+    moveSeq: 0,
     turnPhase: 'normal',
 
     lines: {},
     boxes: {},
 
-    specialSquares: generateSpecialSquares(gridSize),
+    specialSquares: generateSpecialSquares(board, settings),
 
     createdAt: firebase.database.ServerValue.TIMESTAMP,
     lastActivity: firebase.database.ServerValue.TIMESTAMP
   };
 
-  const gameRef = getGameRef(gameId);
-  await gameRef.set(gameData);
+  if (options.turnTimer) {
+    gameData.turnTimer = options.turnTimer;
+  }
+  if (options.series) {
+    gameData.series = options.series;
+  }
+  if (options.rematchOf) {
+    gameData.rematchOf = options.rematchOf;
+  }
+  if (options.public) {
+    gameData.public = true;
+  }
+  (options.bots || []).slice(0, settings.maxPlayers - 1).forEach(bot => {
+    const playerIndex = gameData.playerCount;
+    gameData.players[playerIndex] = {
+      id: bot.id,
+      name: bot.name,
+      color: pickSeatColor(gameData, playerIndex, bot.color),
+      score: 0,
+      bankedTurns: 0,
+      bot: bot.bot
+    };
+    gameData.playerCount = playerIndex + 1;
+  });
+
+  if (gameData.public) {
+    // Listed in Browse Games from the start
+    await database.ref().update({
+      [`games/${gameId}`]: gameData,
+      [`publicLobbies/${gameId}`]: getPublicLobbyEntry(gameData)
+    });
+  } else {
+    await getGameRef(gameId).set(gameData);
+  }
 
   console.log('Game created:', gameId, code);
   return { gameId, code };
@@ -242,11 +456,11 @@ async function createGame(playerName, maxPlayers = 7) {
 
 /**
  * Find a game by its code
- * @param {string} code - 6-character game code
+ * @param {string} code - Game code (see GameCodes)
  * @returns {Promise<{gameId: string, gameData: object}|null>}
  */
 async function findGameByCode(code) {
-  const normalizedCode = code.toUpperCase().trim();
+  const normalizedCode = GameCodes.normalizeCode(code);
   const gameId = normalizedCode.toLowerCase();
 
   const gameRef = getGameRef(gameId);
@@ -269,8 +483,9 @@ async function findGameByCode(code) {
 /**
  * Join an existing game
  * @param {string} code - Game code to join
+ * Existing members re-enter their own seat, even after the game has started
  * @param {string} playerName - Name of the joining player
- * @returns {Promise<{gameId: string, playerIndex: number}>}
+ * @returns {Promise<{gameId: string, playerIndex: number, status: string}>}
  */
 async function joinGame(code, playerName) {
   const user = getCurrentUser();
@@ -285,33 +500,35 @@ async function joinGame(code, playerName) {
 
   const { gameId, gameData } = result;
 
+  // Check if player is already in the game (rejoining after a reload or app switch)
+  const memberIndex = gameData.members ? gameData.members[user.uid] : undefined;
+  if (typeof memberIndex === 'number' && gameData.status !== 'finished') {
+    console.log('Player already in game at index:', memberIndex);
+    return { gameId, playerIndex: memberIndex, status: gameData.status };
+  }
+
+  if (gameData.bans && gameData.bans[user.uid]) {
+    throw new Error('You have been banned from this game');
+  }
+
   // Check game status
   if (gameData.status !== 'waiting') {
     throw new Error('Game has already started');
   }
 
-  // Check if player is already in the game
   const playersObj = gameData.players || {};
-  const existingPlayerIndex = Object.keys(playersObj).find(
-    key => playersObj[key].id === user.uid
-  );
-
-  if (existingPlayerIndex !== undefined) {
-    console.log('Player already in game at index:', existingPlayerIndex);
-    return { gameId, playerIndex: parseInt(existingPlayerIndex) };
-  }
 
   // Check if game is full
   const currentPlayerCount = gameData.playerCount || Object.keys(playersObj).length;
-  if (currentPlayerCount >= gameData.maxPlayers) {
+  if (currentPlayerCount >= RulesEngine.getSettings(gameData).maxPlayers) {
     throw new Error('Game is full');
   }
 
   // Find next available player slot
   const playerIndex = currentPlayerCount;
 
-  // Get color from game's stored colors (ensures consistency across clients)
-  const playerColor = gameData.playerColors ? gameData.playerColors[playerIndex] : ROYGBIV_COLORS[playerIndex];
+  // Preferred color if it's free, else the seat's color from the game's stored palette
+  const playerColor = pickSeatColor(gameData, playerIndex, await getPreferredColor());
 
   // Add player to the game
   const updates = {};
@@ -322,14 +539,14 @@ async function joinGame(code, playerName) {
     score: 0,
     bankedTurns: 0
   };
+  updates[`members/${user.uid}`] = playerIndex;
   updates.playerCount = playerIndex + 1;
   updates.lastActivity = firebase.database.ServerValue.TIMESTAMP;
 
-  const gameRef = getGameRef(gameId);
-  await gameRef.update(updates);
+  await updateWaitingGame(gameId, gameData, updates);
 
   console.log('Joined game:', gameId, 'as player', playerIndex);
-  return { gameId, playerIndex };
+  return { gameId, playerIndex, status: gameData.status };
 }
 
 /**
@@ -362,15 +579,259 @@ async function startGame(gameId) {
     throw new Error('Need at least 2 players to start');
   }
 
-  // Update game status to active
-  await gameRef.update({
+  // Update game status to active and open the move log with the starting position
+  const hostIndex = parseInt(Object.keys(gameData.players || {}).find(
+    key => gameData.players[key] && gameData.players[key].id === user.uid
+  ), 10);
+  // Rematches rotate who moves first
+  gameData.currentPlayerIndex = getFirstPlayerIndex(gameData);
+  const updates = {
     status: 'active',
+    currentPlayerIndex: gameData.currentPlayerIndex,
+    turnStartedAt: firebase.database.ServerValue.TIMESTAMP,
+    'moves/0': {
+      ...MoveLog.createStartEntry(gameData, hostIndex),
+      seq: 0,
+      at: firebase.database.ServerValue.TIMESTAMP
+    },
     lastActivity: firebase.database.ServerValue.TIMESTAMP
-  });
+  };
+
+  // Chess-clock mode: every seat starts with a full time bank
+  if (gameData.turnTimer && gameData.turnTimer.mode === 'bank') {
+    Object.keys(gameData.players || {}).forEach(index => {
+      updates[`players/${index}/timeBank`] = gameData.turnTimer.limit;
+    });
+  }
+
+  // Starting also takes the game out of Browse Games
+  await updateWaitingGame(gameId, gameData, updates);
 
   console.log('Game started:', gameId);
 }
 
+/**
+ * Save the game settings (host only, before the game starts)
+ * Special squares are placed again when their counts change
+ * @param {string} gameId - Game ID
+ * @param {object} settings - Settings to change (see RulesEngine.DEFAULT_SETTINGS)
+ * @returns {Promise<object>} The complete settings that were saved
+ */
+async function setGameSettings(gameId, settings) {
+  const gameData = await getHostedWaitingGame(gameId);
+  const current = RulesEngine.getSettings(gameData);
+  const next = RulesEngine.normalizeSettings({ ...current, ...settings });
+
+  const playerCount = gameData.playerCount || Object.keys(gameData.players || {}).length;
+  if (next.maxPlayers < playerCount) {
+    throw new Error(`${playerCount} players have already joined`);
+  }
+
+  const updates = {
+    settings: next,
+    lastActivity: firebase.database.ServerValue.TIMESTAMP
+  };
+  if (next.goldenSquares !== current.goldenSquares || next.penaltySquares !== current.penaltySquares) {
+    updates.specialSquares = generateSpecialSquares(gameData, next);
+  }
+  await updateWaitingGame(gameId, gameData, updates);
+
+  console.log('Game settings saved:', gameId, next);
+  return next;
+}
+
+/**
+ * Choose the turn timer (host only, before the game starts)
+ * @param {string} gameId - Game ID
+ * @param {string} optionId - Id from RulesEngine.TURN_TIMER_OPTIONS
+ * @returns {Promise<void>}
+ */
+async function setTurnTimer(gameId, optionId) {
+  const gameData = await getHostedWaitingGame(gameId);
+
+  const option = RulesEngine.TURN_TIMER_OPTIONS.find(o => o.id === optionId);
+  const turnTimer = option && option.mode ? { mode: option.mode, limit: option.limit } : null;
+  await updateWaitingGame(gameId, gameData, {
+    turnTimer,
+    lastActivity: firebase.database.ServerValue.TIMESTAMP
+  });
+
+  console.log('Turn timer set:', gameId, optionId);
+}
+
+/**
+ * Choose a series for the game (host only, before the game starts)
+ * Starts a new series, dropping any results carried over from earlier games
+ * @param {string} gameId - Game ID
+ * @param {string} optionId - Id from Series.SERIES_OPTIONS
+ * @returns {Promise<void>}
+ */
+async function setSeries(gameId, optionId) {
+  const gameData = await getHostedWaitingGame(gameId);
+
+  const option = Series.SERIES_OPTIONS.find(o => o.id === optionId);
+  const series = option && option.mode ? { mode: option.mode, target: option.target } : null;
+  await updateWaitingGame(gameId, gameData, {
+    series,
+    lastActivity: firebase.database.ServerValue.TIMESTAMP
+  });
+
+  console.log('Series set:', gameId, optionId);
+}
+
+/**
+ * Load a waiting game the current user hosts
+ * @param {string} gameId - Game ID
+ * @returns {Promise<object>} Game data
+ */
+async function getHostedWaitingGame(gameId) {
+  const user = getCurrentUser();
+  if (!user) {
+    throw new Error('User not signed in');
+  }
+
+  const snapshot = await getGameRef(gameId).once('value');
+  if (!snapshot.exists()) {
+    throw new Error('Game not found');
+  }
+
+  const gameData = snapshot.val();
+  if (gameData.hostId !== user.uid) {
+    throw new Error('Only the host can change the seats');
+  }
+  if (gameData.status !== 'waiting') {
+    throw new Error('Game has already started');
+  }
+  return gameData;
+}
+
+/**
+ * Seat a computer opponent in a waiting game (host only)
+ * @param {string} gameId - Game ID
+ * @param {string} levelId - 'easy', 'medium' or 'hard' (see Bots.BOT_LEVELS)
+ * @returns {Promise<number>} The bot's player index
+ */
+async function addBot(gameId, levelId) {
+  const gameData = await getHostedWaitingGame(gameId);
+
+  const playerIndex = gameData.playerCount || Object.keys(gameData.players || {}).length;
+  if (playerIndex >= RulesEngine.getSettings(gameData).maxPlayers) {
+    throw new Error('Game is full');
+  }
+
+  const level = Bots.getBotLevel(levelId);
+  const updates = {};
+  updates[`players/${playerIndex}`] = {
+    id: `bot-${Date.now().toString(36)}`,
+    name: `${level.name} Bot`,
+    color: pickSeatColor(gameData, playerIndex),
+    score: 0,
+    bankedTurns: 0,
+    bot: level.id
+  };
+  updates.playerCount = playerIndex + 1;
+  updates.lastActivity = firebase.database.ServerValue.TIMESTAMP;
+
+  await updateWaitingGame(gameId, gameData, updates);
+  console.log('Bot added:', gameId, level.id, 'as player', playerIndex);
+  return playerIndex;
+}
+
+/**
+ * Build the updates that empty one seat of a waiting game
+ * Later seats move down so indices stay contiguous; human seats that move
+ * get their members entry updated to match
+ * @param {object} gameData - Game document
+ * @param {number} playerIndex - Seat to empty
+ * @returns {object} Update paths relative to the game
+ */
+function getSeatRemovalUpdates(gameData, playerIndex) {
+  const players = gameData.players || {};
+  const seats = Object.keys(players)
+    .filter(key => players[key])
+    .map(key => parseInt(key, 10))
+    .sort((a, b) => a - b);
+  const remaining = seats.filter(index => index !== playerIndex);
+
+  const updates = {};
+  remaining.forEach((oldIndex, newIndex) => {
+    if (oldIndex === newIndex) return;
+    const moved = players[oldIndex];
+    // Seats keep their color; joiners pick an unused one (see pickSeatColor)
+    updates[`players/${newIndex}`] = moved;
+    if (!moved.bot) {
+      updates[`members/${moved.id}`] = newIndex;
+    }
+  });
+  seats.forEach(index => {
+    if (index >= remaining.length) {
+      updates[`players/${index}`] = null;
+    }
+  });
+  updates.playerCount = remaining.length;
+  return updates;
+}
+
+/**
+ * Remove a bot seat from a waiting game (host only)
+ * Later seats move down one place so indices stay contiguous
+ * @param {string} gameId - Game ID
+ * @param {number} playerIndex - Seat of the bot to remove
+ * @returns {Promise<void>}
+ */
+async function removeBot(gameId, playerIndex) {
+  const gameData = await getHostedWaitingGame(gameId);
+  const players = gameData.players || {};
+  if (!players[playerIndex] || !players[playerIndex].bot) {
+    throw new Error('That seat is not a bot');
+  }
+
+  const updates = getSeatRemovalUpdates(gameData, playerIndex);
+  updates.lastActivity = firebase.database.ServerValue.TIMESTAMP;
+
+  await updateWaitingGame(gameId, gameData, updates);
+  console.log('Bot removed:', gameId, 'seat', playerIndex);
+}
+
+/**
+ * Change the board layout and size of a waiting game (host only)
+ * Special squares are regenerated for the new board
+ * @param {string} gameId - Game ID
+ * @param {string} layoutId - Board layout (see BoardLayouts.LAYOUTS)
+ * @param {number} boardSize - Boxes along the longest side
+ * @returns {Promise<object>} The board fields that were saved
+ */
+async function setBoardLayout(gameId, layoutId, boardSize) {
+  const user = getCurrentUser();
+  if (!user) {
+    throw new Error('User not signed in');
+  }
+
+  const gameRef = getGameRef(gameId);
+  const snapshot = await gameRef.once('value');
+  if (!snapshot.exists()) {
+    throw new Error('Game not found');
+  }
+
+  const gameData = snapshot.val();
+  if (gameData.hostId !== user.uid) {
+    throw new Error('Only the host can change the board');
+  }
+  if (gameData.status !== 'waiting') {
+    throw new Error('Game has already started');
+  }
+
+  const board = BoardLayouts.buildBoard(layoutId, boardSize);
+  await updateWaitingGame(gameId, gameData, {
+    ...board,
+    specialSquares: generateSpecialSquares(board, gameData.settings),
+    lastActivity: firebase.database.ServerValue.TIMESTAMP
+  });
+
+  console.log('Board layout set:', gameId, board.layout, board.boardWidth, 'x', board.boardHeight);
+  return board;
+}
+
 /**
  * Subscribe to game state changes
  * @param {string} gameId - Game ID to subscribe to
@@ -434,6 +895,102 @@ async function updateGameState(gameId, updates) {
   await gameRef.update(updates);
 }
 
+/**
+ * Check if a database error is a security rules rejection
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isPermissionDenied(error) {
+  return !!error && (error.code === 'PERMISSION_DENIED' || /permission.denied/i.test(error.message || ''));
+}
+
+/**
+ * Build the multi-path update that writes a move's log entry
+ * The entry is keyed by the moveSeq the move commits, so it lands (or is
+ * rejected) together with the move and the log has no gaps
+ * @param {number} seq - moveSeq the move commits
+ * @param {object} entry - Entry from a MoveLog.create* builder
+ * @returns {object} Updates keyed by moves/{seq}
+ */
+function buildMoveLogUpdate(seq, entry) {
+  return {
+    [`moves/${seq}`]: {
+      ...entry,
+      seq,
+      at: firebase.database.ServerValue.TIMESTAMP
+    }
+  };
+}
+
+/**
+ * Append an entry that doesn't change the board (glow, roulette) to the move log
+ * It isn't a move, so it takes no moveSeq of its own: it is keyed
+ * {seq}_{pushId} and ordered after the move that committed seq
+ * @param {string} gameId - Game ID
+ * @param {number} seq - moveSeq of the state the entry happened in
+ * @param {object} entry - Entry from a MoveLog.create* builder
+ * @returns {Promise<void>}
+ */
+async function appendMoveLog(gameId, seq, entry) {
+  const movesRef = getGameRef(gameId).child('moves');
+  try {
+    await movesRef.child(`${seq}_${movesRef.push().key}`).set({
+      ...entry,
+      seq,
+      at: firebase.database.ServerValue.TIMESTAMP
+    });
+  } catch (error) {
+    console.error('Failed to append move log entry:', entry.type, error);
+  }
+}
+
+/**
+ * Commit a move with compare-and-set on the move sequence number
+ * Security rules only accept moveSeq = expectedSeq + 1, so a move computed
+ * from a stale snapshot (double tap, concurrent writer) is rejected whole
+ * The move's log entry is written in the same update, so the log and the
+ * state can't drift apart
+ * @param {string} gameId - Game ID
+ * @param {number} expectedSeq - moveSeq of the state the move was computed from
+ * @param {object} updates - Multi-path updates for the move
+ * @param {object} [logEntry] - Entry from a MoveLog.create* builder
+ * @param {boolean} [restartClock] - False for writes that don't start a new move
+ *   (sabotage), so the current player's turn timer keeps running
+ * @returns {Promise<boolean>} True if committed, false if the move conflicted
+ */
+async function commitMove(gameId, expectedSeq, updates, logEntry, restartClock = true) {
+  const gameRef = getGameRef(gameId);
+  if (logEntry) {
+    Object.assign(updates, buildMoveLogUpdate(expectedSeq + 1, logEntry));
+  }
+  updates.moveSeq = expectedSeq + 1;
+  if (restartClock) {
+    updates.turnStartedAt = firebase.database.ServerValue.TIMESTAMP;
+  }
+  updates.lastActivity = firebase.database.ServerValue.TIMESTAMP;
+
+  try {
+    await gameRef.update(updates);
+    return true;
+  } catch (error) {
+    if (isPermissionDenied(error)) {
+      console.log('Move conflicted at seq', expectedSeq);
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read the latest game state once (used to re-sync after a conflict)
+ * @param {string} gameId - Game ID
+ * @returns {Promise<object|null>}
+ */
+async function getGameSnapshot(gameId) {
+  const snapshot = await getGameRef(gameId).once('value');
+  return snapshot.val();
+}
+
 /**
  * Leave a game (remove player from lobby)
  * @param {string} gameId - Game ID
@@ -460,39 +1017,526 @@ async function leaveGame(gameId) {
 
   // If game hasn't started yet and player is host, delete the game
   if (gameData.status === 'waiting' && gameData.hostId === user.uid) {
-    await gameRef.remove();
+    await updateWaitingGame(gameId, gameData, null);
     console.log('Game deleted (host left):', gameId);
     return;
   }
 
   // If game is waiting, remove player (only if not started)
   if (gameData.status === 'waiting') {
-    // Remove player and reassign indices
-    const updates = {};
-    updates[`players/${playerIndex}`] = null;
-    updates.playerCount = gameData.playerCount - 1;
+    // Later seats move down so the next join finds a free index
+    const updates = getSeatRemovalUpdates(gameData, parseInt(playerIndex, 10));
+    updates[`members/${user.uid}`] = null;
     updates.lastActivity = firebase.database.ServerValue.TIMESTAMP;
 
-    // If host left, assign new host
-    if (gameData.hostId === user.uid) {
-      const remainingPlayers = Object.keys(playersObj).filter(k => k !== playerIndex);
-      if (remainingPlayers.length > 0) {
-        const newHostIndex = remainingPlayers[0];
-        updates.hostId = playersObj[newHostIndex].id;
-      }
-    }
-
-    await gameRef.update(updates);
+    await updateWaitingGame(gameId, gameData, updates);
     console.log('Left game:', gameId);
   }
 }
 
+// ============================================
+// HOST CONTROLS
+// The host of a waiting game can remove other players, ban them from the
+// game, or hand the host role to someone else. A ban is kept under
+// bans/{uid} and the rules refuse that uid a seat or a spectator spot.
+// ============================================
+
 /**
- * End the game
+ * Load a waiting game hosted by the current user, with another human's seat
  * @param {string} gameId - Game ID
- * @returns {Promise<void>}
+ * @param {number} playerIndex - Seat of the other player
+ * @returns {Promise<{gameData: object, player: object}>}
  */
-async function endGame(gameId) {
+async function getOtherHumanSeat(gameId, playerIndex) {
+  const gameData = await getHostedWaitingGame(gameId);
+  const player = (gameData.players || {})[playerIndex];
+  if (!player) {
+    throw new Error('That seat is empty');
+  }
+  if (player.bot) {
+    throw new Error('That seat is a bot');
+  }
+  if (player.id === gameData.hostId) {
+    throw new Error('You can\'t do that to yourself');
+  }
+  return { gameData, player };
+}
+
+/**
+ * Remove a player from a waiting game (host only)
+ * @param {string} gameId - Game ID
+ * @param {number} playerIndex - Seat of the player to remove
+ * @param {boolean} [ban] - Also stop them joining or watching this game again
+ * @returns {Promise<void>}
+ */
+async function kickPlayer(gameId, playerIndex, ban = false) {
+  const { gameData, player } = await getOtherHumanSeat(gameId, playerIndex);
+
+  const updates = getSeatRemovalUpdates(gameData, playerIndex);
+  updates[`members/${player.id}`] = null;
+  if (ban) {
+    updates[`bans/${player.id}`] = {
+      name: player.name,
+      bannedAt: firebase.database.ServerValue.TIMESTAMP
+    };
+  }
+  updates.lastActivity = firebase.database.ServerValue.TIMESTAMP;
+
+  await updateWaitingGame(gameId, gameData, updates);
+  console.log(ban ? 'Player banned:' : 'Player kicked:', gameId, 'seat', playerIndex);
+}
+
+/**
+ * Make another player the host of a waiting game (host only)
+ * @param {string} gameId - Game ID
+ * @param {number} playerIndex - Seat of the new host
+ * @returns {Promise<void>}
+ */
+async function transferHost(gameId, playerIndex) {
+  const { gameData, player } = await getOtherHumanSeat(gameId, playerIndex);
+
+  // Through updateWaitingGame so a public listing shows the new host
+  await updateWaitingGame(gameId, gameData, {
+    hostId: player.id,
+    lastActivity: firebase.database.ServerValue.TIMESTAMP
+  });
+  console.log('Host transferred:', gameId, 'to seat', playerIndex);
+}
+
+// ============================================
+// PUBLIC LOBBIES
+// A waiting game marked public is listed under publicLobbies/{gameId} with a
+// summary for the Browse Games list. The entry is rewritten in the same
+// update as every lobby change (see updateWaitingGame) and removed when the
+// game starts, is deleted, or is made private again.
+// ============================================
+
+const PUBLIC_LOBBY_LIST_LIMIT = 50;
+const PUBLIC_LOBBY_MAX_AGE = 30 * 60 * 1000; // Untouched for 30 minutes: probably abandoned
+
+/**
+ * Apply database update paths to a copy of a game document
+ * @param {object} gameData - Game document
+ * @param {object} updates - Paths relative to the game -> values (null deletes)
+ * @returns {object} The game as it will be after the update
+ */
+function applyGameUpdates(gameData, updates) {
+  const next = JSON.parse(JSON.stringify(gameData || {}));
+  Object.keys(updates).forEach(path => {
+    const keys = path.split('/');
+    const last = keys.pop();
+    let node = next;
+    keys.forEach(key => {
+      if (!node[key] || typeof node[key] !== 'object') {
+        node[key] = {};
+      }
+      node = node[key];
+    });
+    if (updates[path] === null) {
+      delete node[last];
+    } else {
+      node[last] = updates[path];
+    }
+  });
+  return next;
+}
+
+/**
+ * Build a game's Browse Games entry
+ * @param {object} gameData - Game document
+ * @returns {object|null} Entry, or null if the game shouldn't be listed
+ */
+function getPublicLobbyEntry(gameData) {
+  if (!gameData || gameData.public !== true || gameData.status !== 'waiting') {
+    return null;
+  }
+
+  const settings = RulesEngine.getSettings(gameData);
+  const host = Object.values(gameData.players || {}).find(player => player && player.id === gameData.hostId);
+  const entry = {
+    code: gameData.code,
+    hostId: gameData.hostId,
+    hostName: (host && host.name) || 'Host',
+    playerCount: gameData.playerCount || 1,
+    maxPlayers: settings.maxPlayers,
+    layout: gameData.layout,
+    boardWidth: gameData.boardWidth,
+    boardHeight: gameData.boardHeight,
+    preset: settings.preset,
+    createdAt: gameData.createdAt || firebase.database.ServerValue.TIMESTAMP,
+    updatedAt: firebase.database.ServerValue.TIMESTAMP
+  };
+  if (gameData.turnTimer) {
+    entry.turnTimer = { mode: gameData.turnTimer.mode, limit: gameData.turnTimer.limit };
+  }
+  if (gameData.series && gameData.series.mode) {
+    entry.series = { mode: gameData.series.mode, target: gameData.series.target };
+  }
+  return entry;
+}
+
+/**
+ * Update a game, keeping its public lobby entry in step in the same write
+ * Deleting the game also frees its code (see reserveGameCode)
+ * @param {string} gameId - Game ID
+ * @param {object|null} gameData - The game before the update
+ * @param {object|null} updates - Paths relative to the game, or null to delete the game
+ * @returns {Promise<void>}
+ */
+async function updateWaitingGame(gameId, gameData, updates) {
+  const next = updates ? applyGameUpdates(gameData, updates) : null;
+  const listed = !!(gameData && gameData.public) || !!(next && next.public);
+
+  if (updates && !listed) {
+    await getGameRef(gameId).update(updates);
+    return;
+  }
+
+  const rootUpdates = {};
+  if (updates) {
+    Object.keys(updates).forEach(path => {
+      rootUpdates[`games/${gameId}/${path}`] = updates[path];
+    });
+  } else {
+    rootUpdates[`games/${gameId}`] = null;
+    rootUpdates[`gameCodes/${gameId.toUpperCase()}`] = null;
+  }
+  if (listed) {
+    rootUpdates[`publicLobbies/${gameId}`] = getPublicLobbyEntry(next);
+  }
+
+  await database.ref().update(rootUpdates);
+}
+
+/**
+ * List or unlist a waiting game in Browse Games (host only)
+ * @param {string} gameId - Game ID
+ * @param {boolean} isPublic
+ * @returns {Promise<void>}
+ */
+async function setLobbyPublic(gameId, isPublic) {
+  const gameData = await getHostedWaitingGame(gameId);
+  await updateWaitingGame(gameId, gameData, {
+    public: isPublic ? true : null,
+    lastActivity: firebase.database.ServerValue.TIMESTAMP
+  });
+
+  console.log('Lobby visibility set:', gameId, isPublic ? 'public' : 'private');
+}
+
+/**
+ * Check if a listed lobby looks joinable (free seat, recently touched)
+ * @param {object} entry - Entry from publicLobbies
+ * @returns {boolean}
+ */
+function isOpenPublicLobby(entry) {
+  return !!entry &&
+    entry.playerCount < entry.maxPlayers &&
+    getServerTime() - (entry.updatedAt || 0) < PUBLIC_LOBBY_MAX_AGE;
+}
+
+/**
+ * Listen to the Browse Games list
+ * @param {function} callback - Receives open lobbies, fullest first, as {gameId, ...entry}
+ * @returns {function} Unsubscribe function
+ */
+function subscribeToPublicLobbies(callback) {
+  const query = database.ref('publicLobbies')
+    .orderByChild('updatedAt')
+    .limitToLast(PUBLIC_LOBBY_LIST_LIMIT);
+
+  const listener = query.on('value', snapshot => {
+    const lobbies = [];
+    snapshot.forEach(child => {
+      const entry = child.val();
+      if (isOpenPublicLobby(entry)) {
+        lobbies.push({ gameId: child.key, ...entry });
+      }
+    });
+    lobbies.sort(comparePublicLobbies);
+    callback(lobbies);
+  }, error => {
+    console.error('Public lobby listener error:', error);
+  });
+
+  return () => query.off('value', listener);
+}
+
+/**
+ * Order lobbies for Quick Match and the list: fullest first, then longest waiting
+ */
+function comparePublicLobbies(a, b) {
+  return (b.playerCount - a.playerCount) || ((a.createdAt || 0) - (b.createdAt || 0));
+}
+
+/**
+ * Get the open public lobbies Quick Match may put the player in
+ * @returns {Promise<Array<object>>} {gameId, ...entry}, fullest first
+ */
+async function findQuickMatchLobbies() {
+  const user = getCurrentUser();
+  const snapshot = await database.ref('publicLobbies')
+    .orderByChild('updatedAt')
+    .limitToLast(PUBLIC_LOBBY_LIST_LIMIT)
+    .once('value');
+
+  const lobbies = [];
+  snapshot.forEach(child => {
+    const entry = child.val();
+    if (isOpenPublicLobby(entry) && (!user || entry.hostId !== user.uid)) {
+      lobbies.push({ gameId: child.key, ...entry });
+    }
+  });
+  return lobbies.sort(comparePublicLobbies);
+}
+
+/**
+ * Remove a listing whose game has gone or is no longer public and waiting
+ * (the rules allow anyone to do this)
+ * @param {string} gameId - Game ID
+ * @returns {Promise<void>}
+ */
+async function removeStalePublicLobby(gameId) {
+  const gameData = await getGameSnapshot(gameId);
+  if (getPublicLobbyEntry(gameData)) return;
+
+  await database.ref(`publicLobbies/${gameId}`).remove();
+  console.log('Removed stale public lobby:', gameId);
+}
+
+// ============================================
+// SPECTATORS
+// Spectators read the game like anyone signed in, and list themselves under
+// spectators/{uid}. They are not members, so the security rules refuse
+// every write to the game itself.
+// ============================================
+
+/**
+ * Watch a game without taking a seat (waiting or already started)
+ * @param {string} code - Game code
+ * @param {string} playerName - Name shown in the lobby's spectator list
+ * @returns {Promise<{gameId: string, status: string}>}
+ */
+async function watchGame(code, playerName) {
+  const user = getCurrentUser();
+  if (!user) {
+    throw new Error('User not signed in');
+  }
+
+  const result = await findGameByCode(code);
+  if (!result) {
+    throw new Error('Game not found');
+  }
+
+  const { gameId, gameData } = result;
+  if (gameData.status === 'finished') {
+    throw new Error('Game has already finished');
+  }
+  if (gameData.members && typeof gameData.members[user.uid] === 'number') {
+    throw new Error('You are playing in this game - use Join instead');
+  }
+  if (gameData.bans && gameData.bans[user.uid]) {
+    throw new Error('You have been banned from this game');
+  }
+
+  // Drop off the list when the connection closes
+  const spectatorRef = getGameRef(gameId).child(`spectators/${user.uid}`);
+  await spectatorRef.onDisconnect().remove();
+  await spectatorRef.set({
+    name: playerName || 'Spectator',
+    joinedAt: firebase.database.ServerValue.TIMESTAMP
+  });
+
+  console.log('Watching game:', gameId);
+  return { gameId, status: gameData.status };
+}
+
+/**
+ * Stop watching a game
+ * @param {string} gameId - Game ID
+ * @returns {Promise<void>}
+ */
+async function stopWatching(gameId) {
+  const user = getCurrentUser();
+  if (!user) return;
+
+  const spectatorRef = getGameRef(gameId).child(`spectators/${user.uid}`);
+  await spectatorRef.onDisconnect().cancel();
+  await spectatorRef.remove();
+  console.log('Stopped watching game:', gameId);
+}
+
+// ============================================
+// CHAT
+// Messages live under chat/{pushId}. Each send also stamps
+// chatLastSent/{uid} and chatLastMessage/{uid}, which the security rules
+// use to rate limit: one message per write, one write per second.
+// ============================================
+
+const CHAT_MAX_LENGTH = 200;
+const CHAT_HISTORY_LIMIT = 50; // Most recent messages loaded when the chat opens
+
+/**
+ * Send a chat message or quick emote (players and spectators)
+ * @param {string} gameId - Game ID
+ * @param {string} name - Sender's display name
+ * @param {string} text - Message text (trimmed and cut to CHAT_MAX_LENGTH)
+ * @param {boolean} [emote] - True for a quick emote
+ * @returns {Promise<void>} Rejects with PERMISSION_DENIED when sending too fast
+ */
+async function sendChatMessage(gameId, name, text, emote = false) {
+  const user = getCurrentUser();
+  if (!user) {
+    throw new Error('User not signed in');
+  }
+
+  const trimmed = text.trim().slice(0, CHAT_MAX_LENGTH);
+  if (!trimmed) return;
+
+  const gameRef = getGameRef(gameId);
+  const messageKey = gameRef.child('chat').push().key;
+  const message = {
+    uid: user.uid,
+    name: (name || 'Player').slice(0, 20),
+    text: trimmed,
+    at: firebase.database.ServerValue.TIMESTAMP
+  };
+  if (emote) {
+    message.emote = true;
+  }
+
+  await gameRef.update({
+    [`chat/${messageKey}`]: message,
+    [`chatLastSent/${user.uid}`]: firebase.database.ServerValue.TIMESTAMP,
+    [`chatLastMessage/${user.uid}`]: messageKey
+  });
+}
+
+/**
+ * Listen for chat messages, starting with the most recent history
+ * @param {string} gameId - Game ID
+ * @param {function} callback - Called with {id, uid, name, text, at, emote} for each message
+ * @returns {function} Unsubscribe function
+ */
+function subscribeToChat(gameId, callback) {
+  const chatQuery = getGameRef(gameId).child('chat').orderByKey().limitToLast(CHAT_HISTORY_LIMIT);
+  const listener = chatQuery.on('child_added', snapshot => {
+    callback({ id: snapshot.key, ...snapshot.val() });
+  });
+
+  return () => chatQuery.off('child_added', listener);
+}
+
+// ============================================
+// PRESENCE
+// ============================================
+
+/**
+ * Write this player's connection state
+ * @param {string} gameId - Game ID
+ * @param {string} state - 'online', 'away' or 'offline'
+ * @returns {Promise<void>}
+ */
+async function setPresence(gameId, state) {
+  const user = getCurrentUser();
+  if (!user) return;
+
+  try {
+    await database.ref(`games/${gameId}/presence/${user.uid}`).set({
+      state,
+      lastChanged: firebase.database.ServerValue.TIMESTAMP
+    });
+  } catch (error) {
+    // Fails once we are no longer a member (e.g. replaced by a bot)
+    console.error('Failed to set presence:', error);
+  }
+}
+
+/**
+ * Track this player's connection in games/{gameId}/presence/{uid}
+ * Marks the player online (or away if the tab is hidden) every time the
+ * connection is established, and has the server mark them offline when it drops
+ * @param {string} gameId - Game ID
+ * @returns {function} Stops tracking and marks the player offline
+ */
+function trackPresence(gameId) {
+  const user = getCurrentUser();
+  if (!user) return () => {};
+
+  const presenceRef = database.ref(`games/${gameId}/presence/${user.uid}`);
+  const connectedRef = database.ref('.info/connected');
+
+  const listener = connectedRef.on('value', async snapshot => {
+    if (snapshot.val() !== true) return;
+    try {
+      await presenceRef.onDisconnect().set({
+        state: 'offline',
+        lastChanged: firebase.database.ServerValue.TIMESTAMP
+      });
+      await setPresence(gameId, document.hidden ? 'away' : 'online');
+    } catch (error) {
+      console.error('Failed to register presence:', error);
+    }
+  });
+
+  return () => {
+    connectedRef.off('value', listener);
+    presenceRef.onDisconnect().cancel();
+    setPresence(gameId, 'offline');
+  };
+}
+
+/**
+ * Take over as host because the host has been disconnected too long
+ * Security rules only allow this once the host's presence has been offline
+ * for the replacement timeout
+ * @param {string} gameId - Game ID
+ * @returns {Promise<void>}
+ */
+async function claimHost(gameId) {
+  const user = getCurrentUser();
+  if (!user) {
+    throw new Error('User not signed in');
+  }
+
+  await getGameRef(gameId).child('hostId').set(user.uid);
+  console.log('Took over as host:', gameId);
+}
+
+/**
+ * Hand a disconnected player's seat to a bot (active games)
+ * The seat keeps its index, color, score and boxes; the player stops being a member
+ * Security rules only allow this once their presence has been offline for the
+ * replacement timeout
+ * @param {string} gameId - Game ID
+ * @param {number} playerIndex - Seat of the disconnected player
+ * @param {string} levelId - Bot level for the seat
+ * @returns {Promise<void>}
+ */
+async function replaceWithBot(gameId, playerIndex, levelId) {
+  const gameRef = getGameRef(gameId);
+  const snapshot = await gameRef.child(`players/${playerIndex}`).once('value');
+  const player = snapshot.val();
+  if (!player || player.bot) return;
+
+  const level = Bots.getBotLevel(levelId);
+  const updates = {};
+  updates[`players/${playerIndex}/id`] = `bot-${Date.now().toString(36)}`;
+  updates[`players/${playerIndex}/name`] = `${player.name} (Bot)`.slice(0, 20);
+  updates[`players/${playerIndex}/bot`] = level.id;
+  updates[`members/${player.id}`] = null;
+  updates.lastActivity = firebase.database.ServerValue.TIMESTAMP;
+
+  await gameRef.update(updates);
+  console.log('Replaced disconnected player with a bot:', gameId, 'seat', playerIndex);
+}
+
+/**
+ * End the game
+ * @param {string} gameId - Game ID
+ * @returns {Promise<void>}
+ */
+async function endGame(gameId) {
   const gameRef = getGameRef(gameId);
   await gameRef.update({
     status: 'finished',
@@ -501,6 +1545,372 @@ async function endGame(gameId) {
   console.log('Game ended:', gameId);
 }
 
+// ============================================
+// REMATCH
+// A finished game's rematch node points at its follow-up game, so players
+// still on the game-over screen can be asked to join it.
+// ============================================
+
+/**
+ * Get the seat order for a rematch: the finished game's seats, rotated so the
+ * player after the previous starter moves first
+ * @param {object} gameData - Finished game document
+ * @returns {string[]} Player ids, first mover first
+ */
+function getRematchOrder(gameData) {
+  const players = gameData.players || {};
+  const seats = Object.keys(players)
+    .filter(key => players[key])
+    .sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+  if (seats.length === 0) return [];
+
+  const startEntry = gameData.moves && gameData.moves[0];
+  const starter = startEntry ? String(startEntry.currentPlayerIndex || 0) : seats[0];
+  const next = (Math.max(0, seats.indexOf(starter)) + 1) % seats.length;
+
+  return [...seats.slice(next), ...seats.slice(0, next)].map(key => players[key].id);
+}
+
+/**
+ * Get the seat that moves first: the first player in the rematch order who
+ * took a seat, else seat 0
+ * @param {object} gameData - Waiting game document
+ * @returns {number} Player index
+ */
+function getFirstPlayerIndex(gameData) {
+  const order = gameData.rematchOf && gameData.rematchOf.order;
+  if (!order) return 0;
+
+  const players = gameData.players || {};
+  for (const playerId of Object.values(order)) {
+    const seat = Object.keys(players).find(key => players[key] && players[key].id === playerId);
+    if (seat !== undefined) return parseInt(seat, 10);
+  }
+  return 0;
+}
+
+/**
+ * Create a follow-up game with the same board, settings, turn timer and bots,
+ * and offer it to the others through the finished game's rematch node
+ * If someone else offered a rematch first, that one is returned to join instead
+ * @param {string} gameId - Finished game ID
+ * @param {string} playerName - Name of the player hosting the rematch
+ * @returns {Promise<{gameId: string, code: string, created: boolean}>}
+ */
+async function createRematch(gameId, playerName) {
+  const user = getCurrentUser();
+  if (!user) {
+    throw new Error('User not signed in');
+  }
+
+  const oldGame = await getGameSnapshot(gameId);
+  if (!oldGame) {
+    throw new Error('Game not found');
+  }
+  if (oldGame.status !== 'finished') {
+    throw new Error('The game has not finished yet');
+  }
+  if (!oldGame.members || typeof oldGame.members[user.uid] !== 'number') {
+    throw new Error('You were not in that game');
+  }
+  if (oldGame.rematch) {
+    return { gameId: oldGame.rematch.gameId, code: oldGame.rematch.code, created: false };
+  }
+
+  const players = oldGame.players || {};
+  const bots = Object.keys(players)
+    .sort((a, b) => parseInt(a, 10) - parseInt(b, 10))
+    .map(key => players[key])
+    .filter(player => player && player.bot);
+
+  const settings = RulesEngine.getSettings(oldGame);
+  const rematch = await createGame(
+    playerName,
+    settings.maxPlayers,
+    oldGame.layout || BoardLayouts.DEFAULT_LAYOUT,
+    BoardLayouts.getBoardSize(oldGame),
+    {
+      settings,
+      turnTimer: oldGame.turnTimer || null,
+      series: Series.getNextSeries(oldGame),
+      bots,
+      rematchOf: { gameId, order: getRematchOrder(oldGame) }
+    }
+  );
+
+  // Two players may press Rematch at once; the first offer wins and the other joins it
+  const offer = { gameId: rematch.gameId, code: rematch.code, hostId: user.uid, hostName: playerName };
+  const claim = await getGameRef(gameId).child('rematch').transaction(current => {
+    if (current) return; // Already offered - abort
+    return offer;
+  });
+
+  if (!claim.committed) {
+    await updateWaitingGame(rematch.gameId, null, null);
+    const existing = claim.snapshot.val();
+    return { gameId: existing.gameId, code: existing.code, created: false };
+  }
+
+  console.log('Rematch created:', gameId, '->', rematch.gameId);
+  return { gameId: rematch.gameId, code: rematch.code, created: true };
+}
+
+// ============================================
+// PLAYER PROFILES
+// ============================================
+
+// Lifetime counters kept under users/{uid}/stats
+const PROFILE_STAT_FIELDS = ['gamesPlayed', 'wins', 'ties', ...MoveLog.PLAYER_STAT_FIELDS];
+
+function getUserRef(uid) {
+  return database.ref(`users/${uid}`);
+}
+
+/**
+ * Load the signed-in player's profile
+ * @returns {Promise<{name: string, color: string, stats: object}|null>} Null if none saved yet
+ */
+async function getUserProfile() {
+  const user = getCurrentUser();
+  if (!user) {
+    throw new Error('User not signed in');
+  }
+
+  const snapshot = await getUserRef(user.uid).once('value');
+  if (!snapshot.exists()) return null;
+
+  const profile = snapshot.val();
+  const stats = {};
+  PROFILE_STAT_FIELDS.forEach(field => {
+    stats[field] = (profile.stats && profile.stats[field]) || 0;
+  });
+  return { name: profile.name || '', color: profile.color || null, stats };
+}
+
+/**
+ * Save the signed-in player's display name and preferred color
+ * @param {{name?: string, color?: string}} fields
+ * @returns {Promise<void>}
+ */
+async function saveUserProfile(fields) {
+  const user = getCurrentUser();
+  if (!user) {
+    throw new Error('User not signed in');
+  }
+
+  const updates = { updatedAt: firebase.database.ServerValue.TIMESTAMP };
+  if (typeof fields.name === 'string') {
+    updates.name = fields.name.trim().slice(0, 12);
+  }
+  if (fields.color !== undefined) {
+    updates.color = ROYGBIV_COLORS.includes(fields.color) ? fields.color : null;
+  }
+  await getUserRef(user.uid).update(updates);
+  console.log('Profile saved');
+}
+
+/**
+ * Add a finished game to the signed-in player's lifetime stats
+ * The game is recorded under recordedGames/{gameId} in the same write; those
+ * entries are create-only, so several tabs or repeated calls count it once
+ * @param {string} gameId - The finished game
+ * @param {object} result - Counters to add (gamesPlayed, wins, ties, boxesCaptured, ...)
+ * @returns {Promise<boolean>} True if the stats were updated
+ */
+async function recordGameStats(gameId, result) {
+  const user = getCurrentUser();
+  if (!user) {
+    throw new Error('User not signed in');
+  }
+
+  const userRef = getUserRef(user.uid);
+  const recorded = await userRef.child(`recordedGames/${gameId}`).once('value');
+  if (recorded.exists()) return false; // Already counted
+
+  const updates = {
+    [`recordedGames/${gameId}`]: firebase.database.ServerValue.TIMESTAMP,
+    lastGameId: gameId,
+    updatedAt: firebase.database.ServerValue.TIMESTAMP
+  };
+  PROFILE_STAT_FIELDS.forEach(field => {
+    if (result[field]) {
+      updates[`stats/${field}`] = firebase.database.ServerValue.increment(result[field]);
+    }
+  });
+
+  try {
+    await userRef.update(updates);
+  } catch (error) {
+    if (isPermissionDenied(error)) {
+      // Another tab recorded the game first
+      return false;
+    }
+    throw error;
+  }
+
+  console.log('Lifetime stats updated for game:', gameId);
+  return true;
+}
+
+/**
+ * Pick a seat's color: the player's preferred color if nobody has it yet,
+ * otherwise the seat's color from the game palette (or the next unused one)
+ * @param {object} gameData - Game document
+ * @param {number} playerIndex - Seat being filled
+ * @param {string|null} [preferredColor]
+ * @returns {string}
+ */
+function pickSeatColor(gameData, playerIndex, preferredColor) {
+  const palette = gameData.playerColors || ROYGBIV_COLORS;
+  const usedColors = Object.values(gameData.players || {})
+    .filter(player => player)
+    .map(player => player.color);
+
+  if (preferredColor && palette.includes(preferredColor) && !usedColors.includes(preferredColor)) {
+    return preferredColor;
+  }
+
+  const ordered = [...palette.slice(playerIndex), ...palette.slice(0, playerIndex)];
+  return ordered.find(color => !usedColors.includes(color)) || palette[playerIndex % palette.length];
+}
+
+/**
+ * Get the signed-in player's preferred color, ignoring errors (it's optional)
+ * @returns {Promise<string|null>}
+ */
+async function getPreferredColor() {
+  try {
+    const profile = await getUserProfile();
+    return profile ? profile.color : null;
+  } catch (error) {
+    console.log('Could not load preferred color:', error.message);
+    return null;
+  }
+}
+
+// ============================================
+// ACCOUNTS
+// Anonymous players can link an email and password to their uid so their
+// profile survives clearing storage or switching devices. Signing in on a
+// device with its own anonymous history can merge that history in.
+// ============================================
+
+/**
+ * Get the email of the linked account
+ * @returns {string|null} Null for anonymous players
+ */
+function getAccountEmail() {
+  const user = getCurrentUser();
+  return user && !user.isAnonymous ? user.email : null;
+}
+
+/**
+ * Link an email and password to the current anonymous player
+ * The uid doesn't change, so the profile and any games in progress carry on
+ * @param {string} email
+ * @param {string} password - At least 6 characters (Firebase Auth minimum)
+ * @returns {Promise<void>} Rejects with auth/email-already-in-use if the email has an account
+ */
+async function linkAccount(email, password) {
+  const user = getCurrentUser();
+  if (!user) {
+    throw new Error('User not signed in');
+  }
+
+  const credential = firebase.auth.EmailAuthProvider.credential(email.trim(), password);
+  await user.linkWithCredential(credential);
+  console.log('Account linked:', user.uid);
+}
+
+/**
+ * Sign in to an existing account, optionally adding this device's anonymous
+ * stats to it
+ * The anonymous uid proves ownership by saving a one-time merge token to its
+ * own profile before switching; the account then copies the stats and the
+ * security rules check them against that profile.
+ * @param {string} email
+ * @param {string} password
+ * @param {boolean} mergeLocalStats - Add this device's anonymous stats to the account
+ * @returns {Promise<boolean>} True if stats were merged
+ */
+async function signInToAccount(email, password, mergeLocalStats) {
+  const previousUser = getCurrentUser();
+  let ticket = null;
+
+  if (mergeLocalStats && previousUser && previousUser.isAnonymous) {
+    const profile = await getUserProfile();
+    if (profile && profile.stats.gamesPlayed > 0) {
+      const token = `${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
+      await getUserRef(previousUser.uid).update({ mergeToken: token });
+      ticket = { uid: previousUser.uid, token, profile };
+    }
+  }
+
+  await auth.signInWithEmailAndPassword(email.trim(), password);
+  console.log('Signed in to account:', getCurrentUser().uid);
+
+  if (!ticket) return false;
+  return mergeProfile(ticket);
+}
+
+/**
+ * Add an anonymous profile's stats to the signed-in account
+ * The same write marks the anonymous profile mergedInto this account and
+ * clears its token, so it can't be merged again here or into another account
+ * @param {{uid: string, token: string, profile: object}} ticket - From signInToAccount
+ * @returns {Promise<boolean>} True if merged (false if it was merged before)
+ */
+async function mergeProfile(ticket) {
+  const user = getCurrentUser();
+  const snapshot = await getUserRef(user.uid).once('value');
+  const current = snapshot.val() || {};
+  if (current.merged && current.merged[ticket.uid]) return false; // Already merged
+
+  const accountPath = `users/${user.uid}`;
+  const updates = {
+    [`${accountPath}/merged/${ticket.uid}`]: ticket.token,
+    [`${accountPath}/lastMergedUid`]: ticket.uid,
+    [`${accountPath}/updatedAt`]: firebase.database.ServerValue.TIMESTAMP,
+    [`users/${ticket.uid}/mergedInto`]: user.uid,
+    [`users/${ticket.uid}/mergeToken`]: null
+  };
+  if (!current.name && ticket.profile.name) {
+    updates[`${accountPath}/name`] = ticket.profile.name;
+  }
+  if (!current.color && ticket.profile.color) {
+    updates[`${accountPath}/color`] = ticket.profile.color;
+  }
+  PROFILE_STAT_FIELDS.forEach(field => {
+    if (ticket.profile.stats[field]) {
+      updates[`${accountPath}/stats/${field}`] = firebase.database.ServerValue.increment(ticket.profile.stats[field]);
+    }
+  });
+
+  try {
+    await database.ref().update(updates);
+  } catch (error) {
+    if (isPermissionDenied(error)) {
+      // Merged from another tab, or into another account, in the meantime
+      return false;
+    }
+    throw error;
+  }
+
+  console.log('Merged anonymous profile', ticket.uid, 'into', user.uid);
+  return true;
+}
+
+/**
+ * Sign out of the linked account and continue as a new anonymous player
+ * @returns {Promise<object>} The new anonymous user
+ */
+async function signOutOfAccount() {
+  await auth.signOut();
+  const userCredential = await auth.signInAnonymously();
+  console.log('Signed out; playing anonymously as', userCredential.user.uid);
+  return userCredential.user;
+}
+
 // ============================================
 // SABOTAGE MECHANIC FUNCTIONS
 // ============================================
@@ -533,10 +1943,11 @@ async function initializeSabotage(gameId) {
  * Start a new glow cycle - select random dot and timer
  * @param {string} gameId - Game ID
  * @param {string} dotKey - The dot to glow ("row,col")
+ * @param {number} [maxDuration] - Longest glow in ms (the glowDuration setting)
  */
-async function startGlowCycle(gameId, dotKey) {
+async function startGlowCycle(gameId, dotKey, maxDuration = RulesEngine.DEFAULT_SETTINGS.glowDuration) {
   console.log('[SABOTAGE] startGlowCycle called:', gameId, dotKey);
-  const duration = 250 + Math.random() * 750; // 250-1000ms
+  const duration = maxDuration * (0.25 + Math.random() * 0.75); // 25-100% of the setting
   const gameRef = getGameRef(gameId);
 
   const updates = {
@@ -591,23 +2002,13 @@ async function tapGlowingDot(gameId, dotKey, tappingPlayerId, nextPlayerIndex, r
   console.log('[ROULETTE] Effect applied:', rouletteIcon, 'on dot:', dotKey);
 }
 
-/**
- * Apply sabotage destructive effects (called after 0.5s delay)
- * @param {string} gameId - Game ID
- * @param {object} destructiveUpdates - Line/score changes to apply
- */
-async function applySabotageEffects(gameId, destructiveUpdates) {
-  const gameRef = getGameRef(gameId);
-  await gameRef.update(destructiveUpdates);
-  console.log('[ROULETTE] Sabotage destructive effects applied');
-}
-
 /**
  * Clear glow (timer expired) and schedule next glow cycle
  * @param {string} gameId - Game ID
+ * @param {number} [maxWait] - Longest wait in ms (the glowInterval setting)
  */
-async function clearGlowAndScheduleNext(gameId) {
-  const waitTime = 1000 + Math.random() * 4000; // 1-5 seconds
+async function clearGlowAndScheduleNext(gameId, maxWait = RulesEngine.DEFAULT_SETTINGS.glowInterval) {
+  const waitTime = maxWait * (0.2 + Math.random() * 0.8); // 20-100% of the setting
   const nextTime = Date.now() + waitTime;
   const gameRef = getGameRef(gameId);
 
@@ -659,17 +2060,17 @@ const clearProhibition = clearAllRouletteEffects;
 
 /**
  * Get current server timestamp for timing validation
- * @returns {number} Current timestamp
+ * @returns {number} Current timestamp (local clock corrected by the server offset)
  */
 function getServerTime() {
-  return Date.now(); // Client-side approximation; Firebase handles actual sync
+  return Date.now() + serverTimeOffset;
 }
 
 // Export for use in other modules
 window.FirebaseService = {
   // Core
   init: initializeFirebase,
-  signIn: signInAnonymously,
+  signIn: signInPlayer,
   getUser: getCurrentUser,
   database: () => database,
   auth: () => auth,
@@ -679,23 +2080,66 @@ window.FirebaseService = {
   findGameByCode: findGameByCode,
   joinGame: joinGame,
   startGame: startGame,
+  setBoardLayout: setBoardLayout,
+  setGameSettings: setGameSettings,
+  setTurnTimer: setTurnTimer,
+  setSeries: setSeries,
+  addBot: addBot,
+  removeBot: removeBot,
+  kickPlayer: kickPlayer,
+  transferHost: transferHost,
   leaveGame: leaveGame,
   endGame: endGame,
+  watchGame: watchGame,
+  stopWatching: stopWatching,
+  createRematch: createRematch,
+
+  // Public lobbies (Browse Games and Quick Match)
+  setLobbyPublic: setLobbyPublic,
+  subscribeToPublicLobbies: subscribeToPublicLobbies,
+  findQuickMatchLobbies: findQuickMatchLobbies,
+  removeStalePublicLobby: removeStalePublicLobby,
+
+  // Player profiles
+  getUserProfile: getUserProfile,
+  saveUserProfile: saveUserProfile,
+  recordGameStats: recordGameStats,
+
+  // Accounts
+  getAccountEmail: getAccountEmail,
+  linkAccount: linkAccount,
+  signInToAccount: signInToAccount,
+  signOutOfAccount: signOutOfAccount,
+
+  // Chat
+  CHAT_MAX_LENGTH,
+  sendChatMessage: sendChatMessage,
+  subscribeToChat: subscribeToChat,
+
+  // Presence and disconnected players
+  setPresence: setPresence,
+  trackPresence: trackPresence,
+  claimHost: claimHost,
+  replaceWithBot: replaceWithBot,
 
   // Real-time sync
   subscribeToGame: subscribeToGame,
   drawLine: drawLine,
   updateGameState: updateGameState,
+  commitMove: commitMove,
+  appendMoveLog: appendMoveLog,
+  getGameSnapshot: getGameSnapshot,
 
   // Helpers
   getGameRef: getGameRef,
+  isPermissionDenied: isPermissionDenied,
   generateCode: generateGameCode,
+  setCodeGenerator: setCodeGenerator,
 
   // Sabotage/Roulette mechanic
   initializeSabotage,
   startGlowCycle,
   tapGlowingDot,
-  applySabotageEffects,
   clearGlowAndScheduleNext,
   clearProhibition,
   clearAllRouletteEffects,
@@ -703,5 +2147,6 @@ window.FirebaseService = {
   getServerTime,
 
   // Constants
-  PLAYER_COLORS: PLAYER_COLORS
+  PLAYER_COLORS: PLAYER_COLORS,
+  PROFILE_STAT_FIELDS: PROFILE_STAT_FIELDS
 };
@@ -13,17 +13,15 @@ let gameState = null;
 let currentGameId = null;
 let localPlayerIndex = null;
 let unsubscribeFromGame = null;
+let moveInFlight = false; // Blocks double taps while a move is being committed
 
-// Sabotage mechanic state
-// Set to false to disable sabotage for debugging
-const SABOTAGE_ENABLED = true;
+// Sabotage mechanic state (turned on and off by the sabotageEnabled setting)
 // Set to false to disable glow animation (static red dot instead)
 const SABOTAGE_ANIMATION_ENABLED = true;
 
 // Miss penalty state - when opponent taps wrong dot
 let missPenaltyActive = false;
-let missPenaltyEndTime = 0;
-const MISS_PENALTY_DURATION = 2000; // 2 seconds cooldown after a miss
+let missPenaltyEndTime = 0; // Lasts missPenaltyDuration (game setting) after a miss
 
 // Idle move reminder state
 let idleMoveReminderTimer = null;
@@ -43,14 +41,29 @@ let sabotageState = {
 let glowExpiryTimer = null;
 let nextGlowTimer = null;
 let anchorTimeoutTimer = null;
-const ANCHOR_TIMEOUT_DURATION = 3000; // 3 seconds if no valid moves
 let pendingSabotageDotKey = null; // Stored for deferred destruction after settle animation
 let noMovesSkipTimer = null; // Timer for auto-skip when no legal moves
+const SABOTAGE_COMMIT_ATTEMPTS = 3; // Retries when a move lands before the sabotage destruction
+
+// Bot seats are played by the host's client
+let botMoveTimer = null;
+const BOT_MOVE_DELAY = 800; // Pause before a bot moves so humans can follow along
+
+// Presence: disconnected players are handled by one "caretaker" client
+// Both timeouts are mirrored in database.rules.json - change them together
+let stopPresenceTracking = null;
+let disconnectCheckTimer = null;
+const DISCONNECT_SKIP_GRACE = 20000; // Skip a disconnected player's turn after 20 seconds offline
+const DISCONNECT_REPLACE_TIMEOUT = 120000; // Hand their seat to a bot after 2 minutes offline
+const DISCONNECT_BOT_LEVEL = 'medium';
+
+// Turn timer (limits come from gameState.turnTimer, see RulesEngine.TURN_TIMER_OPTIONS)
+let turnTimeoutTimer = null;
 
 /**
  * Initialize a game session
  * @param {string} gameId - The game ID to join
- * @param {number} playerIndex - The local player's index
+ * @param {number|null} playerIndex - The local player's index, or null to watch as a spectator
  */
 function initGameSession(gameId, playerIndex) {
   currentGameId = gameId;
@@ -59,6 +72,12 @@ function initGameSession(gameId, playerIndex) {
   // Subscribe to game state changes
   unsubscribeFromGame = FirebaseService.subscribeToGame(gameId, handleGameStateUpdate);
 
+  // Let the other players see if we drop out or switch apps (spectators have no seat to report)
+  if (!isSpectating()) {
+    stopPresenceTracking = FirebaseService.trackPresence(gameId);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+  }
+
   console.log('Game session initialized:', gameId, 'as player', playerIndex);
 }
 
@@ -75,13 +94,16 @@ function handleGameStateUpdate(newState) {
   gameState.linesArray = convertLinesToArray(newState.lines);
   gameState.boxesArray = convertBoxesToArray(newState.boxes);
 
+  // The replay viewer owns the board while it is showing
+  const replaying = typeof ReplayService !== 'undefined' && ReplayService.isActive();
+
   // Notify board.js to update rendering
-  if (typeof updateBoardFromGameState === 'function') {
+  if (!replaying && typeof updateBoardFromGameState === 'function') {
     updateBoardFromGameState(gameState);
   }
 
   // Update scoreboard
-  if (typeof updateScoreboardFromState === 'function') {
+  if (!replaying && typeof updateScoreboardFromState === 'function') {
     updateScoreboardFromState(gameState);
   }
 
@@ -93,16 +115,29 @@ function handleGameStateUpdate(newState) {
         showScreen('game');
       }
       // Initialize sabotage when game starts (host triggers this)
-      if (SABOTAGE_ENABLED) {
+      if (isSabotageEnabled() && !isSpectating()) {
         FirebaseService.initializeSabotage(currentGameId);
       }
     }
 
+    // Only the host may change status (security rules), so the host finishes the game
+    // (also when every player's time bank has run out)
+    if (newState.status === 'active' && isLocalHost() &&
+        (RulesEngine.isBoardFull(newState) || RulesEngine.isEveryClockExpired(newState))) {
+      FirebaseService.endGame(currentGameId);
+    }
+
     // Check if game just ended
     if (oldState.status === 'active' && newState.status === 'finished') {
       if (typeof showGameOverFromState === 'function') {
         showGameOverFromState(gameState);
       }
+      recordLifetimeStats();
+    }
+
+    // Another player offered a rematch while we're on the game-over screen
+    if (newState.rematch && !oldState.rematch) {
+      handleRematchOffer(newState.rematch);
     }
 
     // Check if turn changed to a new player (for clearing prohibition)
@@ -112,13 +147,13 @@ function handleGameStateUpdate(newState) {
   } else {
     // First state received - if game is already active but no sabotage data, initialize it
     // This handles the case where a client joins/reconnects to an active game
-    if (SABOTAGE_ENABLED && newState.status === 'active' && !newState.sabotage) {
+    if (isSabotageEnabled() && !isSpectating() && newState.status === 'active' && !newState.sabotage) {
       FirebaseService.initializeSabotage(currentGameId);
     }
   }
 
   // Update sabotage state from Firebase
-  if (SABOTAGE_ENABLED && newState.sabotage) {
+  if (isSabotageEnabled() && newState.sabotage) {
     const oldSabotage = { ...sabotageState };
     sabotageState = { ...newState.sabotage };
     handleSabotageStateUpdate(oldSabotage);
@@ -127,6 +162,15 @@ function handleGameStateUpdate(newState) {
   // Check if we should auto-skip due to no legal moves
   checkAndAutoSkipIfNoMoves();
 
+  // Let the host play for a bot whose turn it is
+  scheduleBotTurn();
+
+  // Skip or replace players who have disconnected (caretaker only)
+  scheduleDisconnectCheck();
+
+  // Pass the turn when the clock runs out (one writer only)
+  scheduleTurnTimeout();
+
   console.log('Game state updated:', gameState);
 }
 
@@ -208,205 +252,85 @@ function getLocalPlayer() {
 }
 
 /**
- * Get line key from row, col, direction
- * @param {number} row
- * @param {number} col
- * @param {string} direction
- * @returns {string}
+ * Check if a seat is played by a bot
+ * @param {number} playerIndex
+ * @returns {boolean}
  */
-function getLineKey(row, col, direction) {
-  return `${row},${col},${direction}`;
+function isBotSeat(playerIndex) {
+  const player = gameState && gameState.playersArray && gameState.playersArray[playerIndex];
+  return !!(player && player.bot);
 }
 
 /**
- * Get box key from row, col
- * @param {number} row
- * @param {number} col
- * @returns {string}
+ * Check if it's a bot's turn and this client drives it (the host)
+ * @returns {boolean}
  */
-function getBoxKey(row, col) {
-  return `${row},${col}`;
+function isLocalBotTurn() {
+  if (!gameState || gameState.status !== 'active') return false;
+  return isBotSeat(gameState.currentPlayerIndex) && isLocalHost();
 }
 
 /**
- * Check if a line already exists
- * @param {number} row
- * @param {number} col
- * @param {string} direction
+ * Check if the local user is the game's host
  * @returns {boolean}
  */
-function lineExists(row, col, direction) {
-  if (!gameState || !gameState.lines) return false;
-  const key = getLineKey(row, col, direction);
-  return gameState.lines[key] !== undefined;
+function isLocalHost() {
+  const user = FirebaseService.getUser();
+  return !!(gameState && user && gameState.hostId === user.uid);
 }
 
 /**
- * Check if a box is completed (all 4 sides have lines)
- * @param {number} row - Box row (0-4)
- * @param {number} col - Box column (0-4)
+ * Check if the local user is watching without a seat
+ * Spectators never write: they don't move, tap glowing dots, coordinate
+ * sabotage, skip turns or look after disconnected players
  * @returns {boolean}
  */
-function isBoxComplete(row, col) {
-  const hasTop = lineExists(row, col, 'h');
-  const hasBottom = lineExists(row + 1, col, 'h');
-  const hasLeft = lineExists(row, col, 'v');
-  const hasRight = lineExists(row, col + 1, 'v');
-
-  return hasTop && hasBottom && hasLeft && hasRight;
+function isSpectating() {
+  return currentGameId !== null && localPlayerIndex === null;
 }
 
 /**
- * Get special square type for a box
- * @param {number} row
- * @param {number} col
- * @returns {string} 'golden', 'penalty', or 'normal'
+ * Get the game state as seen by the rules engine
+ * Sabotage effects come from the locally tracked sabotage state
+ * @returns {object|null}
  */
-function getSpecialSquareType(row, col) {
-  if (!gameState || !gameState.specialSquares) return 'normal';
-
-  const key = getBoxKey(row, col);
-
-  if (gameState.specialSquares.golden && gameState.specialSquares.golden.includes(key)) {
-    return 'golden';
-  }
-
-  if (gameState.specialSquares.penalty && gameState.specialSquares.penalty.includes(key)) {
-    return 'penalty';
-  }
-
-  return 'normal';
+function getRulesState() {
+  if (!gameState) return null;
+  return { ...gameState, sabotage: sabotageState };
 }
 
 /**
- * Check which boxes would be completed by drawing a line
+ * Check if a line already exists
  * @param {number} row
  * @param {number} col
  * @param {string} direction
- * @returns {Array} Array of {row, col, type} for newly completed boxes
+ * @returns {boolean}
  */
-function findCompletedBoxes(row, col, direction) {
-  const completed = [];
-  const gridSize = gameState ? gameState.gridSize : 6;
-  const boxCount = gridSize - 1;
-
-  // Temporarily add the line to check
-  const tempLines = { ...(gameState?.lines || {}) };
-  tempLines[getLineKey(row, col, direction)] = localPlayerIndex;
-
-  // Helper to check if box is complete with temp lines
-  const isComplete = (r, c) => {
-    const hasTop = tempLines[getLineKey(r, c, 'h')] !== undefined;
-    const hasBottom = tempLines[getLineKey(r + 1, c, 'h')] !== undefined;
-    const hasLeft = tempLines[getLineKey(r, c, 'v')] !== undefined;
-    const hasRight = tempLines[getLineKey(r, c + 1, 'v')] !== undefined;
-    return hasTop && hasBottom && hasLeft && hasRight;
-  };
-
-  // Determine affected boxes
-  const boxesToCheck = [];
-
-  if (direction === 'h') {
-    // Horizontal line affects box above and below
-    if (row > 0) boxesToCheck.push({ row: row - 1, col });
-    if (row < boxCount) boxesToCheck.push({ row, col });
-  } else {
-    // Vertical line affects box to left and right
-    if (col > 0) boxesToCheck.push({ row, col: col - 1 });
-    if (col < boxCount) boxesToCheck.push({ row, col });
-  }
-
-  // Check each affected box
-  for (const box of boxesToCheck) {
-    const boxKey = getBoxKey(box.row, box.col);
-    const isAlreadyOwned = gameState?.boxes?.[boxKey]?.ownerId !== undefined;
-
-    if (!isAlreadyOwned && isComplete(box.row, box.col)) {
-      completed.push({
-        row: box.row,
-        col: box.col,
-        type: getSpecialSquareType(box.row, box.col)
-      });
-    }
-  }
-
-  return completed;
+function lineExists(row, col, direction) {
+  if (!gameState) return false;
+  return RulesEngine.hasLine(gameState, RulesEngine.getLineKey(row, col, direction));
 }
 
 /**
- * Respawn special squares in unoccupied boxes
- * @param {string[]} goldenToRespawn - Golden square keys that were completed
- * @param {string[]} penaltyToRespawn - Penalty square keys that were completed
- * @param {string[]} justCompleted - Box keys just completed this turn
- * @returns {object|null} New specialSquares object or null if no respawn needed
+ * Check if a box is completed (all 4 sides have lines)
+ * @param {number} row - Box row
+ * @param {number} col - Box column
+ * @returns {boolean}
  */
-function respawnSpecialSquares(goldenToRespawn, penaltyToRespawn, justCompleted) {
-  if (!gameState || !gameState.specialSquares) return null;
-
-  const gridSize = gameState.gridSize || 6;
-  const boxCount = gridSize - 1;
-
-  // Get all currently occupied boxes (owned + just completed + current special squares)
-  const occupiedBoxes = new Set();
-
-  // Add already owned boxes
-  if (gameState.boxes) {
-    Object.keys(gameState.boxes).forEach(key => occupiedBoxes.add(key));
-  }
-
-  // Add just completed boxes
-  justCompleted.forEach(key => occupiedBoxes.add(key));
-
-  // Copy current special squares
-  let newGolden = [...(gameState.specialSquares.golden || [])];
-  let newPenalty = [...(gameState.specialSquares.penalty || [])];
-
-  // Remove completed special squares from their lists
-  goldenToRespawn.forEach(key => {
-    newGolden = newGolden.filter(k => k !== key);
-  });
-  penaltyToRespawn.forEach(key => {
-    newPenalty = newPenalty.filter(k => k !== key);
-  });
-
-  // Find all unoccupied boxes (not owned, not special)
-  const allSpecial = new Set([...newGolden, ...newPenalty]);
-  const unoccupiedBoxes = [];
-
-  for (let row = 0; row < boxCount; row++) {
-    for (let col = 0; col < boxCount; col++) {
-      const key = `${row},${col}`;
-      if (!occupiedBoxes.has(key) && !allSpecial.has(key)) {
-        unoccupiedBoxes.push(key);
-      }
-    }
-  }
-
-  // Shuffle unoccupied boxes
-  for (let i = unoccupiedBoxes.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [unoccupiedBoxes[i], unoccupiedBoxes[j]] = [unoccupiedBoxes[j], unoccupiedBoxes[i]];
-  }
-
-  // Respawn golden squares
-  let spawnIndex = 0;
-  for (let i = 0; i < goldenToRespawn.length && spawnIndex < unoccupiedBoxes.length; i++) {
-    newGolden.push(unoccupiedBoxes[spawnIndex]);
-    console.log('Golden square respawned at:', unoccupiedBoxes[spawnIndex]);
-    spawnIndex++;
-  }
-
-  // Respawn penalty squares
-  for (let i = 0; i < penaltyToRespawn.length && spawnIndex < unoccupiedBoxes.length; i++) {
-    newPenalty.push(unoccupiedBoxes[spawnIndex]);
-    console.log('Penalty square respawned at:', unoccupiedBoxes[spawnIndex]);
-    spawnIndex++;
-  }
+function isBoxComplete(row, col) {
+  if (!gameState) return false;
+  return RulesEngine.isBoxComplete(gameState, row, col);
+}
 
-  return {
-    golden: newGolden,
-    penalty: newPenalty
-  };
+/**
+ * Get special square type for a box
+ * @param {number} row
+ * @param {number} col
+ * @returns {string} 'golden', 'penalty', or 'normal'
+ */
+function getSpecialSquareType(row, col) {
+  if (!gameState) return 'normal';
+  return RulesEngine.getSpecialSquareType(gameState, row, col);
 }
 
 /**
@@ -427,145 +351,74 @@ async function handleLineDrawAttempt(row, col, direction) {
     return false;
   }
 
+  // Ignore taps while the previous move is still being committed
+  if (moveInFlight) {
+    console.log('Move already in flight');
+    return false;
+  }
+
   // Cancel any idle move reminder since player is making a move
   cancelIdleMoveReminder();
 
-  // Check if line already exists
-  if (lineExists(row, col, direction)) {
-    console.log('Line already exists');
-    return false;
-  }
+  const outcome = await submitLineMove({ row, col, direction, playerIndex: localPlayerIndex });
 
-  // Check if line is prohibited by sabotage
-  if (isLineProhibited(row, col, direction)) {
-    console.log('Line is prohibited by sabotage');
-    return false;
+  if (outcome.reason === 'anchor' && typeof showNotification === 'function') {
+    showNotification('You must use the anchored dot!');
   }
-
-  // Check if anchor is active - player MUST use the anchored dot
-  if (sabotageState.anchoredDot && !lineUsesAnchoredDot(row, col, direction)) {
-    console.log('Must use anchored dot!');
-    if (typeof showNotification === 'function') {
-      showNotification('You must use the anchored dot!');
-    }
-    return false;
+  if (outcome.conflict) {
+    await handleMoveConflict();
   }
 
-  // Track if we need to clear the anchor after this move
-  const shouldClearAnchor = sabotageState.anchoredDot && lineUsesAnchoredDot(row, col, direction);
-
-  // Find any boxes that will be completed
-  const completedBoxes = findCompletedBoxes(row, col, direction);
-
-  // Build updates for Firebase
-  const updates = {};
-
-  // Add the line
-  const lineKey = getLineKey(row, col, direction);
-  updates[`lines/${lineKey}`] = localPlayerIndex;
-
-  // Process completed boxes
-  let earnedTurn = false;
-  let forfeitTurn = false;
-  let pointsEarned = 0;
-
-  // Track special squares that need to respawn
-  const goldenToRespawn = [];
-  const penaltyToRespawn = [];
-
-  for (const box of completedBoxes) {
-    const boxKey = getBoxKey(box.row, box.col);
-    updates[`boxes/${boxKey}`] = {
-      ownerId: localPlayerIndex,
-      type: box.type
-    };
-
-    pointsEarned++;
-
-    // Handle special square effects
-    if (box.type === 'golden') {
-      // Golden: Bank a turn
-      const currentBanked = gameState.playersArray[localPlayerIndex]?.bankedTurns || 0;
-      updates[`players/${localPlayerIndex}/bankedTurns`] = currentBanked + 1;
-      earnedTurn = true; // Also keep your turn
-      goldenToRespawn.push(boxKey);
-      console.log('Golden square! Banked a turn.');
-    } else if (box.type === 'penalty') {
-      // Penalty: Forfeit turn even if you completed a box
-      forfeitTurn = true;
-      penaltyToRespawn.push(boxKey);
-      console.log('Penalty square! Turn forfeited.');
-    }
+  // If this was the last banked turn, start idle move reminder
+  // Player still has one more move but bonus animation will stop
+  const bankedTurnUsed = outcome.ok && outcome.events.find(e => e.type === 'bankedTurnUsed');
+  if (bankedTurnUsed && bankedTurnUsed.remaining === 0) {
+    // Use setTimeout to start after state update is processed
+    setTimeout(() => startIdleMoveReminder(), 100);
   }
 
-  // Respawn special squares in unoccupied boxes
-  if (goldenToRespawn.length > 0 || penaltyToRespawn.length > 0) {
-    const respawnedSquares = respawnSpecialSquares(
-      goldenToRespawn,
-      penaltyToRespawn,
-      completedBoxes.map(b => getBoxKey(b.row, b.col))
-    );
+  return outcome.ok;
+}
 
-    if (respawnedSquares) {
-      updates['specialSquares'] = respawnedSquares;
-    }
-  }
+/**
+ * Apply a line move with the rules engine and commit it
+ * Shared by human moves and bot moves (so both go through the same checks and log)
+ * @param {{row: number, col: number, direction: string, playerIndex: number}} move
+ * @returns {Promise<{ok: boolean, reason?: string, conflict?: boolean, events?: Array<object>}>}
+ */
+async function submitLineMove(move) {
+  const rulesState = getRulesState();
+  const result = RulesEngine.applyMove(rulesState, move);
 
-  // Update score
-  if (pointsEarned > 0) {
-    const currentScore = gameState.playersArray[localPlayerIndex]?.score || 0;
-    updates[`players/${localPlayerIndex}/score`] = currentScore + pointsEarned;
+  if (!result.ok) {
+    console.log('Move rejected:', result.reason);
+    return { ok: false, reason: result.reason };
   }
 
-  // Determine next turn
-  if (completedBoxes.length > 0 && !forfeitTurn) {
-    // Completed a box (non-penalty) - keep turn
-    // currentPlayerIndex stays the same
-    console.log('Box completed! Extra turn.');
-  } else if (forfeitTurn) {
-    // Penalty box - forfeit turn immediately, no banked turn usage
-    const nextPlayer = (gameState.currentPlayerIndex + 1) % gameState.playerCount;
-    updates.currentPlayerIndex = nextPlayer;
-    console.log('Penalty! Turn forfeited to player', nextPlayer);
-  } else {
-    // No box completed - check for banked turns
-    // Get current banked turns (accounting for any just-banked turns in this move)
-    const currentBanked = updates[`players/${localPlayerIndex}/bankedTurns`]
-      ?? gameState.playersArray[localPlayerIndex]?.bankedTurns
-      ?? 0;
-
-    if (currentBanked > 0) {
-      // Use a banked turn - decrement and keep playing
-      // Visual feedback provided by pulsating canvas container
-      updates[`players/${localPlayerIndex}/bankedTurns`] = currentBanked - 1;
-      console.log('Using banked turn! Remaining:', currentBanked - 1);
-
-      // If this was the last banked turn, start idle move reminder
-      // Player still has one more move but bonus animation will stop
-      if (currentBanked - 1 === 0) {
-        // Use setTimeout to start after state update is processed
-        setTimeout(() => startIdleMoveReminder(), 100);
-      }
-    } else {
-      // No banked turns - advance to next player
-      const nextPlayer = (gameState.currentPlayerIndex + 1) % gameState.playerCount;
-      updates.currentPlayerIndex = nextPlayer;
-      console.log('Turn passed to player', nextPlayer);
-    }
-  }
+  // Track if we need to clear the anchor after this move
+  const shouldClearAnchor = !!sabotageState.anchoredDot;
 
-  // Check if game is over
-  const totalBoxes = (gameState.gridSize - 1) * (gameState.gridSize - 1);
-  const completedCount = Object.keys(gameState.boxes || {}).length + completedBoxes.length;
+  // Send updates to Firebase (status is host-only; the host ends the game on a full board)
+  const updates = RulesEngine.getStateUpdates(rulesState, result.state);
+  if (!isLocalHost()) {
+    delete updates.status;
+  }
 
-  if (completedCount >= totalBoxes) {
-    updates.status = 'finished';
+  // Chess-clock mode: charge the time this move took to the mover's bank
+  const timeBank = RulesEngine.getTimeBankAfterMove(rulesState, FirebaseService.getServerTime());
+  if (timeBank !== null) {
+    updates[`players/${move.playerIndex}/timeBank`] = timeBank;
   }
 
-  // Send updates to Firebase
+  const boxCount = result.events.filter(e => e.type === 'box').length;
+  moveInFlight = true;
   try {
-    await FirebaseService.updateGameState(currentGameId, updates);
-    console.log('Move sent:', lineKey, 'boxes:', completedBoxes.length);
+    const logEntry = MoveLog.createLineEntry(move, result.events);
+    const committed = await FirebaseService.commitMove(currentGameId, rulesState.moveSeq || 0, updates, logEntry);
+    if (!committed) {
+      return { ok: false, conflict: true };
+    }
+    console.log('Move sent:', RulesEngine.getLineKey(move.row, move.col, move.direction), 'boxes:', boxCount);
 
     // Clear anchor if this line used the anchored dot
     if (shouldClearAnchor) {
@@ -573,39 +426,31 @@ async function handleLineDrawAttempt(row, col, direction) {
       await FirebaseService.clearAnchor(currentGameId);
     }
 
-    return true;
+    return { ok: true, events: result.events };
   } catch (error) {
     console.error('Failed to send move:', error);
-    return false;
+    return { ok: false, reason: 'error' };
+  } finally {
+    moveInFlight = false;
   }
 }
 
 /**
- * Use a banked turn (called when player chooses to use one)
- * @returns {Promise<boolean>}
+ * Re-sync after a move lost the compare-and-set race and ask the player to retry
+ * @returns {Promise<void>}
  */
-async function useBankedTurn() {
-  if (!gameState || gameState.status !== 'active') return false;
-
-  const player = getLocalPlayer();
-  if (!player || player.bankedTurns <= 0) {
-    console.log('No banked turns available');
-    return false;
-  }
-
-  // Check if it would become our turn after using banked turn
-  // This is for when you want to take an extra turn after your normal turn ends
-  const updates = {};
-  updates[`players/${localPlayerIndex}/bankedTurns`] = player.bankedTurns - 1;
-  updates.currentPlayerIndex = localPlayerIndex;
-
+async function handleMoveConflict() {
   try {
-    await FirebaseService.updateGameState(currentGameId, updates);
-    console.log('Used banked turn');
-    return true;
+    const latest = await FirebaseService.getGameSnapshot(currentGameId);
+    if (latest) {
+      handleGameStateUpdate(latest);
+    }
   } catch (error) {
-    console.error('Failed to use banked turn:', error);
-    return false;
+    console.error('Failed to re-sync after move conflict:', error);
+  }
+
+  if (typeof showNotification === 'function') {
+    showNotification('Move conflicted, retry');
   }
 }
 
@@ -637,10 +482,30 @@ function cleanupGameSession() {
     clearTimeout(noMovesSkipTimer);
     noMovesSkipTimer = null;
   }
+  if (botMoveTimer) {
+    clearTimeout(botMoveTimer);
+    botMoveTimer = null;
+  }
+  if (disconnectCheckTimer) {
+    clearTimeout(disconnectCheckTimer);
+    disconnectCheckTimer = null;
+  }
+  if (turnTimeoutTimer) {
+    clearTimeout(turnTimeoutTimer);
+    turnTimeoutTimer = null;
+  }
+
+  // Stop reporting presence
+  if (stopPresenceTracking) {
+    stopPresenceTracking();
+    stopPresenceTracking = null;
+  }
+  document.removeEventListener('visibilitychange', handleVisibilityChange);
 
   gameState = null;
   currentGameId = null;
   localPlayerIndex = null;
+  moveInFlight = false;
 
   console.log('Game session cleaned up');
 }
@@ -653,6 +518,14 @@ function getGameState() {
   return gameState;
 }
 
+/**
+ * Get the host's settings for this game (defaults for anything not set)
+ * @returns {object} See RulesEngine.DEFAULT_SETTINGS
+ */
+function getGameSettings() {
+  return RulesEngine.getSettings(gameState);
+}
+
 /**
  * Get special squares for rendering hints
  * @returns {{golden: string[], penalty: string[]}}
@@ -705,7 +578,7 @@ function handleTurnChange(oldPlayerIndex, newPlayerIndex) {
   const effectEndPlayerIndex = sabotageState.effectUntilPlayerIndex ??
       sabotageState.prohibitedUntilPlayerIndex;
 
-  if (hasActiveEffect && effectEndPlayerIndex === newPlayerIndex) {
+  if (hasActiveEffect && effectEndPlayerIndex === newPlayerIndex && !isSpectating()) {
     console.log('[ROULETTE] Turn changed to player', newPlayerIndex, '- clearing all effects');
     FirebaseService.clearAllRouletteEffects(currentGameId);
   }
@@ -739,17 +612,7 @@ function handleSabotageStateUpdate(oldSabotage) {
   if (sabotageState.glowingDot && !isMyTurnNow && !sabotageState.prohibitedDot) {
 
     // Check if we're the coordinator for timer management
-    const activePlayerIndex = gameState?.currentPlayerIndex ?? 0;
-    const playerCount = gameState?.playerCount ?? 2;
-    let coordinatorIndex = -1;
-    for (let i = 0; i < playerCount; i++) {
-      if (i !== activePlayerIndex) {
-        coordinatorIndex = i;
-        break;
-      }
-    }
-
-    if (localPlayerIndex === coordinatorIndex) {
+    if (localPlayerIndex === getSabotageCoordinatorIndex()) {
       const now = Date.now();
       const elapsed = now - (sabotageState.glowStartTime || now);
       const originalRemaining = (sabotageState.glowDuration || 500) - elapsed;
@@ -763,7 +626,7 @@ function handleSabotageStateUpdate(oldSabotage) {
       glowExpiryTimer = setTimeout(() => {
         // Only clear if the glow hasn't been tapped
         if (sabotageState.glowingDot) {
-          FirebaseService.clearGlowAndScheduleNext(currentGameId);
+          FirebaseService.clearGlowAndScheduleNext(currentGameId, getGameSettings().glowInterval);
         }
       }, remaining);
     }
@@ -779,17 +642,7 @@ function handleSabotageStateUpdate(oldSabotage) {
 
   if (checkNextGlow) {
     // Check if we're the coordinator
-    const activePlayerIndex = gameState?.currentPlayerIndex ?? 0;
-    const playerCount = gameState?.playerCount ?? 2;
-    let coordinatorIndex = -1;
-    for (let i = 0; i < playerCount; i++) {
-      if (i !== activePlayerIndex) {
-        coordinatorIndex = i;
-        break;
-      }
-    }
-
-    if (localPlayerIndex === coordinatorIndex) {
+    if (localPlayerIndex === getSabotageCoordinatorIndex()) {
       const now = Date.now();
       const waitTime = sabotageState.nextGlowTime - now;
 
@@ -804,9 +657,9 @@ function handleSabotageStateUpdate(oldSabotage) {
     }
   }
 
-  // Handle anchor timeout - if anchor has no valid moves, clear after 3 seconds
-  // Only the active player manages this timer
-  if (sabotageState.anchoredDot && isMyTurnNow) {
+  // Handle anchor timeout - if anchor has no valid moves, clear after anchorTimeoutDuration
+  // Only the active player (or the host, for a bot) manages this timer
+  if (sabotageState.anchoredDot && (isMyTurnNow || isLocalBotTurn())) {
     const anchorChanged = oldSabotage.anchoredDot !== sabotageState.anchoredDot;
 
     if (anchorChanged) {
@@ -815,14 +668,15 @@ function handleSabotageStateUpdate(oldSabotage) {
       const hasValidMove = dotHasAvailableLine(aRow, aCol);
 
       if (!hasValidMove) {
-        console.log('[ANCHOR] No valid moves from anchored dot, starting 3-second timeout');
+        const timeout = getGameSettings().anchorTimeoutDuration;
+        console.log('[ANCHOR] No valid moves from anchored dot, starting timeout:', timeout, 'ms');
         anchorTimeoutTimer = setTimeout(() => {
           // Re-check that anchor is still active
           if (sabotageState.anchoredDot) {
             console.log('[ANCHOR] Timeout expired, clearing anchor');
             FirebaseService.clearAnchor(currentGameId);
           }
-        }, ANCHOR_TIMEOUT_DURATION);
+        }, timeout);
       }
     }
   }
@@ -836,6 +690,22 @@ function handleSabotageStateUpdate(oldSabotage) {
   }
 }
 
+/**
+ * Get the "coordinator" that runs the glow timers: the lowest-indexed connected
+ * human who isn't the active player (bots can't tap the roulette)
+ * @returns {number} Player index, or -1 if every opponent is a bot
+ */
+function getSabotageCoordinatorIndex() {
+  const activePlayerIndex = gameState?.currentPlayerIndex ?? 0;
+  const playerCount = gameState?.playerCount ?? 2;
+  for (let i = 0; i < playerCount; i++) {
+    if (i !== activePlayerIndex && !isBotSeat(i) && getPlayerPresence(i) !== 'offline') {
+      return i;
+    }
+  }
+  return -1;
+}
+
 /**
  * Start a new glow cycle with a random eligible dot
  */
@@ -847,25 +717,13 @@ function startNewGlowCycle() {
   if (isMyTurn() || sabotageState.glowingDot || sabotageState.prohibitedDot) return;
 
   // Only allow ONE opponent to start the glow cycle to prevent race conditions
-  // The "coordinator" is the opponent with the lowest player index
-  const activePlayerIndex = gameState?.currentPlayerIndex ?? 0;
-  const playerCount = gameState?.playerCount ?? 2;
-  let coordinatorIndex = -1;
-
-  // Find the lowest player index that isn't the active player
-  for (let i = 0; i < playerCount; i++) {
-    if (i !== activePlayerIndex) {
-      coordinatorIndex = i;
-      break;
-    }
-  }
-
-  if (localPlayerIndex !== coordinatorIndex) return;
+  if (localPlayerIndex !== getSabotageCoordinatorIndex()) return;
 
   const eligibleDots = getEligibleDotsForSabotage();
   if (eligibleDots.length > 0) {
     const randomDot = eligibleDots[Math.floor(Math.random() * eligibleDots.length)];
-    FirebaseService.startGlowCycle(currentGameId, randomDot);
+    FirebaseService.startGlowCycle(currentGameId, randomDot, getGameSettings().glowDuration);
+    FirebaseService.appendMoveLog(currentGameId, gameState.moveSeq || 0, MoveLog.createGlowEntry(randomDot, localPlayerIndex));
   }
 }
 
@@ -876,17 +734,10 @@ function startNewGlowCycle() {
 function getEligibleDotsForSabotage() {
   if (!gameState) return [];
 
-  const eligible = [];
-  const gridSize = gameState.gridSize || 6;
-
-  for (let row = 0; row < gridSize; row++) {
-    for (let col = 0; col < gridSize; col++) {
-      if (dotHasAvailableLine(row, col)) {
-        eligible.push(`${row},${col}`);
-      }
-    }
-  }
-  return eligible;
+  return RulesEngine.getAllDotKeys(gameState).filter(key => {
+    const { row, col } = RulesEngine.parsePointKey(key);
+    return dotHasAvailableLine(row, col);
+  });
 }
 
 /**
@@ -896,20 +747,8 @@ function getEligibleDotsForSabotage() {
  * @returns {boolean}
  */
 function dotHasAvailableLine(row, col) {
-  const gridSize = gameState?.gridSize || 6;
-  const lines = gameState?.lines || {};
-
-  // Check all 4 possible lines from this dot
-  // Right (horizontal from this dot)
-  if (col < gridSize - 1 && lines[`${row},${col},h`] === undefined) return true;
-  // Down (vertical from this dot)
-  if (row < gridSize - 1 && lines[`${row},${col},v`] === undefined) return true;
-  // Left (horizontal from left neighbor to this dot)
-  if (col > 0 && lines[`${row},${col - 1},h`] === undefined) return true;
-  // Up (vertical from top neighbor to this dot)
-  if (row > 0 && lines[`${row - 1},${col},v`] === undefined) return true;
-
-  return false;
+  if (!gameState) return false;
+  return RulesEngine.dotHasAvailableLine(gameState, row, col);
 }
 
 /**
@@ -919,33 +758,7 @@ function dotHasAvailableLine(row, col) {
  */
 function hasAnyLegalMove() {
   if (!gameState) return false;
-  const gridSize = gameState.gridSize || 6;
-  const lines = gameState.lines || {};
-
-  // If anchor is active, only lines from the anchored dot are valid
-  if (sabotageState.anchoredDot) {
-    const [aRow, aCol] = sabotageState.anchoredDot.split(',').map(Number);
-    // Right
-    if (aCol < gridSize - 1 && lines[`${aRow},${aCol},h`] === undefined && !isLineProhibited(aRow, aCol, 'h')) return true;
-    // Down
-    if (aRow < gridSize - 1 && lines[`${aRow},${aCol},v`] === undefined && !isLineProhibited(aRow, aCol, 'v')) return true;
-    // Left
-    if (aCol > 0 && lines[`${aRow},${aCol - 1},h`] === undefined && !isLineProhibited(aRow, aCol - 1, 'h')) return true;
-    // Up
-    if (aRow > 0 && lines[`${aRow - 1},${aCol},v`] === undefined && !isLineProhibited(aRow - 1, aCol, 'v')) return true;
-    return false;
-  }
-
-  // No anchor — check every possible line on the grid
-  for (let row = 0; row < gridSize; row++) {
-    for (let col = 0; col < gridSize; col++) {
-      // Horizontal line from (row, col) to (row, col+1)
-      if (col < gridSize - 1 && lines[`${row},${col},h`] === undefined && !isLineProhibited(row, col, 'h')) return true;
-      // Vertical line from (row, col) to (row+1, col)
-      if (row < gridSize - 1 && lines[`${row},${col},v`] === undefined && !isLineProhibited(row, col, 'v')) return true;
-    }
-  }
-  return false;
+  return RulesEngine.hasAnyLegalMove(getRulesState());
 }
 
 /**
@@ -979,60 +792,363 @@ function checkAndAutoSkipIfNoMoves() {
       noMovesSkipTimer = null;
       // Re-verify conditions before advancing
       if (isMyTurn() && gameState && gameState.status === 'active') {
-        const nextPlayer = (gameState.currentPlayerIndex + 1) % gameState.playerCount;
-        await FirebaseService.updateGameState(currentGameId, {
-          currentPlayerIndex: nextPlayer
-        });
+        const result = RulesEngine.skipTurn(gameState);
+        // A conflict means the turn already moved on; the next state update re-checks
+        await FirebaseService.commitMove(
+          currentGameId,
+          gameState.moveSeq || 0,
+          RulesEngine.getStateUpdates(gameState, result.state),
+          MoveLog.createSkipEntry(gameState.currentPlayerIndex)
+        );
       }
     }, 1500);
   }
 }
 
+// ============================================
+// BOT TURNS (host only)
+// ============================================
+
+/**
+ * Schedule a move for the bot whose turn it is
+ * Called after every game state update
+ */
+function scheduleBotTurn() {
+  if (botMoveTimer || !isLocalBotTurn()) return;
+  botMoveTimer = setTimeout(playBotTurn, BOT_MOVE_DELAY);
+}
+
+/**
+ * Pick and commit a move for the current bot seat
+ * Uses the same move path as a human; with no legal move the turn is skipped
+ */
+async function playBotTurn() {
+  botMoveTimer = null;
+  if (!isLocalBotTurn()) return;
+
+  // Wait for the previous commit or a pending sabotage destruction to land
+  if (moveInFlight || pendingSabotageDotKey) {
+    scheduleBotTurn();
+    return;
+  }
+
+  const botIndex = gameState.currentPlayerIndex;
+  const level = gameState.playersArray[botIndex].bot;
+  const move = Bots.chooseMove(getRulesState(), level);
+
+  if (!move) {
+    // An anchor with no lines is cleared by the anchor timeout; the next update re-checks
+    if (sabotageState.anchoredDot) return;
+
+    console.log('[BOT] No legal moves, skipping turn for player', botIndex);
+    const result = RulesEngine.skipTurn(gameState);
+    await FirebaseService.commitMove(
+      currentGameId,
+      gameState.moveSeq || 0,
+      RulesEngine.getStateUpdates(gameState, result.state),
+      MoveLog.createSkipEntry(botIndex)
+    );
+    return;
+  }
+
+  const outcome = await submitLineMove({ ...move, playerIndex: botIndex });
+  if (outcome.conflict) {
+    // Someone else's write landed first; re-sync and the update schedules the bot again
+    const latest = await FirebaseService.getGameSnapshot(currentGameId);
+    if (latest) {
+      handleGameStateUpdate(latest);
+    }
+  }
+}
+
+// ============================================
+// PRESENCE / DISCONNECTED PLAYERS
+// ============================================
+
 /**
- * Check if a line is prohibited (touches the prohibited dot)
- * @param {number} row - Line row
- * @param {number} col - Line column
- * @param {string} direction - 'h' or 'v'
- * @returns {boolean}
+ * Report away/online as the tab is hidden or shown (e.g. switching apps)
  */
-function isLineProhibited(row, col, direction) {
-  if (!sabotageState.prohibitedDot) return false;
+function handleVisibilityChange() {
+  if (!currentGameId) return;
+  FirebaseService.setPresence(currentGameId, document.hidden ? 'away' : 'online');
+}
+
+/**
+ * Get a player's connection state
+ * @param {number} playerIndex
+ * @returns {string|null} 'online', 'away', 'offline', or null for bots and unknown players
+ */
+function getPlayerPresence(playerIndex) {
+  const player = gameState && gameState.playersArray && gameState.playersArray[playerIndex];
+  if (!player || player.bot) return null;
+  const entry = gameState.presence && gameState.presence[player.id];
+  return entry ? entry.state : null;
+}
 
-  const [pRow, pCol] = sabotageState.prohibitedDot.split(',').map(Number);
+/**
+ * How long a player has been offline (by the server clock)
+ * @param {number} playerIndex
+ * @returns {number} Milliseconds, 0 if not offline
+ */
+function getOfflineDuration(playerIndex) {
+  if (getPlayerPresence(playerIndex) !== 'offline') return 0;
+  const player = gameState.playersArray[playerIndex];
+  return FirebaseService.getServerTime() - gameState.presence[player.id].lastChanged;
+}
 
-  if (direction === 'h') {
-    // Horizontal line from (row, col) to (row, col+1)
-    if ((row === pRow && col === pCol) || (row === pRow && col + 1 === pCol)) {
-      return true;
+/**
+ * Get the client that handles disconnected players: the host while connected,
+ * otherwise the lowest-indexed connected human
+ * @returns {number} Player index, or -1 if nobody is connected
+ */
+function getCaretakerIndex() {
+  const hostIndex = gameState.members ? gameState.members[gameState.hostId] : undefined;
+  if (typeof hostIndex === 'number' && getPlayerPresence(hostIndex) !== 'offline') {
+    return hostIndex;
+  }
+
+  const playerCount = gameState.playerCount ?? 2;
+  for (let i = 0; i < playerCount; i++) {
+    if (!isBotSeat(i) && getPlayerPresence(i) !== 'offline') {
+      return i;
     }
-  } else {
-    // Vertical line from (row, col) to (row+1, col)
-    if ((row === pRow && col === pCol) || (row + 1 === pRow && col === pCol)) {
-      return true;
+  }
+  return -1;
+}
+
+/**
+ * Schedule handleDisconnectedPlayers for the next skip or replacement deadline
+ * Called after every game state update
+ */
+function scheduleDisconnectCheck() {
+  if (disconnectCheckTimer) {
+    clearTimeout(disconnectCheckTimer);
+    disconnectCheckTimer = null;
+  }
+  if (!gameState || gameState.status !== 'active') return;
+  if (localPlayerIndex !== getCaretakerIndex()) return;
+
+  let nextDeadline = Infinity;
+  gameState.playersArray.forEach((player, index) => {
+    if (getPlayerPresence(index) !== 'offline') return;
+    const offlineFor = getOfflineDuration(index);
+    if (index === gameState.currentPlayerIndex) {
+      nextDeadline = Math.min(nextDeadline, DISCONNECT_SKIP_GRACE - offlineFor);
     }
+    nextDeadline = Math.min(nextDeadline, DISCONNECT_REPLACE_TIMEOUT - offlineFor);
+  });
+
+  if (nextDeadline === Infinity) return;
+
+  // Small margin so the server clock has passed the deadline the rules check
+  disconnectCheckTimer = setTimeout(handleDisconnectedPlayers, Math.max(0, nextDeadline) + 500);
+}
+
+/**
+ * Replace players who have been offline too long with bots, and skip the
+ * turn of a current player who is offline past the grace period
+ */
+async function handleDisconnectedPlayers() {
+  disconnectCheckTimer = null;
+  if (!gameState || gameState.status !== 'active') return;
+  if (localPlayerIndex !== getCaretakerIndex()) return;
+
+  try {
+    // Replace long-gone players; their seat (and boxes) stay on the board
+    const gone = gameState.playersArray
+      .map((player, index) => index)
+      .filter(index => getPlayerPresence(index) === 'offline' &&
+        getOfflineDuration(index) >= DISCONNECT_REPLACE_TIMEOUT);
+
+    if (gone.length > 0) {
+      for (const index of gone) {
+        const player = gameState.playersArray[index];
+
+        // Bots are driven by the host, so take over a host who is gone
+        if (player.id === gameState.hostId) {
+          await FirebaseService.claimHost(currentGameId);
+        }
+        await FirebaseService.replaceWithBot(currentGameId, index, DISCONNECT_BOT_LEVEL);
+
+        if (typeof showNotification === 'function') {
+          showNotification(`${player.name} left - a bot took their seat`);
+        }
+      }
+      // The next state update reschedules with the new seats
+      return;
+    }
+
+    const current = gameState.currentPlayerIndex;
+    if (getPlayerPresence(current) === 'offline' && getOfflineDuration(current) >= DISCONNECT_SKIP_GRACE) {
+      console.log('[PRESENCE] Skipping turn of disconnected player', current);
+      const result = RulesEngine.skipTurn(gameState);
+      // A conflict means the turn already moved on; the next state update re-checks
+      const committed = await FirebaseService.commitMove(
+        currentGameId,
+        gameState.moveSeq || 0,
+        RulesEngine.getStateUpdates(gameState, result.state),
+        MoveLog.createSkipEntry(current)
+      );
+      if (committed && typeof showNotification === 'function') {
+        showNotification(`${gameState.playersArray[current].name} is disconnected - turn skipped`);
+      }
+    }
+  } catch (error) {
+    console.error('[PRESENCE] Failed to handle disconnected players:', error);
   }
-  return false;
+}
+
+// ============================================
+// LIFETIME STATS
+// ============================================
+
+/**
+ * Add the finished game to the local player's profile stats
+ * Called once, when the game changes to 'finished'
+ */
+async function recordLifetimeStats() {
+  const player = getLocalPlayer();
+  if (!player || player.bot) return;
+
+  const scores = gameState.playersArray.map(p => p.score || 0);
+  const best = Math.max(...scores);
+  const leaders = scores.filter(score => score === best).length;
+  const isLeader = (player.score || 0) === best;
+  const seatStats = MoveLog.getPlayerStats(gameState.moves)[localPlayerIndex] || {};
+
+  try {
+    await FirebaseService.recordGameStats(currentGameId, {
+      ...seatStats,
+      gamesPlayed: 1,
+      wins: isLeader && leaders === 1 ? 1 : 0,
+      ties: isLeader && leaders > 1 ? 1 : 0
+    });
+  } catch (error) {
+    console.error('Failed to record lifetime stats:', error);
+  }
+}
+
+// ============================================
+// REMATCH
+// ============================================
+
+/**
+ * Ask the local player whether to join a rematch someone else offered
+ * @param {{gameId: string, code: string, hostId: string, hostName: string}} rematch
+ */
+function handleRematchOffer(rematch) {
+  const user = FirebaseService.getUser();
+  if (!user || rematch.hostId === user.uid) return;
+
+  console.log('[REMATCH] Offered by', rematch.hostName, rematch.code);
+  if (typeof showRematchOffer === 'function') {
+    showRematchOffer(rematch);
+  }
+}
+
+// ============================================
+// TURN TIMER
+// ============================================
+
+/**
+ * Get the client that passes the turn when the clock runs out: the sabotage
+ * coordinator, or the current player if every opponent is a bot
+ * @returns {number} Player index
+ */
+function getTurnTimeoutWriterIndex() {
+  const coordinator = getSabotageCoordinatorIndex();
+  return coordinator !== -1 ? coordinator : gameState.currentPlayerIndex;
 }
 
 /**
- * Check if a line uses the anchored dot (one of its endpoints)
+ * Schedule handleTurnTimeout for the current player's deadline
+ * Called after every game state update
+ */
+function scheduleTurnTimeout() {
+  if (turnTimeoutTimer) {
+    clearTimeout(turnTimeoutTimer);
+    turnTimeoutTimer = null;
+  }
+  if (!gameState || localPlayerIndex !== getTurnTimeoutWriterIndex()) return;
+
+  const deadline = RulesEngine.getTurnDeadline(gameState);
+  if (deadline === null) return;
+
+  // Small margin so the server clock has passed the deadline the rules check
+  const delay = Math.max(0, deadline - FirebaseService.getServerTime()) + 500;
+  turnTimeoutTimer = setTimeout(handleTurnTimeout, delay);
+}
+
+/**
+ * Pass the turn of a player whose time has run out
+ */
+async function handleTurnTimeout() {
+  turnTimeoutTimer = null;
+  if (!gameState || localPlayerIndex !== getTurnTimeoutWriterIndex()) return;
+
+  const deadline = RulesEngine.getTurnDeadline(gameState);
+  if (deadline === null || FirebaseService.getServerTime() < deadline) return;
+
+  const current = gameState.currentPlayerIndex;
+  console.log('[TIMER] Time ran out for player', current);
+
+  try {
+    const result = RulesEngine.skipTurn(gameState);
+    const updates = RulesEngine.getStateUpdates(gameState, result.state);
+    if (gameState.turnTimer.mode === 'bank') {
+      updates[`players/${current}/timeBank`] = 0;
+    }
+
+    // A conflict means the player moved just in time; the next state update reschedules
+    const committed = await FirebaseService.commitMove(
+      currentGameId,
+      gameState.moveSeq || 0,
+      updates,
+      MoveLog.createSkipEntry(current)
+    );
+    if (committed && typeof showNotification === 'function') {
+      showNotification(`${gameState.playersArray[current].name} ran out of time - turn skipped`);
+    }
+  } catch (error) {
+    console.error('[TIMER] Failed to pass the turn:', error);
+  }
+}
+
+/**
+ * Get how much time a player has left
+ * The current player's time counts down; in bank mode the others show their bank
+ * @param {number} playerIndex
+ * @returns {number|null} Milliseconds, or null if there is no clock for this player
+ */
+function getTurnTimeRemaining(playerIndex) {
+  if (!gameState || !gameState.turnTimer || gameState.status !== 'active') return null;
+
+  if (playerIndex === gameState.currentPlayerIndex) {
+    const deadline = RulesEngine.getTurnDeadline(gameState);
+    if (deadline === null) return 0;
+    return Math.max(0, deadline - FirebaseService.getServerTime());
+  }
+
+  return gameState.turnTimer.mode === 'bank' ? RulesEngine.getTimeBank(gameState, playerIndex) : null;
+}
+
+/**
+ * Get the full time a turn (move mode) or a bank (bank mode) starts with
+ * @returns {number|null} Milliseconds, or null if the game has no turn timer
+ */
+function getTurnTimeLimit() {
+  return gameState && gameState.turnTimer ? gameState.turnTimer.limit : null;
+}
+
+/**
+ * Check if a line is prohibited (touches the prohibited dot)
  * @param {number} row - Line row
  * @param {number} col - Line column
  * @param {string} direction - 'h' or 'v'
  * @returns {boolean}
  */
-function lineUsesAnchoredDot(row, col, direction) {
-  if (!sabotageState.anchoredDot) return true; // No anchor, any line is valid
-
-  const [aRow, aCol] = sabotageState.anchoredDot.split(',').map(Number);
-
-  if (direction === 'h') {
-    // Horizontal line from (row, col) to (row, col+1)
-    return (row === aRow && col === aCol) || (row === aRow && col + 1 === aCol);
-  } else {
-    // Vertical line from (row, col) to (row+1, col)
-    return (row === aRow && col === aCol) || (row + 1 === aRow && col === aCol);
-  }
+function isLineProhibited(row, col, direction) {
+  return RulesEngine.isLineProhibited({ sabotage: sabotageState }, row, col, direction);
 }
 
 /**
@@ -1049,6 +1165,8 @@ function getAnchoredDot() {
  * @param {string} rouletteIcon - The randomly chosen icon from the settle animation
  */
 async function handleGlowingDotTap(dotKey, rouletteIcon) {
+  if (isSpectating()) return;
+
   // Validate this is the glowing dot
   if (sabotageState.glowingDot !== dotKey) {
     console.log('Tapped dot is not the glowing dot');
@@ -1067,8 +1185,7 @@ async function handleGlowingDotTap(dotKey, rouletteIcon) {
   }
 
   // Calculate next player index (the one after current player)
-  const currentPlayer = gameState.currentPlayerIndex;
-  const nextPlayer = (currentPlayer + 1) % gameState.playerCount;
+  const nextPlayer = RulesEngine.getNextPlayerIndex(gameState, gameState.currentPlayerIndex);
 
   // Get tapping player's user ID
   const user = FirebaseService.getUser();
@@ -1078,6 +1195,7 @@ async function handleGlowingDotTap(dotKey, rouletteIcon) {
 
   // Apply the roulette effect (marks the dot, blocks new glows)
   await FirebaseService.tapGlowingDot(currentGameId, dotKey, tappingPlayerId, nextPlayer, rouletteIcon);
+  FirebaseService.appendMoveLog(currentGameId, gameState.moveSeq || 0, MoveLog.createRouletteEntry(dotKey, rouletteIcon, localPlayerIndex));
 
   // Store pending sabotage info for deferred destruction (triggered by settle animation callback)
   if (rouletteIcon === 'sabotage') {
@@ -1096,117 +1214,52 @@ async function onRouletteSettleComplete() {
     pendingSabotageDotKey = null;
     console.log('[ROULETTE] Settle complete, applying sabotage destruction for:', dotKey);
     if (sabotageState.sabotagedDot === dotKey) {
-      const destructiveUpdates = calculateSabotageEffect(dotKey);
-      await FirebaseService.applySabotageEffects(currentGameId, destructiveUpdates);
+      await commitSabotageEffect(dotKey);
     }
   }
 }
 
 /**
- * Calculate sabotage effect - find all lines connected to dot and affected boxes
- * @param {string} dotKey - The dot key "row,col"
- * @returns {object} Firebase updates to apply
+ * Commit sabotage destruction, recomputing from fresh state if a move lands first
+ * @param {string} dotKey - The sabotaged dot "row,col"
+ * @returns {Promise<boolean>} True if the destruction was committed
  */
-function calculateSabotageEffect(dotKey) {
-  const [row, col] = dotKey.split(',').map(Number);
-  const gridSize = gameState?.gridSize || 6;
-  const lines = gameState?.lines || {};
-  const boxes = gameState?.boxes || {};
-  const updates = {};
-
-  // Find all lines connected to this dot (skip own lines — no friendly fire)
-  const connectedLines = [];
-
-  // Right (horizontal from this dot)
-  if (col < gridSize - 1 && lines[`${row},${col},h`] !== undefined) {
-    const owner = lines[`${row},${col},h`];
-    if (owner !== localPlayerIndex) {
-      connectedLines.push({ key: `${row},${col},h`, owner: owner });
-    }
-  }
-  // Down (vertical from this dot)
-  if (row < gridSize - 1 && lines[`${row},${col},v`] !== undefined) {
-    const owner = lines[`${row},${col},v`];
-    if (owner !== localPlayerIndex) {
-      connectedLines.push({ key: `${row},${col},v`, owner: owner });
-    }
-  }
-  // Left (horizontal from left neighbor)
-  if (col > 0 && lines[`${row},${col - 1},h`] !== undefined) {
-    const owner = lines[`${row},${col - 1},h`];
-    if (owner !== localPlayerIndex) {
-      connectedLines.push({ key: `${row},${col - 1},h`, owner: owner });
-    }
-  }
-  // Up (vertical from top neighbor)
-  if (row > 0 && lines[`${row - 1},${col},v`] !== undefined) {
-    const owner = lines[`${row - 1},${col},v`];
-    if (owner !== localPlayerIndex) {
-      connectedLines.push({ key: `${row - 1},${col},v`, owner: owner });
-    }
-  }
-
-  console.log('[SABOTAGE] Found connected lines:', connectedLines);
-
-  // Find all boxes that will be "un-completed" by removing these lines
-  const affectedBoxes = new Set();
-  const boxCount = gridSize - 1;
-
-  for (const line of connectedLines) {
-    const [lRow, lCol, dir] = line.key.split(',');
-    const lineRow = parseInt(lRow);
-    const lineCol = parseInt(lCol);
-
-    if (dir === 'h') {
-      // Horizontal line affects box above (lineRow-1, lineCol) and below (lineRow, lineCol)
-      if (lineRow > 0) {
-        const boxKey = `${lineRow - 1},${lineCol}`;
-        if (boxes[boxKey]) affectedBoxes.add(boxKey);
-      }
-      if (lineRow < boxCount) {
-        const boxKey = `${lineRow},${lineCol}`;
-        if (boxes[boxKey]) affectedBoxes.add(boxKey);
-      }
-    } else {
-      // Vertical line affects box to left (lineRow, lineCol-1) and right (lineRow, lineCol)
-      if (lineCol > 0) {
-        const boxKey = `${lineRow},${lineCol - 1}`;
-        if (boxes[boxKey]) affectedBoxes.add(boxKey);
-      }
-      if (lineCol < boxCount) {
-        const boxKey = `${lineRow},${lineCol}`;
-        if (boxes[boxKey]) affectedBoxes.add(boxKey);
-      }
+async function commitSabotageEffect(dotKey) {
+  for (let attempt = 0; attempt < SABOTAGE_COMMIT_ATTEMPTS; attempt++) {
+    const expectedSeq = gameState.moveSeq || 0;
+    const effect = calculateSabotageEffect(dotKey);
+    // Not a move by the player on turn: their clock keeps running
+    if (await FirebaseService.commitMove(currentGameId, expectedSeq, effect.updates, effect.logEntry, false)) {
+      console.log('[ROULETTE] Sabotage destructive effects applied');
+      return true;
     }
-  }
 
-  console.log('[SABOTAGE] Affected boxes:', Array.from(affectedBoxes));
-
-  // Calculate point deductions per player
-  const pointDeductions = {};
-  for (const boxKey of affectedBoxes) {
-    const box = boxes[boxKey];
-    if (box && box.ownerId !== undefined) {
-      pointDeductions[box.ownerId] = (pointDeductions[box.ownerId] || 0) + 1;
-      // Remove the box ownership
-      updates[`boxes/${boxKey}`] = null;
-    }
+    // Lost the race to a move - re-sync and recompute against the new lines
+    const latest = await FirebaseService.getGameSnapshot(currentGameId);
+    if (!latest) return false;
+    handleGameStateUpdate(latest);
+    if (sabotageState.sabotagedDot !== dotKey) return false;
   }
 
-  // Apply point deductions
-  for (const [playerIdx, deduction] of Object.entries(pointDeductions)) {
-    const currentScore = gameState.playersArray[playerIdx]?.score || 0;
-    const newScore = Math.max(0, currentScore - deduction);
-    updates[`players/${playerIdx}/score`] = newScore;
-    console.log('[SABOTAGE] Player', playerIdx, 'loses', deduction, 'points:', currentScore, '->', newScore);
-  }
-
-  // Remove the lines
-  for (const line of connectedLines) {
-    updates[`lines/${line.key}`] = null;
-  }
+  console.error('[ROULETTE] Sabotage destruction kept conflicting, giving up');
+  return false;
+}
 
-  return updates;
+/**
+ * Calculate sabotage effect - find all lines connected to dot and affected boxes
+ * @param {string} dotKey - The dot key "row,col"
+ * @returns {{updates: object, logEntry: object}} Firebase updates to apply and the move log entry
+ */
+function calculateSabotageEffect(dotKey) {
+  const result = RulesEngine.applySabotage(gameState, dotKey, localPlayerIndex);
+  console.log('[SABOTAGE] Destruction:', result.events[0]);
+  const updates = RulesEngine.getStateUpdates(gameState, result.state);
+  // Using up the tap: security rules allow one destruction per tap
+  updates['sabotage/lastTappedBy'] = null;
+  return {
+    updates,
+    logEntry: MoveLog.createSabotageEntry(result.events[0])
+  };
 }
 
 /**
@@ -1214,10 +1267,18 @@ function calculateSabotageEffect(dotKey) {
  * @returns {object}
  */
 function getSabotageState() {
-  if (!SABOTAGE_ENABLED) return null;
+  if (!isSabotageEnabled()) return null;
   return sabotageState;
 }
 
+/**
+ * Check if the sabotage roulette is on for this game
+ * @returns {boolean}
+ */
+function isSabotageEnabled() {
+  return getGameSettings().sabotageEnabled;
+}
+
 function isSabotageAnimationEnabled() {
   return SABOTAGE_ANIMATION_ENABLED;
 }
@@ -1227,8 +1288,9 @@ function isSabotageAnimationEnabled() {
  */
 function triggerMissPenalty() {
   missPenaltyActive = true;
-  missPenaltyEndTime = Date.now() + MISS_PENALTY_DURATION;
-  console.log('[SABOTAGE] Miss penalty triggered, expires in', MISS_PENALTY_DURATION, 'ms');
+  const duration = getGameSettings().missPenaltyDuration;
+  missPenaltyEndTime = Date.now() + duration;
+  console.log('[SABOTAGE] Miss penalty triggered, expires in', duration, 'ms');
 }
 
 /**
@@ -1305,10 +1367,15 @@ window.GameService = {
 
   // State access
   getState: getGameState,
+  getSettings: getGameSettings,
   isMyTurn: isMyTurn,
   getCurrentPlayer: getCurrentPlayer,
   getLocalPlayer: getLocalPlayer,
+  isSpectating: isSpectating,
   getSpecialSquares: getSpecialSquares,
+  getPlayerPresence: getPlayerPresence,
+  getTurnTimeRemaining: getTurnTimeRemaining,
+  getTurnTimeLimit: getTurnTimeLimit,
 
   // Line/Box helpers
   lineExists: lineExists,
@@ -1319,11 +1386,10 @@ window.GameService = {
 
   // Actions
   handleLineDrawAttempt: handleLineDrawAttempt,
-  useBankedTurn: useBankedTurn,
 
   // Key helpers
-  getLineKey: getLineKey,
-  getBoxKey: getBoxKey,
+  getLineKey: RulesEngine.getLineKey,
+  getBoxKey: RulesEngine.getBoxKey,
 
   // Sabotage/Roulette mechanic
   getSabotageState: getSabotageState,
@@ -0,0 +1,119 @@
+/**
+ * gamecodes.js - Join codes for Dots and Lines
+ * Generates codes and picks a free one, growing the code when short codes
+ * keep colliding
+ *
+ * A code is 6 to 8 characters from CODE_CHARS; the game id is the code in
+ * lower case. Whether a code is free is decided by the caller's tryReserve
+ * (firebase.js reserves gameCodes/{code} in a transaction), so this module
+ * stays DOM-free and Firebase-free like rules.js.
+ *
+ * The random source can be swapped for a seeded generator, which makes
+ * collisions repeatable: two allocators with the same seed try the same codes.
+ *
+ * Used by:
+ * - firebase.js: Reserving a code for every new game
+ * - app.js: Checking typed codes and ?join= links
+ */
+
+(function(root) {
+  'use strict';
+
+  const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Removed confusing chars (0,O,1,I)
+  const MIN_CODE_LENGTH = 6;
+  const MAX_CODE_LENGTH = 8;
+  const ATTEMPTS_PER_LENGTH = 4; // Collisions at one length before trying a longer code
+
+  /**
+   * Make a seeded random source (mulberry32), for repeatable codes
+   * @param {number} seed - Any 32-bit integer
+   * @returns {function(): number} Returns numbers in [0, 1) like Math.random
+   */
+  function createCodeGenerator(seed) {
+    let state = seed >>> 0;
+    return function() {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Generate a random code
+   * @param {number} [length] - Number of characters
+   * @param {function(): number} [random] - Random source (Math.random by default)
+   * @returns {string} Uppercase code
+   */
+  function generateCode(length = MIN_CODE_LENGTH, random = Math.random) {
+    let code = '';
+    for (let i = 0; i < length; i++) {
+      code += CODE_CHARS.charAt(Math.floor(random() * CODE_CHARS.length));
+    }
+    return code;
+  }
+
+  /**
+   * Clean up a typed or linked code
+   * @param {string} code
+   * @returns {string} Uppercase, without spaces
+   */
+  function normalizeCode(code) {
+    return String(code || '').toUpperCase().replace(/\s+/g, '');
+  }
+
+  /**
+   * Check if a code could belong to a game
+   * @param {string} code - Normalized code
+   * @returns {boolean}
+   */
+  function isValidCode(code) {
+    if (code.length < MIN_CODE_LENGTH || code.length > MAX_CODE_LENGTH) return false;
+    return code.split('').every(char => CODE_CHARS.includes(char));
+  }
+
+  /**
+   * Find and reserve a free code
+   * Tries ATTEMPTS_PER_LENGTH codes of each length from MIN_CODE_LENGTH up,
+   * so a crowded keyspace moves on to longer codes
+   * @param {function(string): Promise<boolean>} tryReserve - Reserves a code, false if taken
+   * @param {{random?: function(): number, onCollision?: function(string)}} [options]
+   * @returns {Promise<string>} The reserved code
+   */
+  async function allocateCode(tryReserve, options = {}) {
+    const random = options.random || Math.random;
+
+    for (let length = MIN_CODE_LENGTH; length <= MAX_CODE_LENGTH; length++) {
+      for (let attempt = 0; attempt < ATTEMPTS_PER_LENGTH; attempt++) {
+        const code = generateCode(length, random);
+        if (await tryReserve(code)) {
+          return code;
+        }
+        if (options.onCollision) {
+          options.onCollision(code);
+        }
+      }
+    }
+    throw new Error('Could not find a free game code - please try again');
+  }
+
+  const GameCodes = {
+    CODE_CHARS,
+    MIN_CODE_LENGTH,
+    MAX_CODE_LENGTH,
+    ATTEMPTS_PER_LENGTH,
+
+    createCodeGenerator,
+    generateCode,
+    normalizeCode,
+    isValidCode,
+    allocateCode
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameCodes;
+  } else {
+    root.GameCodes = GameCodes;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
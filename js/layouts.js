@@ -0,0 +1,163 @@
+/**
+ * layouts.js - Named board layouts for Dots and Lines
+ * Each layout builds a board from a size (boxes along the longest side)
+ *
+ * A board is described by:
+ * - boardWidth / boardHeight: Boxes per row / column
+ * - disabledBoxes: Map of box keys ("row,col") cut out of the board, or null
+ *
+ * Dots and edges that only touch disabled boxes do not exist (see rules.js).
+ *
+ * Used by:
+ * - firebase.js: Writing the chosen layout into the game document
+ * - app.js: Lobby layout and size pickers
+ */
+
+(function(root) {
+  'use strict';
+
+  const MIN_BOARD_BOXES = 4;
+  const MAX_BOARD_BOXES = 12;
+  const DEFAULT_BOARD_BOXES = 5;
+  const DEFAULT_LAYOUT = 'square';
+
+  /**
+   * Collect the keys of a rectangular block of boxes
+   * @param {number} top - First row
+   * @param {number} left - First column
+   * @param {number} rows - Block height
+   * @param {number} cols - Block width
+   * @returns {string[]} Box keys "row,col"
+   */
+  function block(top, left, rows, cols) {
+    const keys = [];
+    for (let row = top; row < top + rows; row++) {
+      for (let col = left; col < left + cols; col++) {
+        keys.push(`${row},${col}`);
+      }
+    }
+    return keys;
+  }
+
+  // Layout builders: (size) => {width, height, disabled: string[]}
+  const LAYOUTS = [
+    {
+      id: 'square',
+      name: 'Square',
+      build: size => ({ width: size, height: size, disabled: [] })
+    },
+    {
+      id: 'wide',
+      name: 'Wide',
+      build: size => ({ width: size, height: Math.max(3, Math.round(size * 0.6)), disabled: [] })
+    },
+    {
+      id: 'cross',
+      name: 'Cross',
+      build: size => {
+        // Cut a square notch out of every corner
+        const notch = Math.floor(size / 3);
+        const far = size - notch;
+        return {
+          width: size,
+          height: size,
+          disabled: [
+            ...block(0, 0, notch, notch),
+            ...block(0, far, notch, notch),
+            ...block(far, 0, notch, notch),
+            ...block(far, far, notch, notch)
+          ]
+        };
+      }
+    },
+    {
+      id: 'donut',
+      name: 'Donut',
+      build: size => {
+        // Ring about a third of the board thick around a centered hole
+        const ring = Math.max(1, Math.floor(size / 3));
+        const hole = size - (ring * 2);
+        return { width: size, height: size, disabled: block(ring, ring, hole, hole) };
+      }
+    },
+    {
+      id: 'l-shape',
+      name: 'L-Shape',
+      build: size => {
+        // Remove the top-right quarter
+        const cut = Math.floor(size / 2);
+        return { width: size, height: size, disabled: block(0, size - cut, cut, cut) };
+      }
+    }
+  ];
+
+  /**
+   * Clamp a requested board size to the supported range
+   * @param {number} size - Boxes along the longest side
+   * @returns {number} Valid size
+   */
+  function clampBoardSize(size) {
+    const boxes = parseInt(size, 10) || DEFAULT_BOARD_BOXES;
+    return Math.min(MAX_BOARD_BOXES, Math.max(MIN_BOARD_BOXES, boxes));
+  }
+
+  /**
+   * Look up a layout by id (falls back to the square layout)
+   * @param {string} id - Layout id
+   * @returns {{id: string, name: string, build: function}}
+   */
+  function getLayout(id) {
+    return LAYOUTS.find(layout => layout.id === id) || LAYOUTS[0];
+  }
+
+  /**
+   * Build the board fields for a game document
+   * @param {string} layoutId - Layout id (see LAYOUTS)
+   * @param {number} size - Boxes along the longest side
+   * @returns {{layout: string, boardWidth: number, boardHeight: number, disabledBoxes: object|null}}
+   */
+  function buildBoard(layoutId, size) {
+    const layout = getLayout(layoutId);
+    const shape = layout.build(clampBoardSize(size));
+
+    const disabledBoxes = {};
+    shape.disabled.forEach(key => { disabledBoxes[key] = true; });
+
+    return {
+      layout: layout.id,
+      boardWidth: shape.width,
+      boardHeight: shape.height,
+      // null deletes the node in Firebase when switching back to a full board
+      disabledBoxes: shape.disabled.length > 0 ? disabledBoxes : null
+    };
+  }
+
+  /**
+   * Get the size a board was built with
+   * @param {object} state - Game state (reads boardWidth/boardHeight)
+   * @returns {number} Boxes along the longest side
+   */
+  function getBoardSize(state) {
+    if (!state || !state.boardWidth || !state.boardHeight) return DEFAULT_BOARD_BOXES;
+    return Math.max(state.boardWidth, state.boardHeight);
+  }
+
+  const BoardLayouts = {
+    MIN_BOARD_BOXES,
+    MAX_BOARD_BOXES,
+    DEFAULT_BOARD_BOXES,
+    DEFAULT_LAYOUT,
+    LAYOUTS,
+
+    clampBoardSize,
+    getLayout,
+    buildBoard,
+    getBoardSize
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BoardLayouts;
+  } else {
+    root.BoardLayouts = BoardLayouts;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
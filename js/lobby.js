@@ -13,6 +13,10 @@ let currentLobbyGameId = null;
 let currentPlayerIndex = null;
 let unsubscribeFromLobby = null;
 let isHost = false;
+let isSpectator = false; // Watching without a seat (currentPlayerIndex stays null)
+
+// Current game and seat, kept across reloads so the player can rejoin
+const SESSION_STORAGE_KEY = 'dotsAndLinesSession';
 
 /**
  * Initialize Firebase and sign in
@@ -43,17 +47,20 @@ async function initLobby() {
  * Create a new game and enter lobby
  * @param {string} playerName - Name of the host player
  * @param {number} maxPlayers - Maximum number of players (2-7)
+ * @param {{public?: boolean}} [options] - public lists the lobby in Browse Games
  * @returns {Promise<{success: boolean, gameId?: string, code?: string, error?: string}>}
  */
-async function createGameAndJoinLobby(playerName, maxPlayers = 7) {
+async function createGameAndJoinLobby(playerName, maxPlayers = 7, options = {}) {
   try {
     // Create game in Firebase
-    const { gameId, code } = await FirebaseService.createGame(playerName, maxPlayers);
+    const { gameId, code } = await FirebaseService.createGame(playerName, maxPlayers, undefined, undefined, options);
 
     // Set lobby state
     currentLobbyGameId = gameId;
     currentPlayerIndex = 0;
     isHost = true;
+    isSpectator = false;
+    saveSession();
 
     // Subscribe to lobby updates
     subscribeLobbyUpdates(gameId);
@@ -68,18 +75,21 @@ async function createGameAndJoinLobby(playerName, maxPlayers = 7) {
 
 /**
  * Join an existing game's lobby
- * @param {string} code - 6-character game code
+ * @param {string} code - Game code (see GameCodes)
+ * Also used to rejoin a game the player is already in (status may be 'active')
  * @param {string} playerName - Name of the joining player
- * @returns {Promise<{success: boolean, gameId?: string, error?: string}>}
+ * @returns {Promise<{success: boolean, gameId?: string, status?: string, error?: string}>}
  */
 async function joinGameLobby(code, playerName) {
   try {
     // Join game in Firebase
-    const { gameId, playerIndex } = await FirebaseService.joinGame(code, playerName);
+    const { gameId, playerIndex, status } = await FirebaseService.joinGame(code, playerName);
 
     // Set lobby state
     currentLobbyGameId = gameId;
     currentPlayerIndex = playerIndex;
+    isSpectator = false;
+    saveSession();
 
     // Check if we're the host
     const user = FirebaseService.getUser();
@@ -90,13 +100,111 @@ async function joinGameLobby(code, playerName) {
     subscribeLobbyUpdates(gameId);
 
     console.log('Joined game lobby:', gameId, 'as player', playerIndex);
-    return { success: true, gameId };
+    return { success: true, gameId, status };
   } catch (error) {
     console.error('Failed to join game:', error);
     return { success: false, error: error.message };
   }
 }
 
+/**
+ * Quick Match: join the fullest public lobby with a free seat, or host a new
+ * public one if there is none
+ * @param {string} playerName - Name of the player
+ * @returns {Promise<{success: boolean, gameId?: string, status?: string, created?: boolean, error?: string}>}
+ */
+async function quickMatch(playerName) {
+  let lobbies = [];
+  try {
+    lobbies = await FirebaseService.findQuickMatchLobbies();
+  } catch (error) {
+    console.error('Failed to list public lobbies:', error);
+  }
+
+  for (const lobby of lobbies) {
+    const result = await joinGameLobby(lobby.code, playerName);
+    if (result.success) {
+      return { ...result, created: false };
+    }
+    // Filled up, started or deleted since it was listed: try the next one
+    FirebaseService.removeStalePublicLobby(lobby.gameId).catch(error => {
+      console.error('Failed to remove stale public lobby:', error);
+    });
+  }
+
+  const result = await createGameAndJoinLobby(playerName, 7, { public: true });
+  return { ...result, status: 'waiting', created: true };
+}
+
+/**
+ * Watch a game without taking a seat
+ * Spectators see the lobby and then the game, but can't change anything
+ * @param {string} code - Game code (see GameCodes)
+ * @param {string} playerName - Name shown in the spectator list
+ * @returns {Promise<{success: boolean, gameId?: string, status?: string, error?: string}>}
+ */
+async function watchGameLobby(code, playerName) {
+  try {
+    const { gameId, status } = await FirebaseService.watchGame(code, playerName);
+
+    // Moving on to watch another game (e.g. a rematch): leave the old list
+    if (isSpectator && currentLobbyGameId && currentLobbyGameId !== gameId) {
+      FirebaseService.stopWatching(currentLobbyGameId).catch(error => {
+        console.error('Failed to stop watching previous game:', error);
+      });
+    }
+
+    // Set lobby state (not saved: spectators don't rejoin after a reload)
+    currentLobbyGameId = gameId;
+    currentPlayerIndex = null;
+    isHost = false;
+    isSpectator = true;
+
+    subscribeLobbyUpdates(gameId);
+
+    console.log('Watching game lobby:', gameId);
+    return { success: true, gameId, status };
+  } catch (error) {
+    console.error('Failed to watch game:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Host a rematch of the finished game with the same players and settings
+ * Joins the rematch instead if another player already offered one
+ * Call GameService.cleanup first: the lobby takes over the game subscription
+ * @param {string} playerName - Name of the player
+ * @returns {Promise<{success: boolean, gameId?: string, code?: string, error?: string}>}
+ */
+async function startRematch(playerName) {
+  if (!currentLobbyGameId) {
+    return { success: false, error: 'No finished game to rematch' };
+  }
+
+  try {
+    const rematch = await FirebaseService.createRematch(currentLobbyGameId, playerName);
+    if (!rematch.created) {
+      return joinGameLobby(rematch.code, playerName);
+    }
+
+    // Set lobby state
+    currentLobbyGameId = rematch.gameId;
+    currentPlayerIndex = 0;
+    isHost = true;
+    isSpectator = false;
+    saveSession();
+
+    subscribeLobbyUpdates(rematch.gameId);
+
+    console.log('Hosting rematch:', rematch.gameId, rematch.code);
+    return { success: true, gameId: rematch.gameId, code: rematch.code };
+  } catch (error) {
+    console.error('Failed to start rematch:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Subscribe to lobby state changes
  * @param {string} gameId - Game ID to subscribe to
@@ -108,6 +216,11 @@ function subscribeLobbyUpdates(gameId) {
   }
 
   unsubscribeFromLobby = FirebaseService.subscribeToGame(gameId, handleLobbyUpdate);
+
+  // The chat stays open through the game until the player leaves
+  if (typeof ChatService !== 'undefined') {
+    ChatService.open(gameId);
+  }
 }
 
 /**
@@ -119,6 +232,24 @@ function handleLobbyUpdate(gameData) {
   const user = FirebaseService.getUser();
   isHost = gameData.hostId === user.uid;
 
+  // The host may move seats down when removing a bot; follow our seat
+  const memberIndex = gameData.members && gameData.members[user.uid];
+
+  // Our seat is gone while the game is still waiting: the host removed us
+  if (!isSpectator && currentPlayerIndex !== null && gameData.status === 'waiting' &&
+      typeof memberIndex !== 'number') {
+    const banned = !!(gameData.bans && gameData.bans[user.uid]);
+    cleanupLobby(true);
+    if (typeof handleRemovedFromLobby === 'function') {
+      handleRemovedFromLobby(banned);
+    }
+    return;
+  }
+  if (typeof memberIndex === 'number' && memberIndex !== currentPlayerIndex) {
+    currentPlayerIndex = memberIndex;
+    saveSession();
+  }
+
   // Convert players object to array
   const playersArray = [];
   if (gameData.players) {
@@ -132,13 +263,24 @@ function handleLobbyUpdate(gameData) {
       });
   }
 
+  const spectators = Object.values(gameData.spectators || {});
+
   // Update lobby UI
   if (typeof updateLobby === 'function') {
     updateLobby({
       code: gameData.code,
       players: playersArray,
+      spectators: spectators,
+      hostId: gameData.hostId,
       isHost: isHost,
-      maxPlayers: gameData.maxPlayers,
+      isSpectator: isSpectator,
+      maxPlayers: RulesEngine.getSettings(gameData).maxPlayers,
+      settings: RulesEngine.getSettings(gameData),
+      layout: gameData.layout,
+      boardSize: BoardLayouts.getBoardSize(gameData),
+      turnTimer: gameData.turnTimer,
+      series: gameData.series || null,
+      isPublic: gameData.public === true,
       status: gameData.status
     });
   }
@@ -183,14 +325,194 @@ async function startGame() {
   }
 }
 
+/**
+ * Change the board layout and size (host only, before the game starts)
+ * @param {string} layoutId - Board layout (see BoardLayouts.LAYOUTS)
+ * @param {number} boardSize - Boxes along the longest side
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function setBoardLayout(layoutId, boardSize) {
+  if (!isHost) {
+    return { success: false, error: 'Only host can change the board' };
+  }
+
+  try {
+    await FirebaseService.setBoardLayout(currentLobbyGameId, layoutId, boardSize);
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to change board:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Change game settings (host only, before the game starts)
+ * @param {object} settings - Settings to change (see RulesEngine.DEFAULT_SETTINGS)
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function setGameSettings(settings) {
+  if (!isHost) {
+    return { success: false, error: 'Only host can change the settings' };
+  }
+
+  try {
+    await FirebaseService.setGameSettings(currentLobbyGameId, settings);
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to change settings:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Choose the turn timer (host only, before the game starts)
+ * @param {string} optionId - Id from RulesEngine.TURN_TIMER_OPTIONS
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function setTurnTimer(optionId) {
+  if (!isHost) {
+    return { success: false, error: 'Only host can change the turn timer' };
+  }
+
+  try {
+    await FirebaseService.setTurnTimer(currentLobbyGameId, optionId);
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to change turn timer:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Choose a best-of-N or first-to-N series (host only, before the game starts)
+ * @param {string} optionId - Id from Series.SERIES_OPTIONS
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function setSeries(optionId) {
+  if (!isHost) {
+    return { success: false, error: 'Only host can change the series' };
+  }
+
+  try {
+    await FirebaseService.setSeries(currentLobbyGameId, optionId);
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to change series:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * List or unlist the lobby in Browse Games (host only, before the game starts)
+ * @param {boolean} isPublic
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function setLobbyPublic(isPublic) {
+  if (!isHost) {
+    return { success: false, error: 'Only host can change who can find the game' };
+  }
+
+  try {
+    await FirebaseService.setLobbyPublic(currentLobbyGameId, isPublic);
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to change lobby visibility:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Add a computer opponent (host only, before the game starts)
+ * @param {string} levelId - 'easy', 'medium' or 'hard'
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function addBot(levelId) {
+  if (!isHost) {
+    return { success: false, error: 'Only host can add bots' };
+  }
+
+  try {
+    await FirebaseService.addBot(currentLobbyGameId, levelId);
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to add bot:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Remove a computer opponent (host only, before the game starts)
+ * @param {number} playerIndex - Seat of the bot
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function removeBot(playerIndex) {
+  if (!isHost) {
+    return { success: false, error: 'Only host can remove bots' };
+  }
+
+  try {
+    await FirebaseService.removeBot(currentLobbyGameId, playerIndex);
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to remove bot:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Remove another player from the lobby (host only, before the game starts)
+ * @param {number} playerIndex - Seat of the player
+ * @param {boolean} [ban] - Also stop them rejoining or watching this game
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function kickPlayer(playerIndex, ban = false) {
+  if (!isHost) {
+    return { success: false, error: 'Only host can remove players' };
+  }
+
+  try {
+    await FirebaseService.kickPlayer(currentLobbyGameId, playerIndex, ban);
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to remove player:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Hand the host role to another player (host only, before the game starts)
+ * @param {number} playerIndex - Seat of the new host
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function makeHost(playerIndex) {
+  if (!isHost) {
+    return { success: false, error: 'Only host can choose a new host' };
+  }
+
+  try {
+    await FirebaseService.transferHost(currentLobbyGameId, playerIndex);
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to transfer host:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Leave the current lobby
  * @returns {Promise<void>}
  */
 async function leaveLobby() {
+  // Stop listening first so our own seat removal isn't taken for a kick
+  cleanupLobby(false);
+
   if (currentLobbyGameId) {
     try {
-      await FirebaseService.leaveGame(currentLobbyGameId);
+      if (isSpectator) {
+        await FirebaseService.stopWatching(currentLobbyGameId);
+      } else {
+        await FirebaseService.leaveGame(currentLobbyGameId);
+      }
     } catch (error) {
       console.error('Error leaving game:', error);
     }
@@ -210,9 +532,14 @@ function cleanupLobby(fullCleanup = true) {
   }
 
   if (fullCleanup) {
+    if (typeof ChatService !== 'undefined') {
+      ChatService.close();
+    }
     currentLobbyGameId = null;
     currentPlayerIndex = null;
     isHost = false;
+    isSpectator = false;
+    clearSession();
   }
 
   console.log('Lobby cleaned up');
@@ -242,6 +569,14 @@ function getIsHost() {
   return isHost;
 }
 
+/**
+ * Check if the current user is watching rather than playing
+ * @returns {boolean}
+ */
+function getIsSpectator() {
+  return isSpectator;
+}
+
 /**
  * Get player name from localStorage
  * @returns {string}
@@ -258,6 +593,62 @@ function savePlayerName(name) {
   localStorage.setItem('dotsAndLinesPlayerName', name);
 }
 
+/**
+ * Remember the current game and seat in localStorage
+ */
+function saveSession() {
+  localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({
+    gameId: currentLobbyGameId,
+    playerIndex: currentPlayerIndex
+  }));
+}
+
+/**
+ * Forget the saved game
+ */
+function clearSession() {
+  localStorage.removeItem(SESSION_STORAGE_KEY);
+}
+
+/**
+ * Read the saved game
+ * @returns {{gameId: string, playerIndex: number}|null}
+ */
+function getSavedSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+    return session && session.gameId ? session : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check if the saved game can still be rejoined
+ * Forgets the saved game if it has ended, been deleted or we are no longer in it
+ * @returns {Promise<{gameId: string, code: string, status: string}|null>}
+ */
+async function getResumableGame() {
+  const session = getSavedSession();
+  if (!session) return null;
+
+  try {
+    const gameData = await FirebaseService.getGameSnapshot(session.gameId);
+    const user = FirebaseService.getUser();
+    const memberIndex = gameData && gameData.members && user ? gameData.members[user.uid] : undefined;
+
+    if (typeof memberIndex !== 'number' || gameData.status === 'finished') {
+      clearSession();
+      return null;
+    }
+
+    return { gameId: session.gameId, code: gameData.code, status: gameData.status };
+  } catch (error) {
+    console.error('Failed to check saved game:', error);
+    return null;
+  }
+}
+
 // Export for use in other modules
 window.LobbyService = {
   // Initialization
@@ -266,18 +657,37 @@ window.LobbyService = {
   // Game creation/joining
   createGame: createGameAndJoinLobby,
   joinGame: joinGameLobby,
+  watchGame: watchGameLobby,
+  quickMatch: quickMatch,
+  startRematch: startRematch,
   startGame: startGame,
   leaveLobby: leaveLobby,
 
+  // Lobby options (host only)
+  setBoardLayout: setBoardLayout,
+  setGameSettings: setGameSettings,
+  setTurnTimer: setTurnTimer,
+  setSeries: setSeries,
+  setPublic: setLobbyPublic,
+  addBot: addBot,
+  removeBot: removeBot,
+  kickPlayer: kickPlayer,
+  makeHost: makeHost,
+
   // State access
   getCurrentGameId: getCurrentGameId,
   getCurrentPlayerIndex: getCurrentPlayerIndex,
   isHost: getIsHost,
+  isSpectator: getIsSpectator,
 
   // Player name persistence
   getSavedName: getSavedPlayerName,
   saveName: savePlayerName,
 
+  // Rejoining after a reload
+  getResumableGame: getResumableGame,
+  forgetSavedGame: clearSession,
+
   // Cleanup
   cleanup: cleanupLobby
 };
@@ -0,0 +1,341 @@
+/**
+ * movelog.js - Append-only move log for Dots and Lines
+ * Builds log entries and rebuilds game state from them
+ *
+ * Every action is appended to games/{gameId}/moves:
+ *   { seq, type, playerIndex, at, ...fields }
+ *
+ * Entry types:
+ * - start:    Initial board, seats, special squares, rule settings and first player
+ * - line:     A drawn line plus the rules-engine events it caused
+ *             (boxes scored, golden/penalty hits, respawns, banked turns, turn change)
+ * - skip:     Turn auto-skipped (no legal moves)
+ * - sabotage: Lines and boxes destroyed around a dot
+ * - glow:     A dot started glowing (informational)
+ * - roulette: A glowing dot was tapped and its effect (informational)
+ *
+ * Start, line, skip and sabotage entries are keyed by the moveSeq they commit
+ * (written in the same update, so the log follows the committed moves with no
+ * gaps). Glow and roulette entries aren't moves: they are keyed {seq}_{pushId}
+ * with the moveSeq they happened at, and sort after that move, by time.
+ *
+ * Used by:
+ * - game.js: Writing entries alongside each committed move, stats when the game ends
+ * - firebase.js: Start entry when the game begins
+ */
+
+(function(root) {
+  'use strict';
+
+  const RulesEngine = (typeof module !== 'undefined' && module.exports)
+    ? require('./rules.js')
+    : root.RulesEngine;
+
+  // Entry types that change lines, boxes, scores or turn order
+  const STATE_ENTRY_TYPES = ['line', 'skip', 'sabotage'];
+
+  // ============================================
+  // ENTRY BUILDERS
+  // ============================================
+
+  /**
+   * Build the start entry from the game document at the moment it starts
+   * @param {object} gameData - Game document (players, board, specialSquares, ...)
+   * @param {number} playerIndex - Seat of the player starting the game (the host)
+   * @returns {object} Log entry (without seq/at)
+   */
+  function createStartEntry(gameData, playerIndex) {
+    const players = {};
+    Object.keys(gameData.players || {}).forEach(key => {
+      const player = gameData.players[key];
+      if (player) {
+        players[key] = { id: player.id, name: player.name, color: player.color };
+      }
+    });
+
+    return {
+      type: 'start',
+      playerIndex,
+      board: {
+        layout: gameData.layout || null,
+        boardWidth: gameData.boardWidth || null,
+        boardHeight: gameData.boardHeight || null,
+        gridSize: gameData.gridSize || null,
+        disabledBoxes: gameData.disabledBoxes || null
+      },
+      players,
+      playerCount: gameData.playerCount || Object.keys(players).length,
+      currentPlayerIndex: gameData.currentPlayerIndex || 0,
+      specialSquares: gameData.specialSquares || { golden: [], penalty: [] },
+      settings: RulesEngine.getSettings(gameData)
+    };
+  }
+
+  /**
+   * Build a line entry from a move and the events RulesEngine.applyMove returned
+   * @param {{row: number, col: number, direction: string, playerIndex: number}} move
+   * @param {Array<object>} events - Events from applyMove
+   * @returns {object} Log entry (without seq/at)
+   */
+  function createLineEntry(move, events) {
+    return {
+      type: 'line',
+      playerIndex: move.playerIndex,
+      line: RulesEngine.getLineKey(move.row, move.col, move.direction),
+      events
+    };
+  }
+
+  /**
+   * Build an auto-skip entry
+   * @param {number} playerIndex - Player whose turn was skipped
+   * @returns {object} Log entry (without seq/at)
+   */
+  function createSkipEntry(playerIndex) {
+    return { type: 'skip', playerIndex };
+  }
+
+  /**
+   * Build a sabotage entry from the event RulesEngine.applySabotage returned
+   * @param {{dot: string, playerIndex: number, lines: string[], boxes: string[]}} event
+   * @returns {object} Log entry (without seq/at)
+   */
+  function createSabotageEntry(event) {
+    return {
+      type: 'sabotage',
+      playerIndex: event.playerIndex,
+      dot: event.dot,
+      lines: event.lines,
+      boxes: event.boxes
+    };
+  }
+
+  /**
+   * Build a glow-started entry
+   * @param {string} dot - Glowing dot "row,col"
+   * @param {number} playerIndex - Coordinator that started the glow
+   * @returns {object} Log entry (without seq/at)
+   */
+  function createGlowEntry(dot, playerIndex) {
+    return { type: 'glow', playerIndex, dot };
+  }
+
+  /**
+   * Build a roulette outcome entry
+   * @param {string} dot - Tapped dot "row,col"
+   * @param {string} effect - 'prohibit', 'sabotage' or 'anchor'
+   * @param {number} playerIndex - Player who tapped the dot
+   * @returns {object} Log entry (without seq/at)
+   */
+  function createRouletteEntry(dot, effect, playerIndex) {
+    return { type: 'roulette', playerIndex, dot, effect };
+  }
+
+  // ============================================
+  // REDUCER
+  // ============================================
+
+  /**
+   * Turn the moves node into entries sorted by sequence number
+   * Informational entries (glow, roulette) follow the move with the same seq
+   * @param {object|Array} moves - games/{gameId}/moves (object or sparse array)
+   * @returns {Array<object>}
+   */
+  function getOrderedEntries(moves) {
+    const isInformational = entry => !STATE_ENTRY_TYPES.includes(entry.type) && entry.type !== 'start';
+    return Object.values(moves || {})
+      .filter(entry => entry && typeof entry.seq === 'number')
+      .sort((a, b) => (a.seq - b.seq) ||
+        (isInformational(a) - isInformational(b)) ||
+        ((a.at || 0) - (b.at || 0)));
+  }
+
+  /**
+   * Restore lists Firebase drops when they are empty
+   * @param {object} specialSquares
+   * @returns {{golden: string[], penalty: string[]}}
+   */
+  function normalizeSpecialSquares(specialSquares) {
+    return {
+      golden: [...((specialSquares && specialSquares.golden) || [])],
+      penalty: [...((specialSquares && specialSquares.penalty) || [])]
+    };
+  }
+
+  /**
+   * Build the state at the start of the game
+   * @param {object} startEntry - The 'start' log entry
+   * @returns {object} Rules-engine state
+   */
+  function getInitialState(startEntry) {
+    const board = startEntry.board || {};
+    const players = {};
+    Object.keys(startEntry.players || {}).forEach(key => {
+      const player = startEntry.players[key];
+      if (player) {
+        players[key] = { ...player, score: 0, bankedTurns: 0 };
+      }
+    });
+
+    const state = {
+      status: 'active',
+      players,
+      playerCount: startEntry.playerCount || Object.keys(players).length,
+      currentPlayerIndex: startEntry.currentPlayerIndex || 0,
+      lines: {},
+      boxes: {},
+      specialSquares: normalizeSpecialSquares(startEntry.specialSquares)
+    };
+
+    ['layout', 'boardWidth', 'boardHeight', 'gridSize', 'disabledBoxes'].forEach(field => {
+      if (board[field]) state[field] = board[field];
+    });
+
+    return state;
+  }
+
+  /**
+   * Apply one log entry to a state
+   * Replayed states carry no sabotage restrictions (moves were validated when played);
+   * special square respawns use the recorded positions instead of re-rolling.
+   * @param {object} state - State before the entry
+   * @param {object} entry - Log entry
+   * @returns {{ok: boolean, state: object, events: Array<object>}}
+   */
+  function applyEntry(state, entry) {
+    if (entry.type === 'line') {
+      const line = RulesEngine.parseLineKey(entry.line);
+      const result = RulesEngine.applyMove(state, { ...line, playerIndex: entry.playerIndex });
+      if (!result.ok) {
+        return { ok: false, state, events: [] };
+      }
+
+      const respawn = (entry.events || []).find(e => e && e.type === 'respawn');
+      if (respawn) {
+        const specialSquares = normalizeSpecialSquares(respawn.specialSquares);
+        result.state.specialSquares = specialSquares;
+        result.events = result.events.map(e => (e.type === 'respawn' ? { ...e, specialSquares } : e));
+      }
+      return { ok: true, state: result.state, events: result.events };
+    }
+
+    if (entry.type === 'skip') {
+      const result = RulesEngine.skipTurn(state);
+      return { ok: true, state: result.state, events: result.events };
+    }
+
+    if (entry.type === 'sabotage') {
+      const result = RulesEngine.applySabotage(state, entry.dot, entry.playerIndex);
+      return { ok: true, state: result.state, events: result.events };
+    }
+
+    // start, glow and roulette entries don't change the board
+    return { ok: true, state, events: [{ ...entry }] };
+  }
+
+  /**
+   * Rebuild the game state from the full move log
+   * @param {object|Array} moves - games/{gameId}/moves
+   * @returns {object|null} Rules-engine state, or null if there is no start entry
+   */
+  function reduceMoves(moves) {
+    const entries = getOrderedEntries(moves);
+    const startIndex = entries.findIndex(entry => entry.type === 'start');
+    if (startIndex === -1) return null;
+
+    let state = getInitialState(entries[startIndex]);
+    for (const entry of entries.slice(startIndex + 1)) {
+      const result = applyEntry(state, entry);
+      if (!result.ok) {
+        console.warn('Move log entry could not be applied:', entry.seq, entry.type);
+      }
+      state = result.state;
+    }
+    return state;
+  }
+
+  // ============================================
+  // STATS
+  // ============================================
+
+  // Per-player counters collected from a game's log (see getPlayerStats)
+  const PLAYER_STAT_FIELDS = [
+    'boxesCaptured',
+    'goldenSquares',
+    'penaltySquares',
+    'rouletteTriggered',
+    'rouletteSuffered'
+  ];
+
+  /**
+   * Count what each seat did during a game (for lifetime profile stats)
+   * A roulette effect is triggered by the player who tapped the dot and
+   * suffered by the player whose turn it was
+   * @param {object|Array} moves - games/{gameId}/moves
+   * @returns {Object<number, object>} Counters keyed by player index
+   */
+  function getPlayerStats(moves) {
+    const entries = getOrderedEntries(moves);
+    const startIndex = entries.findIndex(entry => entry.type === 'start');
+    if (startIndex === -1) return {};
+
+    const stats = {};
+    const seat = index => {
+      if (!stats[index]) {
+        stats[index] = {};
+        PLAYER_STAT_FIELDS.forEach(field => { stats[index][field] = 0; });
+      }
+      return stats[index];
+    };
+
+    let state = getInitialState(entries[startIndex]);
+    Object.keys(state.players).forEach(key => seat(parseInt(key, 10)));
+
+    for (const entry of entries.slice(startIndex + 1)) {
+      if (entry.type === 'roulette') {
+        seat(entry.playerIndex).rouletteTriggered++;
+        seat(state.currentPlayerIndex).rouletteSuffered++;
+      }
+
+      if (entry.type === 'line') {
+        (entry.events || []).forEach(event => {
+          if (!event) return;
+          if (event.type === 'box') seat(event.playerIndex).boxesCaptured++;
+          if (event.type === 'golden') seat(event.playerIndex).goldenSquares++;
+          if (event.type === 'penalty') seat(event.playerIndex).penaltySquares++;
+        });
+      }
+
+      state = applyEntry(state, entry).state;
+    }
+    return stats;
+  }
+
+  const MoveLog = {
+    STATE_ENTRY_TYPES,
+    PLAYER_STAT_FIELDS,
+
+    // Entry builders
+    createStartEntry,
+    createLineEntry,
+    createSkipEntry,
+    createSabotageEntry,
+    createGlowEntry,
+    createRouletteEntry,
+
+    // Reducer
+    getOrderedEntries,
+    getInitialState,
+    applyEntry,
+    reduceMoves,
+
+    // Stats
+    getPlayerStats
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MoveLog;
+  } else {
+    root.MoveLog = MoveLog;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,409 @@
+/**
+ * replay.js - Game replay viewer for Dots and Lines
+ * Plays a finished game back move by move on the game canvas
+ *
+ * The replay is rebuilt entirely from the recorded move log (see movelog.js):
+ * every entry becomes a frame holding the state after that entry, so seeking
+ * to any point is instant and never touches the live game.
+ *
+ * Coordinates with:
+ * - movelog.js: Rebuilding state from log entries
+ * - board.js: Rendering frames (updateBoardFromGameState / redraw)
+ * - app.js: Watch Replay button and screen switching
+ */
+
+const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+const REPLAY_STEP_DELAY = 900; // ms between entries at 1x speed
+
+let replayFrames = []; // [{state, entry, events}]
+let replayIndex = 0;
+let replaySpeed = 1;
+let replayTimer = null;
+let replayActive = false;
+
+const ROULETTE_EFFECT_NAMES = {
+  prohibit: 'Prohibit',
+  sabotage: 'Sabotage',
+  anchor: 'Anchor'
+};
+
+/**
+ * Build one frame per log entry from the recorded moves
+ * @param {object|Array} moves - games/{gameId}/moves
+ * @returns {Array<{state: object, entry: object, events: Array<object>}>} Frames (empty if there is no start entry)
+ */
+function buildReplayFrames(moves) {
+  const entries = MoveLog.getOrderedEntries(moves);
+  const startIndex = entries.findIndex(entry => entry.type === 'start');
+  if (startIndex === -1) return [];
+
+  const startEntry = entries[startIndex];
+  let state = MoveLog.getInitialState(startEntry);
+  const frames = [{ state, entry: startEntry, events: [] }];
+
+  entries.slice(startIndex + 1).forEach(entry => {
+    const result = MoveLog.applyEntry(state, entry);
+    if (!result.ok) {
+      console.warn('Replay skipped an entry that could not be applied:', entry.seq, entry.type);
+      return;
+    }
+    state = result.state;
+    frames.push({ state, entry, events: result.events });
+  });
+
+  return frames;
+}
+
+/**
+ * Convert a rules-engine state into the shape board.js renders
+ * @param {object} state - Rules-engine state
+ * @returns {object} State with playersArray/linesArray/boxesArray
+ */
+function toBoardState(state) {
+  return {
+    ...state,
+    playersArray: objectToArray(state.players),
+    linesArray: convertLinesToArray(state.lines),
+    boxesArray: convertBoxesToArray(state.boxes)
+  };
+}
+
+/**
+ * Get a player's display name from a frame's state
+ * @param {object} state - Rules-engine state
+ * @param {number} playerIndex - Player index
+ * @returns {string}
+ */
+function getReplayPlayerName(state, playerIndex) {
+  const player = state.players && state.players[playerIndex];
+  return player ? player.name : `Player ${playerIndex + 1}`;
+}
+
+/**
+ * Describe what happened in a frame
+ * @param {{state: object, entry: object, events: Array<object>}} frame
+ * @returns {{kind: string, text: string}} kind is used as a CSS modifier
+ */
+function describeReplayFrame(frame) {
+  const { entry, events, state } = frame;
+  const name = getReplayPlayerName(state, entry.playerIndex);
+
+  switch (entry.type) {
+    case 'start':
+      return { kind: 'start', text: 'Game start' };
+
+    case 'line': {
+      const scored = events.filter(e => e.type === 'box').length;
+      let text = `${name} drew a line`;
+      if (scored > 0) {
+        text += ` and completed ${scored} box${scored > 1 ? 'es' : ''}`;
+      }
+      if (events.some(e => e.type === 'golden')) text += ' (golden square!)';
+      if (events.some(e => e.type === 'penalty')) text += ' (penalty square)';
+      if (events.some(e => e.type === 'gameOver')) text += ' - game over';
+      return { kind: 'line', text };
+    }
+
+    case 'skip':
+      return { kind: 'skip', text: `${name} had no moves - turn skipped` };
+
+    case 'sabotage': {
+      const lineCount = (entry.lines || []).length;
+      const boxCount = (entry.boxes || []).length;
+      return {
+        kind: 'sabotage',
+        text: `Sabotage! ${name} destroyed ${lineCount} line${lineCount === 1 ? '' : 's'}` +
+          (boxCount > 0 ? ` and ${boxCount} box${boxCount === 1 ? '' : 'es'}` : '')
+      };
+    }
+
+    case 'glow':
+      return { kind: 'glow', text: 'A roulette dot started glowing' };
+
+    case 'roulette':
+      return {
+        kind: 'roulette',
+        text: `Roulette: ${name} landed ${ROULETTE_EFFECT_NAMES[entry.effect] || entry.effect}`
+      };
+
+    default:
+      return { kind: entry.type, text: entry.type };
+  }
+}
+
+/**
+ * Get the dot to mark on the board for the current frame
+ * Called by board.js while drawing
+ * @returns {{dot: string, type: string}|null} type is 'glow', 'prohibit', 'sabotage' or 'anchor'
+ */
+function getReplayMarker() {
+  if (!replayActive) return null;
+  const frame = replayFrames[replayIndex];
+  if (!frame || !frame.entry.dot) return null;
+
+  const { entry } = frame;
+  if (entry.type === 'glow') return { dot: entry.dot, type: 'glow' };
+  if (entry.type === 'roulette') return { dot: entry.dot, type: entry.effect };
+  if (entry.type === 'sabotage') return { dot: entry.dot, type: 'sabotage' };
+  return null;
+}
+
+/**
+ * Get the special squares of the current frame
+ * @returns {{golden: string[], penalty: string[]}}
+ */
+function getReplaySpecialSquares() {
+  const frame = replayFrames[replayIndex];
+  return frame ? frame.state.specialSquares : { golden: [], penalty: [] };
+}
+
+/**
+ * Render a frame on the canvas and update the controls
+ * @param {number} index - Frame index
+ */
+function showReplayFrame(index) {
+  replayIndex = Math.max(0, Math.min(replayFrames.length - 1, index));
+  const frame = replayFrames[replayIndex];
+
+  if (typeof updateBoardFromGameState === 'function') {
+    updateBoardFromGameState(toBoardState(frame.state));
+  }
+  if (typeof updateScoreboard === 'function') {
+    updateScoreboard();
+  }
+
+  const scrubber = document.getElementById('replay-scrubber');
+  if (scrubber) {
+    scrubber.max = String(replayFrames.length - 1);
+    scrubber.value = String(replayIndex);
+  }
+
+  const positionEl = document.getElementById('replay-position');
+  if (positionEl) {
+    positionEl.textContent = `${replayIndex} / ${replayFrames.length - 1}`;
+  }
+
+  const eventEl = document.getElementById('replay-event');
+  if (eventEl) {
+    const description = describeReplayFrame(frame);
+    eventEl.textContent = description.text;
+    eventEl.className = `replay-event ${description.kind}`;
+  }
+
+  updateReplayButtons();
+}
+
+/**
+ * Sync button states with the playback state
+ */
+function updateReplayButtons() {
+  const playBtn = document.getElementById('replay-play-btn');
+  if (playBtn) {
+    playBtn.textContent = replayTimer ? 'Pause' : 'Play';
+  }
+
+  const backBtn = document.getElementById('replay-back-btn');
+  if (backBtn) backBtn.disabled = replayIndex === 0;
+
+  const forwardBtn = document.getElementById('replay-forward-btn');
+  if (forwardBtn) forwardBtn.disabled = replayIndex >= replayFrames.length - 1;
+}
+
+/**
+ * Schedule the next frame while playing
+ */
+function scheduleNextReplayFrame() {
+  replayTimer = setTimeout(() => {
+    if (replayIndex >= replayFrames.length - 1) {
+      pauseReplay();
+      return;
+    }
+    showReplayFrame(replayIndex + 1);
+    scheduleNextReplayFrame();
+  }, REPLAY_STEP_DELAY / replaySpeed);
+}
+
+/**
+ * Start playback (restarts from the beginning if at the end)
+ */
+function playReplay() {
+  if (!replayActive || replayTimer) return;
+  if (replayIndex >= replayFrames.length - 1) {
+    showReplayFrame(0);
+  }
+  scheduleNextReplayFrame();
+  updateReplayButtons();
+}
+
+/**
+ * Pause playback
+ */
+function pauseReplay() {
+  if (replayTimer) {
+    clearTimeout(replayTimer);
+    replayTimer = null;
+  }
+  updateReplayButtons();
+}
+
+/**
+ * Pause and jump to a frame
+ * @param {number} index - Frame index
+ */
+function seekReplay(index) {
+  if (!replayActive) return;
+  pauseReplay();
+  showReplayFrame(index);
+}
+
+/**
+ * Change playback speed
+ * @param {number} speed - One of REPLAY_SPEEDS
+ */
+function setReplaySpeed(speed) {
+  replaySpeed = REPLAY_SPEEDS.includes(speed) ? speed : 1;
+  if (replayTimer) {
+    // Restart the pending step with the new delay
+    clearTimeout(replayTimer);
+    scheduleNextReplayFrame();
+  }
+}
+
+/**
+ * Open the replay viewer for a finished game
+ * @param {object|Array} moves - games/{gameId}/moves
+ * @returns {boolean} False if the moves contain no replayable game
+ */
+function startReplay(moves) {
+  const frames = buildReplayFrames(moves);
+  if (frames.length === 0) return false;
+
+  replayFrames = frames;
+  replayActive = true;
+
+  const controls = document.getElementById('replay-controls');
+  if (controls) controls.classList.remove('hidden');
+
+  if (typeof showScreen === 'function') {
+    showScreen('game');
+  }
+  showReplayFrame(0);
+  playReplay();
+
+  console.log('Replay started:', frames.length, 'frames');
+  return true;
+}
+
+/**
+ * Close the replay viewer and restore the live board
+ */
+function stopReplay() {
+  if (!replayActive) return;
+
+  pauseReplay();
+  replayActive = false;
+  replayFrames = [];
+  replayIndex = 0;
+
+  const controls = document.getElementById('replay-controls');
+  if (controls) controls.classList.add('hidden');
+
+  // Put the final live state back on the board
+  const liveState = typeof GameService !== 'undefined' ? GameService.getState() : null;
+  if (liveState && typeof updateBoardFromGameState === 'function') {
+    updateBoardFromGameState(liveState);
+  }
+
+  console.log('Replay stopped');
+}
+
+/**
+ * Check if the replay viewer is showing
+ * @returns {boolean}
+ */
+function isReplayActive() {
+  return replayActive;
+}
+
+/**
+ * Wire up the replay control buttons
+ */
+function setupReplayControls() {
+  const playBtn = document.getElementById('replay-play-btn');
+  const backBtn = document.getElementById('replay-back-btn');
+  const forwardBtn = document.getElementById('replay-forward-btn');
+  const speedSelect = document.getElementById('replay-speed-select');
+  const scrubber = document.getElementById('replay-scrubber');
+  const exitBtn = document.getElementById('replay-exit-btn');
+
+  if (playBtn) {
+    playBtn.addEventListener('click', function() {
+      if (replayTimer) {
+        pauseReplay();
+      } else {
+        playReplay();
+      }
+    });
+  }
+
+  if (backBtn) {
+    backBtn.addEventListener('click', function() {
+      seekReplay(replayIndex - 1);
+    });
+  }
+
+  if (forwardBtn) {
+    forwardBtn.addEventListener('click', function() {
+      seekReplay(replayIndex + 1);
+    });
+  }
+
+  if (speedSelect) {
+    speedSelect.innerHTML = '';
+    REPLAY_SPEEDS.forEach(speed => {
+      const option = document.createElement('option');
+      option.value = String(speed);
+      option.textContent = `${speed}x`;
+      speedSelect.appendChild(option);
+    });
+    speedSelect.value = String(replaySpeed);
+    speedSelect.addEventListener('change', function() {
+      setReplaySpeed(parseFloat(this.value));
+    });
+  }
+
+  if (scrubber) {
+    scrubber.addEventListener('input', function() {
+      seekReplay(parseInt(this.value, 10));
+    });
+  }
+
+  if (exitBtn) {
+    exitBtn.addEventListener('click', function() {
+      stopReplay();
+      if (typeof showScreen === 'function') {
+        showScreen('gameover');
+      }
+    });
+  }
+}
+
+// Export for use in other modules
+window.ReplayService = {
+  REPLAY_SPEEDS,
+
+  setupControls: setupReplayControls,
+  start: startReplay,
+  stop: stopReplay,
+  isActive: isReplayActive,
+
+  // Playback
+  play: playReplay,
+  pause: pauseReplay,
+  seek: seekReplay,
+  setSpeed: setReplaySpeed,
+
+  // Rendering hooks for board.js
+  getMarker: getReplayMarker,
+  getSpecialSquares: getReplaySpecialSquares
+};
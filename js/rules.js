@@ -0,0 +1,1024 @@
+/**
+ * rules.js - Pure rules engine for Dots and Lines
+ * Move legality, box completion, special squares, banked turns, turn order,
+ * the turn timer and the host's game settings
+ *
+ * Everything in this module is DOM-free and Firebase-free. Functions take a
+ * plain game state with the same shape as the games/{gameId} document
+ * (lines, boxes, players, specialSquares, sabotage, ...) and never mutate it.
+ *
+ * Used by:
+ * - game.js: Multiplayer moves (results are written to Firebase)
+ * - board.js: Local mode moves
+ */
+
+(function(root) {
+  'use strict';
+
+  const DEFAULT_GRID_SIZE = 6; // 6 dots = 5x5 boxes
+
+  // ============================================
+  // KEY HELPERS
+  // ============================================
+
+  /**
+   * Get line key from row, col, direction
+   * @param {number} row
+   * @param {number} col
+   * @param {string} direction - 'h' or 'v'
+   * @returns {string} "row,col,direction"
+   */
+  function getLineKey(row, col, direction) {
+    return `${row},${col},${direction}`;
+  }
+
+  /**
+   * Get box key from row, col
+   * @param {number} row
+   * @param {number} col
+   * @returns {string} "row,col"
+   */
+  function getBoxKey(row, col) {
+    return `${row},${col}`;
+  }
+
+  /**
+   * Parse a line key
+   * @param {string} key - "row,col,direction"
+   * @returns {{row: number, col: number, direction: string}}
+   */
+  function parseLineKey(key) {
+    const [row, col, direction] = key.split(',');
+    return { row: parseInt(row, 10), col: parseInt(col, 10), direction };
+  }
+
+  /**
+   * Parse a box or dot key
+   * @param {string} key - "row,col"
+   * @returns {{row: number, col: number}}
+   */
+  function parsePointKey(key) {
+    const [row, col] = key.split(',').map(Number);
+    return { row, col };
+  }
+
+  // ============================================
+  // BOARD GEOMETRY
+  // ============================================
+
+  /**
+   * Get the number of box rows and columns in the board's bounding rectangle
+   * Reads boardWidth/boardHeight; games without them use a square gridSize board
+   * @param {object} state - Game state
+   * @returns {{rows: number, cols: number}}
+   */
+  function getBoardShape(state) {
+    if (state && state.boardWidth && state.boardHeight) {
+      return { rows: state.boardHeight, cols: state.boardWidth };
+    }
+    const gridSize = (state && state.gridSize) || DEFAULT_GRID_SIZE;
+    return { rows: gridSize - 1, cols: gridSize - 1 };
+  }
+
+  /**
+   * Check if a box is on the board (inside the rectangle and not masked out)
+   * @param {object} state - Game state (reads disabledBoxes)
+   * @param {number} row
+   * @param {number} col
+   * @returns {boolean}
+   */
+  function isBoxOnBoard(state, row, col) {
+    const shape = getBoardShape(state);
+    if (row < 0 || col < 0 || row >= shape.rows || col >= shape.cols) return false;
+    const disabledBoxes = state && state.disabledBoxes;
+    return !(disabledBoxes && disabledBoxes[getBoxKey(row, col)]);
+  }
+
+  /**
+   * Get all box positions on the board (skips disabled boxes)
+   * @param {object} state - Game state
+   * @returns {string[]} Box keys "row,col"
+   */
+  function getAllBoxKeys(state) {
+    const shape = getBoardShape(state);
+    const keys = [];
+    for (let row = 0; row < shape.rows; row++) {
+      for (let col = 0; col < shape.cols; col++) {
+        if (isBoxOnBoard(state, row, col)) keys.push(getBoxKey(row, col));
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Get the boxes on either side of a line (only those on the board)
+   * @param {object} state - Game state
+   * @param {number} row - Line row
+   * @param {number} col - Line column
+   * @param {string} direction - 'h' or 'v'
+   * @returns {Array<{row: number, col: number}>}
+   */
+  function getAdjacentBoxes(state, row, col, direction) {
+    const candidates = direction === 'h'
+      ? [{ row: row - 1, col }, { row, col }] // Box above and below
+      : [{ row, col: col - 1 }, { row, col }]; // Box to the left and right
+    return candidates.filter(box => isBoxOnBoard(state, box.row, box.col));
+  }
+
+  /**
+   * Check if a line is part of the board (borders at least one box)
+   * @param {object} state - Game state
+   * @param {number} row
+   * @param {number} col
+   * @param {string} direction - 'h' or 'v'
+   * @returns {boolean}
+   */
+  function isLineOnBoard(state, row, col, direction) {
+    if (direction !== 'h' && direction !== 'v') return false;
+    return getAdjacentBoxes(state, row, col, direction).length > 0;
+  }
+
+  /**
+   * Get all line keys on the board
+   * @param {object} state - Game state
+   * @returns {string[]} Line keys "row,col,direction"
+   */
+  function getAllLineKeys(state) {
+    const shape = getBoardShape(state);
+    const keys = [];
+    for (let row = 0; row <= shape.rows; row++) {
+      for (let col = 0; col <= shape.cols; col++) {
+        if (isLineOnBoard(state, row, col, 'h')) keys.push(getLineKey(row, col, 'h'));
+        if (isLineOnBoard(state, row, col, 'v')) keys.push(getLineKey(row, col, 'v'));
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Get the four sides of a box as line keys
+   * @param {number} row - Box row
+   * @param {number} col - Box column
+   * @returns {string[]} [top, bottom, left, right]
+   */
+  function getBoxSides(row, col) {
+    return [
+      getLineKey(row, col, 'h'),
+      getLineKey(row + 1, col, 'h'),
+      getLineKey(row, col, 'v'),
+      getLineKey(row, col + 1, 'v')
+    ];
+  }
+
+  /**
+   * Get all on-board lines that touch a dot
+   * @param {object} state - Game state
+   * @param {number} row - Dot row
+   * @param {number} col - Dot column
+   * @returns {string[]} Line keys (right, down, left, up)
+   */
+  function getDotLineKeys(state, row, col) {
+    const candidates = [
+      { row, col, direction: 'h' }, // Right
+      { row, col, direction: 'v' }, // Down
+      { row, col: col - 1, direction: 'h' }, // Left
+      { row: row - 1, col, direction: 'v' } // Up
+    ];
+    return candidates
+      .filter(line => isLineOnBoard(state, line.row, line.col, line.direction))
+      .map(line => getLineKey(line.row, line.col, line.direction));
+  }
+
+  /**
+   * Check if a dot is on the board (at least one line touches it)
+   * @param {object} state - Game state
+   * @param {number} row - Dot row
+   * @param {number} col - Dot column
+   * @returns {boolean}
+   */
+  function isDotOnBoard(state, row, col) {
+    return getDotLineKeys(state, row, col).length > 0;
+  }
+
+  /**
+   * Get all dots on the board (dots with at least one line)
+   * @param {object} state - Game state
+   * @returns {string[]} Dot keys "row,col"
+   */
+  function getAllDotKeys(state) {
+    const shape = getBoardShape(state);
+    const keys = [];
+    for (let row = 0; row <= shape.rows; row++) {
+      for (let col = 0; col <= shape.cols; col++) {
+        if (isDotOnBoard(state, row, col)) {
+          keys.push(getBoxKey(row, col));
+        }
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Check if a line has the given dot as one of its endpoints
+   * @param {number} row - Line row
+   * @param {number} col - Line column
+   * @param {string} direction - 'h' or 'v'
+   * @param {string} dotKey - Dot key "row,col"
+   * @returns {boolean}
+   */
+  function lineTouchesDot(row, col, direction, dotKey) {
+    const dot = parsePointKey(dotKey);
+    if (row === dot.row && col === dot.col) return true;
+    if (direction === 'h') {
+      // Horizontal line from (row, col) to (row, col+1)
+      return row === dot.row && col + 1 === dot.col;
+    }
+    // Vertical line from (row, col) to (row+1, col)
+    return row + 1 === dot.row && col === dot.col;
+  }
+
+  // ============================================
+  // STATE QUERIES
+  // ============================================
+
+  /**
+   * Get the number of seated players
+   * @param {object} state - Game state
+   * @returns {number}
+   */
+  function getPlayerCount(state) {
+    if (state.playerCount) return state.playerCount;
+    return Object.keys(state.players || {}).length;
+  }
+
+  /**
+   * Get the player index that moves after the given one
+   * @param {object} state - Game state
+   * @param {number} fromIndex - Player index to advance from
+   * @returns {number}
+   */
+  function getNextPlayerIndex(state, fromIndex) {
+    return (fromIndex + 1) % getPlayerCount(state);
+  }
+
+  /**
+   * Check if a line has been drawn
+   * @param {object} state - Game state
+   * @param {string} lineKey - Line key "row,col,direction"
+   * @returns {boolean}
+   */
+  function hasLine(state, lineKey) {
+    const lines = state.lines || {};
+    return lines[lineKey] !== undefined && lines[lineKey] !== null;
+  }
+
+  /**
+   * Get special square type for a box
+   * @param {object} state - Game state
+   * @param {number} row
+   * @param {number} col
+   * @returns {string} 'golden', 'penalty', or 'normal'
+   */
+  function getSpecialSquareType(state, row, col) {
+    const specialSquares = state.specialSquares;
+    if (!specialSquares) return 'normal';
+
+    const key = getBoxKey(row, col);
+    if (specialSquares.golden && specialSquares.golden.includes(key)) return 'golden';
+    if (specialSquares.penalty && specialSquares.penalty.includes(key)) return 'penalty';
+    return 'normal';
+  }
+
+  /**
+   * Check if a line is prohibited (touches the prohibited dot)
+   * @param {object} state - Game state (reads sabotage.prohibitedDot)
+   * @param {number} row
+   * @param {number} col
+   * @param {string} direction
+   * @returns {boolean}
+   */
+  function isLineProhibited(state, row, col, direction) {
+    const prohibitedDot = state.sabotage && state.sabotage.prohibitedDot;
+    if (!prohibitedDot) return false;
+    return lineTouchesDot(row, col, direction, prohibitedDot);
+  }
+
+  /**
+   * Check if a line satisfies an active anchor (uses the anchored dot)
+   * @param {object} state - Game state (reads sabotage.anchoredDot)
+   * @param {number} row
+   * @param {number} col
+   * @param {string} direction
+   * @returns {boolean} True if there is no anchor or the line uses it
+   */
+  function lineUsesAnchoredDot(state, row, col, direction) {
+    const anchoredDot = state.sabotage && state.sabotage.anchoredDot;
+    if (!anchoredDot) return true;
+    return lineTouchesDot(row, col, direction, anchoredDot);
+  }
+
+  /**
+   * Check if a line could legally be drawn right now (ignores whose turn it is)
+   * @param {object} state - Game state
+   * @param {number} row
+   * @param {number} col
+   * @param {string} direction
+   * @returns {{valid: boolean, reason?: string}}
+   */
+  function checkLine(state, row, col, direction) {
+    if (!isLineOnBoard(state, row, col, direction)) {
+      return { valid: false, reason: 'off-board' };
+    }
+    if (hasLine(state, getLineKey(row, col, direction))) {
+      return { valid: false, reason: 'line-exists' };
+    }
+    if (isLineProhibited(state, row, col, direction)) {
+      return { valid: false, reason: 'prohibited' };
+    }
+    if (!lineUsesAnchoredDot(state, row, col, direction)) {
+      return { valid: false, reason: 'anchor' };
+    }
+    return { valid: true };
+  }
+
+  /**
+   * Validate a move for the player making it
+   * @param {object} state - Game state
+   * @param {{row: number, col: number, direction: string, playerIndex: number}} move
+   * @returns {{valid: boolean, reason?: string}}
+   */
+  function validateMove(state, move) {
+    if (state.status && state.status !== 'active') {
+      return { valid: false, reason: 'not-active' };
+    }
+    if (move.playerIndex !== state.currentPlayerIndex) {
+      return { valid: false, reason: 'not-your-turn' };
+    }
+    return checkLine(state, move.row, move.col, move.direction);
+  }
+
+  /**
+   * Get every line the current player may legally draw
+   * Considers: existing lines, prohibited dot, and anchor restriction
+   * @param {object} state - Game state
+   * @returns {Array<{row: number, col: number, direction: string}>}
+   */
+  function getLegalMoves(state) {
+    return getAllLineKeys(state)
+      .map(parseLineKey)
+      .filter(line => checkLine(state, line.row, line.col, line.direction).valid);
+  }
+
+  /**
+   * Check if the current player has any legal move available
+   * @param {object} state - Game state
+   * @returns {boolean}
+   */
+  function hasAnyLegalMove(state) {
+    return getLegalMoves(state).length > 0;
+  }
+
+  /**
+   * Check if a dot has at least one available (undrawn) line
+   * @param {object} state - Game state
+   * @param {number} row - Dot row
+   * @param {number} col - Dot column
+   * @returns {boolean}
+   */
+  function dotHasAvailableLine(state, row, col) {
+    return getDotLineKeys(state, row, col).some(key => !hasLine(state, key));
+  }
+
+  /**
+   * Check if a box has all four sides drawn
+   * @param {object} state - Game state
+   * @param {number} row
+   * @param {number} col
+   * @returns {boolean}
+   */
+  function isBoxComplete(state, row, col) {
+    return getBoxSides(row, col).every(key => hasLine(state, key));
+  }
+
+  /**
+   * Check which boxes would be completed by drawing a line
+   * @param {object} state - Game state (before the line is drawn)
+   * @param {number} row
+   * @param {number} col
+   * @param {string} direction
+   * @returns {Array<{row: number, col: number, type: string}>} Newly completed boxes
+   */
+  function findCompletedBoxes(state, row, col, direction) {
+    const lineKey = getLineKey(row, col, direction);
+    const withLine = { ...state, lines: { ...(state.lines || {}), [lineKey]: true } };
+    const boxes = state.boxes || {};
+
+    return getAdjacentBoxes(state, row, col, direction)
+      .filter(box => {
+        const owned = boxes[getBoxKey(box.row, box.col)];
+        return !owned && isBoxComplete(withLine, box.row, box.col);
+      })
+      .map(box => ({
+        row: box.row,
+        col: box.col,
+        type: getSpecialSquareType(state, box.row, box.col)
+      }));
+  }
+
+  /**
+   * Get total number of boxes on the board
+   * @param {object} state - Game state
+   * @returns {number}
+   */
+  function getTotalBoxes(state) {
+    return getAllBoxKeys(state).length;
+  }
+
+  /**
+   * Check if every box on the board has been claimed
+   * @param {object} state - Game state
+   * @returns {boolean}
+   */
+  function isBoardFull(state) {
+    return Object.keys(state.boxes || {}).length >= getTotalBoxes(state);
+  }
+
+  // ============================================
+  // GAME SETTINGS
+  // Rule knobs the host edits in the lobby (games/{gameId}/settings).
+  // Always read them through getSettings so older games get the defaults.
+  // ============================================
+
+  const DEFAULT_SETTINGS = {
+    maxPlayers: 7,
+    goldenSquares: 1,
+    penaltySquares: 2,
+    sabotageEnabled: true,
+    glowDuration: 1000, // Longest a sabotage glow lasts (each glow is 25-100% of this)
+    glowInterval: 5000, // Longest wait between glows (each wait is 20-100% of this)
+    missPenaltyDuration: 2000, // Slowdown after tapping the wrong dot
+    anchorTimeoutDuration: 3000 // Anchor is lifted after this long if it has no lines
+  };
+
+  // Allowed range of each numeric setting (mirrored in database.rules.json)
+  const SETTINGS_LIMITS = {
+    maxPlayers: { min: 2, max: 7, step: 1 },
+    goldenSquares: { min: 0, max: 5, step: 1 },
+    penaltySquares: { min: 0, max: 5, step: 1 },
+    glowDuration: { min: 500, max: 3000, step: 250 },
+    glowInterval: { min: 1000, max: 10000, step: 1000 },
+    missPenaltyDuration: { min: 0, max: 5000, step: 500 },
+    anchorTimeoutDuration: { min: 1000, max: 10000, step: 1000 }
+  };
+
+  // One-tap rule sets for the lobby (Party is the defaults). Presets leave
+  // maxPlayers alone; any other combination of rules is shown as Custom.
+  const RULE_PRESETS = [
+    {
+      id: 'classic',
+      name: 'Classic',
+      settings: { goldenSquares: 0, penaltySquares: 0, sabotageEnabled: false }
+    },
+    {
+      id: 'party',
+      name: 'Party',
+      settings: {}
+    },
+    {
+      id: 'chaos',
+      name: 'Chaos',
+      settings: { goldenSquares: 3, penaltySquares: 4, glowInterval: 2000, missPenaltyDuration: 500 }
+    }
+  ];
+
+  const CUSTOM_PRESET = { id: 'custom', name: 'Custom', settings: null };
+
+  // Settings a preset decides
+  const PRESET_FIELDS = Object.keys(DEFAULT_SETTINGS).filter(key => key !== 'maxPlayers');
+
+  /**
+   * Get the rule settings a preset applies
+   * @param {string} presetId - Id from RULE_PRESETS
+   * @returns {object|null} Every preset field, or null for an unknown preset
+   */
+  function getPresetSettings(presetId) {
+    const preset = RULE_PRESETS.find(p => p.id === presetId);
+    if (!preset) return null;
+
+    const result = {};
+    PRESET_FIELDS.forEach(key => {
+      result[key] = key in preset.settings ? preset.settings[key] : DEFAULT_SETTINGS[key];
+    });
+    return result;
+  }
+
+  /**
+   * Find the preset whose rules match a set of settings
+   * @param {object} settings - Complete settings
+   * @returns {object} Preset from RULE_PRESETS, or CUSTOM_PRESET
+   */
+  function getRulePreset(settings) {
+    return RULE_PRESETS.find(preset => {
+      const presetSettings = getPresetSettings(preset.id);
+      return PRESET_FIELDS.every(key => settings[key] === presetSettings[key]);
+    }) || CUSTOM_PRESET;
+  }
+
+  /**
+   * Clamp settings to their allowed ranges and fill in missing fields
+   * The preset field is worked out from the resulting rules
+   * @param {object} [settings] - Partial settings
+   * @returns {object} Complete settings
+   */
+  function normalizeSettings(settings) {
+    const result = { ...DEFAULT_SETTINGS, preset: 'party' };
+    if (!settings) return result;
+
+    Object.keys(SETTINGS_LIMITS).forEach(key => {
+      const value = Number(settings[key]);
+      if (!Number.isFinite(value)) return;
+      const { min, max } = SETTINGS_LIMITS[key];
+      result[key] = Math.min(max, Math.max(min, Math.round(value)));
+    });
+    if (typeof settings.sabotageEnabled === 'boolean') {
+      result.sabotageEnabled = settings.sabotageEnabled;
+    }
+    result.preset = getRulePreset(result).id;
+    return result;
+  }
+
+  /**
+   * Get a game's settings (defaults for anything not set)
+   * @param {object} state - Game state
+   * @returns {object}
+   */
+  function getSettings(state) {
+    return normalizeSettings(state && state.settings);
+  }
+
+  // ============================================
+  // SPECIAL SQUARES
+  // ============================================
+
+  /**
+   * Shuffle an array in place using Fisher-Yates
+   * @param {Array} array
+   * @param {function} random - Returns a number in [0, 1)
+   * @returns {Array} The same array
+   */
+  function shuffleInPlace(array, random) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+
+  /**
+   * Pick random boxes for a new game's special squares
+   * The counts come from the game's settings (goldenSquares, penaltySquares)
+   * @param {object} state - Board fields (and settings) of the game
+   * @param {function} [random] - Random source (defaults to Math.random)
+   * @returns {{golden: string[], penalty: string[]}} specialSquares object
+   */
+  function placeSpecialSquares(state, random = Math.random) {
+    const { goldenSquares, penaltySquares } = getSettings(state);
+    const positions = shuffleInPlace(getAllBoxKeys(state), random);
+
+    return {
+      golden: positions.slice(0, goldenSquares),
+      penalty: positions.slice(goldenSquares, goldenSquares + penaltySquares)
+    };
+  }
+
+  /**
+   * Respawn completed special squares in unoccupied boxes
+   * @param {object} state - Game state (before the completed boxes were claimed)
+   * @param {string[]} goldenToRespawn - Golden square keys that were completed
+   * @param {string[]} penaltyToRespawn - Penalty square keys that were completed
+   * @param {string[]} justCompleted - Box keys just completed this turn
+   * @param {function} [random] - Random source (defaults to Math.random)
+   * @returns {{golden: string[], penalty: string[]}} New specialSquares object
+   */
+  function respawnSpecialSquares(state, goldenToRespawn, penaltyToRespawn, justCompleted, random = Math.random) {
+    const specialSquares = state.specialSquares || {};
+
+    // Occupied = already owned + just completed
+    const occupiedBoxes = new Set(Object.keys(state.boxes || {}));
+    justCompleted.forEach(key => occupiedBoxes.add(key));
+
+    // Remove completed special squares from their lists
+    const newGolden = (specialSquares.golden || []).filter(key => !goldenToRespawn.includes(key));
+    const newPenalty = (specialSquares.penalty || []).filter(key => !penaltyToRespawn.includes(key));
+
+    // Find all unoccupied boxes (not owned, not special)
+    const allSpecial = new Set([...newGolden, ...newPenalty]);
+    const unoccupiedBoxes = shuffleInPlace(
+      getAllBoxKeys(state).filter(key => !occupiedBoxes.has(key) && !allSpecial.has(key)),
+      random
+    );
+
+    let spawnIndex = 0;
+    for (let i = 0; i < goldenToRespawn.length && spawnIndex < unoccupiedBoxes.length; i++) {
+      newGolden.push(unoccupiedBoxes[spawnIndex++]);
+    }
+    for (let i = 0; i < penaltyToRespawn.length && spawnIndex < unoccupiedBoxes.length; i++) {
+      newPenalty.push(unoccupiedBoxes[spawnIndex++]);
+    }
+
+    return { golden: newGolden, penalty: newPenalty };
+  }
+
+  // ============================================
+  // STATE TRANSITIONS
+  // ============================================
+
+  /**
+   * Copy the parts of a state that moves can change
+   * @param {object} state - Game state
+   * @returns {object} Copy safe to mutate for lines, boxes, players, specialSquares
+   */
+  function copyState(state) {
+    const players = Array.isArray(state.players)
+      ? state.players.map(p => (p ? { ...p } : p))
+      : Object.fromEntries(Object.entries(state.players || {}).map(([k, p]) => [k, { ...p }]));
+
+    return {
+      ...state,
+      lines: { ...(state.lines || {}) },
+      boxes: { ...(state.boxes || {}) },
+      players,
+      specialSquares: {
+        golden: [...((state.specialSquares && state.specialSquares.golden) || [])],
+        penalty: [...((state.specialSquares && state.specialSquares.penalty) || [])]
+      }
+    };
+  }
+
+  /**
+   * Apply a line move and all of its consequences
+   *
+   * Events (in order): line, box*, golden*, penalty*, respawn?, bankedTurnUsed?, turn?, gameOver?
+   *
+   * @param {object} state - Game state before the move
+   * @param {{row: number, col: number, direction: string, playerIndex: number}} move
+   * @param {object} [options]
+   * @param {function} [options.random] - Random source for special square respawns
+   * @returns {{ok: boolean, reason?: string, state: object, events: Array<object>}}
+   */
+  function applyMove(state, move, options = {}) {
+    const check = validateMove(state, move);
+    if (!check.valid) {
+      return { ok: false, reason: check.reason, state, events: [] };
+    }
+
+    const { row, col, direction, playerIndex } = move;
+    const next = copyState(state);
+    const events = [];
+    const player = next.players[playerIndex] || {};
+    next.players[playerIndex] = player;
+
+    // Add the line
+    const lineKey = getLineKey(row, col, direction);
+    next.lines[lineKey] = playerIndex;
+    events.push({ type: 'line', key: lineKey, playerIndex });
+
+    // Claim completed boxes and apply special square effects
+    const completedBoxes = findCompletedBoxes(state, row, col, direction);
+    const goldenToRespawn = [];
+    const penaltyToRespawn = [];
+    let forfeitTurn = false;
+
+    for (const box of completedBoxes) {
+      const boxKey = getBoxKey(box.row, box.col);
+      next.boxes[boxKey] = { ownerId: playerIndex, type: box.type };
+      events.push({ type: 'box', key: boxKey, playerIndex, boxType: box.type });
+
+      if (box.type === 'golden') {
+        // Golden: Bank a turn (and keep your turn)
+        player.bankedTurns = (player.bankedTurns || 0) + 1;
+        goldenToRespawn.push(boxKey);
+        events.push({ type: 'golden', key: boxKey, playerIndex });
+      } else if (box.type === 'penalty') {
+        // Penalty: Forfeit turn even if you completed a box
+        forfeitTurn = true;
+        penaltyToRespawn.push(boxKey);
+        events.push({ type: 'penalty', key: boxKey, playerIndex });
+      }
+    }
+
+    if (completedBoxes.length > 0) {
+      player.score = (player.score || 0) + completedBoxes.length;
+    }
+
+    // Respawn special squares in unoccupied boxes
+    if (goldenToRespawn.length > 0 || penaltyToRespawn.length > 0) {
+      next.specialSquares = respawnSpecialSquares(
+        state,
+        goldenToRespawn,
+        penaltyToRespawn,
+        completedBoxes.map(b => getBoxKey(b.row, b.col)),
+        options.random
+      );
+      events.push({ type: 'respawn', specialSquares: next.specialSquares });
+    }
+
+    // Determine next turn
+    if (forfeitTurn) {
+      // Penalty box - forfeit turn immediately, no banked turn usage
+      next.currentPlayerIndex = getNextPlayerIndex(state, playerIndex);
+    } else if (completedBoxes.length === 0) {
+      if ((player.bankedTurns || 0) > 0) {
+        // Use a banked turn - decrement and keep playing
+        player.bankedTurns--;
+        events.push({ type: 'bankedTurnUsed', playerIndex, remaining: player.bankedTurns });
+      } else {
+        next.currentPlayerIndex = getNextPlayerIndex(state, playerIndex);
+      }
+    }
+    // Completed a (non-penalty) box - keep turn
+
+    if (next.currentPlayerIndex !== state.currentPlayerIndex) {
+      events.push({ type: 'turn', from: state.currentPlayerIndex, to: next.currentPlayerIndex });
+    }
+
+    // Check if game is over
+    if (isBoardFull(next)) {
+      next.status = 'finished';
+      events.push({ type: 'gameOver' });
+    }
+
+    return { ok: true, state: next, events };
+  }
+
+  /**
+   * Pass the turn to the next player without drawing a line
+   * @param {object} state - Game state
+   * @returns {{state: object, events: Array<object>}}
+   */
+  function skipTurn(state) {
+    const next = copyState(state);
+    next.currentPlayerIndex = getNextPlayerIndex(state, state.currentPlayerIndex);
+    return {
+      state: next,
+      events: [{ type: 'turn', from: state.currentPlayerIndex, to: next.currentPlayerIndex }]
+    };
+  }
+
+  /**
+   * Apply sabotage destruction: remove opponents' lines touching a dot and
+   * un-claim the boxes those lines completed (no friendly fire)
+   * @param {object} state - Game state
+   * @param {string} dotKey - Sabotaged dot "row,col"
+   * @param {number} saboteurIndex - Player index of the saboteur
+   * @returns {{state: object, events: Array<object>}}
+   */
+  function applySabotage(state, dotKey, saboteurIndex) {
+    const next = copyState(state);
+    const dot = parsePointKey(dotKey);
+
+    const removedLines = getDotLineKeys(state, dot.row, dot.col)
+      .filter(key => hasLine(state, key) && state.lines[key] !== saboteurIndex);
+
+    const removedBoxes = new Set();
+    for (const key of removedLines) {
+      const line = parseLineKey(key);
+      getAdjacentBoxes(state, line.row, line.col, line.direction).forEach(box => {
+        const boxKey = getBoxKey(box.row, box.col);
+        if (next.boxes[boxKey]) removedBoxes.add(boxKey);
+      });
+    }
+
+    // Deduct a point per lost box from its owner
+    const deductions = {};
+    for (const boxKey of removedBoxes) {
+      const ownerId = next.boxes[boxKey].ownerId;
+      if (ownerId !== undefined && ownerId !== null) {
+        deductions[ownerId] = (deductions[ownerId] || 0) + 1;
+      }
+      delete next.boxes[boxKey];
+    }
+    for (const [playerIndex, deduction] of Object.entries(deductions)) {
+      const player = next.players[playerIndex];
+      if (player) player.score = Math.max(0, (player.score || 0) - deduction);
+    }
+
+    removedLines.forEach(key => { delete next.lines[key]; });
+
+    return {
+      state: next,
+      events: [{
+        type: 'sabotage',
+        dot: dotKey,
+        playerIndex: saboteurIndex,
+        lines: removedLines,
+        boxes: Array.from(removedBoxes)
+      }]
+    };
+  }
+
+  /**
+   * Build a Firebase multi-path update that turns one state into another
+   * Covers: lines, boxes, player scores/banked turns, turn, status, specialSquares
+   * @param {object} prev - State before
+   * @param {object} next - State after
+   * @returns {object} Multi-path updates
+   */
+  function getStateUpdates(prev, next) {
+    const updates = {};
+
+    for (const field of ['lines', 'boxes']) {
+      const before = prev[field] || {};
+      const after = next[field] || {};
+      for (const key of Object.keys(after)) {
+        if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+          updates[`${field}/${key}`] = after[key];
+        }
+      }
+      for (const key of Object.keys(before)) {
+        if (after[key] === undefined) updates[`${field}/${key}`] = null;
+      }
+    }
+
+    const prevPlayers = prev.players || {};
+    const nextPlayers = next.players || {};
+    for (const index of Object.keys(nextPlayers)) {
+      const before = prevPlayers[index] || {};
+      const after = nextPlayers[index];
+      if (!after) continue;
+      for (const field of ['score', 'bankedTurns']) {
+        if ((before[field] || 0) !== (after[field] || 0)) {
+          updates[`players/${index}/${field}`] = after[field] || 0;
+        }
+      }
+    }
+
+    for (const field of ['currentPlayerIndex', 'status']) {
+      if (prev[field] !== next[field]) updates[field] = next[field];
+    }
+
+    if (JSON.stringify(prev.specialSquares || {}) !== JSON.stringify(next.specialSquares || {})) {
+      updates.specialSquares = next.specialSquares;
+    }
+
+    return updates;
+  }
+
+  // ============================================
+  // TURN TIMER
+  // Optional clock chosen in the lobby: a limit per move, or a chess-clock
+  // style time bank per player. Deadlines use server timestamps
+  // (turnStartedAt is written with ServerValue.TIMESTAMP on every line or
+  // skip; a sabotage leaves it alone so the player on turn is still charged).
+  // ============================================
+
+  const TURN_TIMER_OPTIONS = [
+    { id: 'off', name: 'No Timer', mode: null, limit: 0 },
+    { id: 'move15', name: '15s per Move', mode: 'move', limit: 15000 },
+    { id: 'move30', name: '30s per Move', mode: 'move', limit: 30000 },
+    { id: 'move60', name: '60s per Move', mode: 'move', limit: 60000 },
+    { id: 'bank120', name: '2 min Bank', mode: 'bank', limit: 120000 },
+    { id: 'bank300', name: '5 min Bank', mode: 'bank', limit: 300000 }
+  ];
+
+  /**
+   * Find the timer option matching a game's turnTimer field
+   * @param {{mode: string, limit: number}|undefined} turnTimer
+   * @returns {object} Option from TURN_TIMER_OPTIONS ('off' if not set or unknown)
+   */
+  function getTurnTimerOption(turnTimer) {
+    if (!turnTimer) return TURN_TIMER_OPTIONS[0];
+    return TURN_TIMER_OPTIONS.find(option => {
+      return option.mode === turnTimer.mode && option.limit === turnTimer.limit;
+    }) || TURN_TIMER_OPTIONS[0];
+  }
+
+  /**
+   * Get a player's remaining time bank
+   * @param {object} state - Game state
+   * @param {number} playerIndex
+   * @returns {number} Milliseconds (the full bank if not yet used)
+   */
+  function getTimeBank(state, playerIndex) {
+    const player = state.players && state.players[playerIndex];
+    if (player && typeof player.timeBank === 'number') return player.timeBank;
+    return state.turnTimer ? state.turnTimer.limit : 0;
+  }
+
+  /**
+   * Check if every player's time bank has run out (bank mode only)
+   * @param {object} state - Game state
+   * @returns {boolean}
+   */
+  function isEveryClockExpired(state) {
+    if (!state.turnTimer || state.turnTimer.mode !== 'bank') return false;
+    for (let i = 0; i < getPlayerCount(state); i++) {
+      if (getTimeBank(state, i) > 0) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Get the server time at which the current player's time runs out
+   * @param {object} state - Game state
+   * @returns {number|null} Timestamp, or null if there is no running clock
+   */
+  function getTurnDeadline(state) {
+    if (!state.turnTimer || state.status !== 'active' || typeof state.turnStartedAt !== 'number') {
+      return null;
+    }
+    if (state.turnTimer.mode === 'move') {
+      return state.turnStartedAt + state.turnTimer.limit;
+    }
+    if (state.turnTimer.mode === 'bank' && !isEveryClockExpired(state)) {
+      return state.turnStartedAt + getTimeBank(state, state.currentPlayerIndex);
+    }
+    return null;
+  }
+
+  /**
+   * Get the time bank left after a move that was made at a given time
+   * @param {object} state - Game state before the move
+   * @param {number} now - Server time of the move
+   * @returns {number|null} Remaining milliseconds, or null if not in bank mode
+   */
+  function getTimeBankAfterMove(state, now) {
+    if (!state.turnTimer || state.turnTimer.mode !== 'bank' || typeof state.turnStartedAt !== 'number') {
+      return null;
+    }
+    const elapsed = Math.max(0, now - state.turnStartedAt);
+    return Math.max(0, getTimeBank(state, state.currentPlayerIndex) - elapsed);
+  }
+
+  const RulesEngine = {
+    DEFAULT_GRID_SIZE,
+    DEFAULT_SETTINGS,
+    SETTINGS_LIMITS,
+    RULE_PRESETS,
+    CUSTOM_PRESET,
+    TURN_TIMER_OPTIONS,
+
+    // Keys
+    getLineKey,
+    getBoxKey,
+    parseLineKey,
+    parsePointKey,
+
+    // Geometry
+    getBoardShape,
+    isBoxOnBoard,
+    isLineOnBoard,
+    getAllBoxKeys,
+    getAllLineKeys,
+    getAllDotKeys,
+    isDotOnBoard,
+    getAdjacentBoxes,
+    getBoxSides,
+    getDotLineKeys,
+    lineTouchesDot,
+
+    // Queries
+    getPlayerCount,
+    getNextPlayerIndex,
+    hasLine,
+    getSpecialSquareType,
+    isLineProhibited,
+    lineUsesAnchoredDot,
+    checkLine,
+    validateMove,
+    getLegalMoves,
+    hasAnyLegalMove,
+    dotHasAvailableLine,
+    isBoxComplete,
+    findCompletedBoxes,
+    getTotalBoxes,
+    isBoardFull,
+
+    // Settings
+    normalizeSettings,
+    getSettings,
+    getPresetSettings,
+    getRulePreset,
+
+    // Transitions
+    placeSpecialSquares,
+    respawnSpecialSquares,
+    applyMove,
+    skipTurn,
+    applySabotage,
+    getStateUpdates,
+
+    // Turn timer
+    getTurnTimerOption,
+    getTimeBank,
+    isEveryClockExpired,
+    getTurnDeadline,
+    getTimeBankAfterMove
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RulesEngine;
+  } else {
+    root.RulesEngine = RulesEngine;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
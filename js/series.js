@@ -0,0 +1,206 @@
+/**
+ * series.js - Multi-game series scoring for Dots and Lines
+ * Links games played back to back (via Rematch) into a best-of-N or
+ * first-to-N series and works out the standings and the champion
+ *
+ * A game in a series carries:
+ *   series: {
+ *     mode: "bestOf",      // "bestOf" = best of target games | "firstTo" = first to target wins
+ *     target: 5,
+ *     results: {           // Earlier games of the series, oldest first
+ *       0: { winners: ["uid1"], players: { uid1: { name, color, score }, ... } }
+ *     }
+ *   }
+ * The game's own result is added when it finishes. Rematches carry the
+ * results forward, or start a fresh series once a champion is crowned.
+ *
+ * Standings rank by games won, then by total boxes. A tied game counts as
+ * played but gives nobody the win. A best-of series still level after its
+ * last scheduled game goes on to deciders until one player is ahead.
+ *
+ * Like rules.js this module is DOM-free and Firebase-free.
+ *
+ * Used by:
+ * - firebase.js: Series picked in the lobby, carried into rematches
+ * - board.js: Series banner and game-over standings
+ * - app.js: Lobby series picker
+ */
+
+(function(root) {
+  'use strict';
+
+  const SERIES_OPTIONS = [
+    { id: 'off', name: 'Single Game', mode: null, target: 0 },
+    { id: 'bestOf3', name: 'Best of 3', mode: 'bestOf', target: 3 },
+    { id: 'bestOf5', name: 'Best of 5', mode: 'bestOf', target: 5 },
+    { id: 'bestOf7', name: 'Best of 7', mode: 'bestOf', target: 7 },
+    { id: 'firstTo3', name: 'First to 3 Wins', mode: 'firstTo', target: 3 },
+    { id: 'firstTo5', name: 'First to 5 Wins', mode: 'firstTo', target: 5 }
+  ];
+
+  /**
+   * Find the option matching a game's series field
+   * @param {{mode: string, target: number}|undefined} series
+   * @returns {object} Option from SERIES_OPTIONS ('off' if not set or unknown)
+   */
+  function getSeriesOption(series) {
+    if (!series) return SERIES_OPTIONS[0];
+    return SERIES_OPTIONS.find(option => {
+      return option.mode === series.mode && option.target === series.target;
+    }) || SERIES_OPTIONS[0];
+  }
+
+  /**
+   * Get how many game wins clinch the series
+   * @param {{mode: string, target: number}} series
+   * @returns {number}
+   */
+  function getWinsNeeded(series) {
+    return series.mode === 'bestOf' ? Math.floor(series.target / 2) + 1 : series.target;
+  }
+
+  /**
+   * Build a game's result from its final scores
+   * @param {object} gameData - Game document (players keyed by seat)
+   * @returns {{winners: string[], players: object}} Winners by player id (several on a tie)
+   */
+  function getGameResult(gameData) {
+    const players = {};
+    Object.values(gameData.players || {}).forEach(player => {
+      if (player && player.id) {
+        players[player.id] = { name: player.name, color: player.color, score: player.score || 0 };
+      }
+    });
+
+    const ids = Object.keys(players);
+    const topScore = ids.length > 0 ? Math.max(...ids.map(id => players[id].score)) : 0;
+    const winners = ids.filter(id => players[id].score === topScore);
+    return { winners, players };
+  }
+
+  /**
+   * Get a series' finished games, oldest first
+   * @param {object} series
+   * @param {object} [currentResult] - The current game's result, once it has finished
+   * @returns {Array<object>} Results
+   */
+  function getResults(series, currentResult) {
+    const stored = series && series.results ? series.results : {};
+    const results = Object.keys(stored)
+      .sort((a, b) => parseInt(a, 10) - parseInt(b, 10))
+      .map(key => stored[key]);
+    if (currentResult) {
+      results.push(currentResult);
+    }
+    return results;
+  }
+
+  /**
+   * Compare two standings rows: more wins first, then more boxes
+   * @returns {number} Negative if a ranks above b, 0 if level
+   */
+  function compareStandings(a, b) {
+    return (b.wins - a.wins) || (b.boxes - a.boxes);
+  }
+
+  /**
+   * Add up wins and boxes for everyone who has played in the series
+   * @param {Array<object>} results - From getResults
+   * @returns {Array<{id: string, name: string, color: string, wins: number, boxes: number, games: number}>}
+   *   Best first
+   */
+  function getStandings(results) {
+    const rows = {};
+    results.forEach(result => {
+      const players = result.players || {};
+      const winners = result.winners || [];
+      Object.keys(players).forEach(id => {
+        const player = players[id];
+        if (!rows[id]) {
+          rows[id] = { id, name: player.name, color: player.color, wins: 0, boxes: 0, games: 0 };
+        }
+        // Latest name and color win (players can change them between games)
+        rows[id].name = player.name;
+        rows[id].color = player.color;
+        rows[id].boxes += player.score || 0;
+        rows[id].games++;
+        if (winners.length === 1 && winners[0] === id) {
+          rows[id].wins++;
+        }
+      });
+    });
+    return Object.values(rows).sort(compareStandings);
+  }
+
+  /**
+   * Work out where a series stands
+   * @param {object} series - The game's series field
+   * @param {object} [currentResult] - The current game's result, once it has finished
+   * @returns {{gameNumber: number, standings: Array<object>, finished: boolean, champion: object|null}}
+   *   gameNumber is the number of the current game
+   */
+  function getSeriesStatus(series, currentResult) {
+    const results = getResults(series, currentResult);
+    const standings = getStandings(results);
+    const gameNumber = getResults(series).length + 1;
+    const leader = standings[0] || null;
+    const runnerUp = standings[1] || null;
+
+    let finished = false;
+    if (leader && leader.wins >= getWinsNeeded(series)) {
+      finished = true;
+    } else if (leader && series.mode === 'bestOf' && results.length >= series.target) {
+      // Every scheduled game played: boxes break a tie on wins, else play a decider
+      finished = !runnerUp || compareStandings(leader, runnerUp) < 0;
+    }
+
+    return { gameNumber, standings, finished, champion: finished ? leader : null };
+  }
+
+  /**
+   * Get the series field for a rematch of a finished game
+   * @param {object} gameData - Finished game document
+   * @returns {object|null} Series with this game's result added, a fresh series
+   *   of the same kind if this game crowned a champion, or null if not in a series
+   */
+  function getNextSeries(gameData) {
+    const series = gameData.series;
+    if (!series || !series.mode) return null;
+
+    const result = getGameResult(gameData);
+    if (getSeriesStatus(series, result).finished) {
+      return { mode: series.mode, target: series.target };
+    }
+    return { mode: series.mode, target: series.target, results: getResults(series, result) };
+  }
+
+  /**
+   * Describe the current game's place in its series, e.g. "Best of 5 - Game 2"
+   * @param {object} series
+   * @returns {string}
+   */
+  function describeSeriesGame(series) {
+    const option = getSeriesOption(series);
+    const gameNumber = getResults(series).length + 1;
+    const decider = series.mode === 'bestOf' && gameNumber > series.target;
+    return `${option.name} - ${decider ? 'Decider' : 'Game ' + gameNumber}`;
+  }
+
+  const Series = {
+    SERIES_OPTIONS,
+    getSeriesOption,
+    getWinsNeeded,
+    getGameResult,
+    getResults,
+    getStandings,
+    getSeriesStatus,
+    getNextSeries,
+    describeSeriesGame
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Series;
+  } else {
+    root.Series = Series;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
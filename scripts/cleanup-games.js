@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+
+/**
+ * Game Cleanup
+ *
+ * Removes games whose lastActivity is older than a threshold, so games/ doesn't
+ * grow forever. Finished games first get a compact summary under
+ * gameArchive/{gameId} (final scores and winners, for stats); abandoned waiting
+ * and active games are simply deleted. Each game is removed together with its
+ * Browse Games listing and its reserved code in one multi-path write, and
+ * listings and code reservations left behind by games that no longer exist
+ * are cleared too (a code is free for new games once its gameCodes entry is gone).
+ *
+ * Talks to the Realtime Database REST API with Node's built-in http/https.
+ * No dependencies.
+ *
+ * Usage: node scripts/cleanup-games.js [options]
+ *   --older-than <age>   Remove games untouched for this long: 30m, 12h, 7d (default 7d)
+ *   --dry-run            Report what would be removed without changing anything
+ *   --emulator           Use the local Database emulator (see firebase.json)
+ *   --limit <n>          Most games to look at in one run (default 500)
+ *
+ * Credentials (not needed with --emulator), either of:
+ *   FIREBASE_DATABASE_SECRET   Legacy database secret (Project settings > Service accounts)
+ *   FIREBASE_ACCESS_TOKEN      OAuth token, e.g. from `gcloud auth print-access-token`
+ */
+
+const http = require('http');
+const https = require('https');
+
+const Series = require('../js/series.js');
+const RulesEngine = require('../js/rules.js');
+
+// Same database as firebaseConfig in js/firebase.js
+const DATABASE_URL = 'https://dots-and-lines-game-default-rtdb.firebaseio.com';
+const DATABASE_NAMESPACE = 'dots-and-lines-game-default-rtdb';
+const EMULATOR_URL = 'http://127.0.0.1:9000'; // DATABASE_EMULATOR_PORT in js/firebase.js
+
+const DEFAULT_MAX_AGE = '7d';
+const DEFAULT_LIMIT = 500;
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const REPORT_LABEL_WIDTH = 15;
+
+/**
+ * Read the command line
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{maxAge: number, maxAgeText: string, dryRun: boolean, emulator: boolean, limit: number}}
+ */
+function parseArgs(argv) {
+  const options = {
+    maxAgeText: DEFAULT_MAX_AGE,
+    dryRun: false,
+    emulator: false,
+    limit: DEFAULT_LIMIT
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--emulator') {
+      options.emulator = true;
+    } else if (arg === '--older-than') {
+      options.maxAgeText = argv[++i];
+    } else if (arg === '--limit') {
+      options.limit = parseInt(argv[++i], 10);
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  options.maxAge = parseDuration(options.maxAgeText);
+  if (!Number.isInteger(options.limit) || options.limit < 1) {
+    throw new Error('--limit must be a positive number');
+  }
+  return options;
+}
+
+/**
+ * Parse an age like 30m, 12h or 7d
+ * @param {string} text
+ * @returns {number} Milliseconds
+ */
+function parseDuration(text) {
+  const match = /^(\d+)([mhd])$/.exec(text || '');
+  if (!match) {
+    throw new Error(`--older-than must look like 30m, 12h or 7d (got "${text}")`);
+  }
+  return parseInt(match[1], 10) * DURATION_UNITS[match[2]];
+}
+
+// ============================================
+// REST API
+// ============================================
+
+/**
+ * Build the database connection for the chosen target
+ * @param {boolean} emulator
+ * @returns {{baseUrl: string, query: object, headers: object}}
+ */
+function getConnection(emulator) {
+  if (emulator) {
+    // The emulator treats "owner" as an admin token and needs the namespace
+    return {
+      baseUrl: EMULATOR_URL,
+      query: { ns: DATABASE_NAMESPACE },
+      headers: { Authorization: 'Bearer owner' }
+    };
+  }
+
+  if (process.env.FIREBASE_DATABASE_SECRET) {
+    return { baseUrl: DATABASE_URL, query: { auth: process.env.FIREBASE_DATABASE_SECRET }, headers: {} };
+  }
+  if (process.env.FIREBASE_ACCESS_TOKEN) {
+    return { baseUrl: DATABASE_URL, query: { access_token: process.env.FIREBASE_ACCESS_TOKEN }, headers: {} };
+  }
+  throw new Error('Set FIREBASE_DATABASE_SECRET or FIREBASE_ACCESS_TOKEN, or use --emulator');
+}
+
+/**
+ * Send one REST request
+ * @param {object} connection - From getConnection
+ * @param {string} method - 'GET' or 'PATCH'
+ * @param {string} path - Database path, e.g. 'games'
+ * @param {object} [params] - Extra query parameters (values are sent as given)
+ * @param {object} [body] - JSON body
+ * @returns {Promise<any>} Parsed response
+ */
+function request(connection, method, path, params = {}, body) {
+  const url = new URL(`${connection.baseUrl}/${path}.json`);
+  Object.entries({ ...connection.query, ...params }).forEach(([key, value]) => {
+    url.searchParams.set(key, value);
+  });
+  const payload = body === undefined ? null : JSON.stringify(body);
+  const transport = url.protocol === 'http:' ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(url, {
+      method,
+      headers: {
+        ...connection.headers,
+        ...(payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {})
+      }
+    }, res => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => {
+        let data = null;
+        try {
+          data = text ? JSON.parse(text) : null;
+        } catch (error) {
+          reject(new Error(`${method} /${path}: unexpected response (${res.statusCode})`));
+          return;
+        }
+        if (res.statusCode >= 400) {
+          reject(new Error(`${method} /${path}: ${(data && data.error) || res.statusCode}`));
+          return;
+        }
+        resolve(data);
+      });
+    });
+    req.setTimeout(30000, () => req.destroy(new Error(`${method} /${path}: timed out`)));
+    req.on('error', reject);
+    if (payload) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
+// ============================================
+// CLEANUP
+// ============================================
+
+/**
+ * Get the time a game was last touched
+ * @param {object} gameData
+ * @returns {number} Milliseconds since the epoch (0 if unknown)
+ */
+function getLastActivity(gameData) {
+  return gameData.lastActivity || gameData.createdAt || 0;
+}
+
+/**
+ * Build the archived summary of a finished game
+ * @param {object} gameData - Finished game document
+ * @returns {object} Summary for gameArchive/{gameId}
+ */
+function buildSummary(gameData) {
+  const result = Series.getGameResult(gameData);
+  const settings = RulesEngine.getSettings(gameData);
+  const summary = {
+    code: gameData.code,
+    createdAt: gameData.createdAt || null,
+    finishedAt: getLastActivity(gameData),
+    layout: gameData.layout || null,
+    boardWidth: gameData.boardWidth || null,
+    boardHeight: gameData.boardHeight || null,
+    preset: settings.preset,
+    moveCount: Object.keys(gameData.moves || {}).length,
+    winners: result.winners,
+    players: result.players
+  };
+  if (gameData.turnTimer) {
+    summary.turnTimer = { mode: gameData.turnTimer.mode, limit: gameData.turnTimer.limit };
+  }
+  if (gameData.series && gameData.series.mode) {
+    summary.series = { mode: gameData.series.mode, target: gameData.series.target };
+  }
+  if (gameData.rematchOf) {
+    summary.rematchOf = gameData.rematchOf.gameId;
+  }
+  return summary;
+}
+
+/**
+ * Describe a game for the report, e.g. "Alice 12, Bob 9"
+ * @param {object} gameData
+ * @returns {string}
+ */
+function describePlayers(gameData) {
+  const players = Object.values(gameData.players || {}).filter(Boolean);
+  if (players.length === 0) return 'no players';
+  return players.map(player => `${player.name} ${player.score || 0}`).join(', ');
+}
+
+/**
+ * Format how long ago a time was, e.g. "3d ago"
+ * @param {number} time
+ * @returns {string}
+ */
+function formatAge(time) {
+  if (!time) return 'never active';
+  const age = Date.now() - time;
+  if (age >= DURATION_UNITS.d) return `${Math.floor(age / DURATION_UNITS.d)}d ago`;
+  if (age >= DURATION_UNITS.h) return `${Math.floor(age / DURATION_UNITS.h)}h ago`;
+  return `${Math.floor(age / DURATION_UNITS.m)}m ago`;
+}
+
+/**
+ * Archive or delete every game untouched since the cutoff
+ * @param {object} connection
+ * @param {object} options - From parseArgs
+ * @returns {Promise<{archived: number, deleted: number, failed: number}>}
+ */
+async function cleanupGames(connection, options) {
+  const cutoff = Date.now() - options.maxAge;
+  // Games without lastActivity sort first, so endAt picks them up too
+  const games = await request(connection, 'GET', 'games', {
+    orderBy: '"lastActivity"',
+    endAt: cutoff,
+    limitToFirst: options.limit
+  }) || {};
+
+  const totals = { archived: 0, deleted: 0, failed: 0 };
+  for (const [gameId, gameData] of Object.entries(games)) {
+    if (!gameData || getLastActivity(gameData) > cutoff) continue;
+
+    const finished = gameData.status === 'finished';
+    const updates = {
+      [`games/${gameId}`]: null,
+      [`publicLobbies/${gameId}`]: null,
+      [`gameCodes/${gameId.toUpperCase()}`]: null
+    };
+    if (finished) {
+      updates[`gameArchive/${gameId}`] = buildSummary(gameData);
+    }
+
+    if (!options.dryRun) {
+      try {
+        await request(connection, 'PATCH', '', {}, updates);
+      } catch (error) {
+        console.error(`${'failed'.padEnd(REPORT_LABEL_WIDTH)}${gameId}: ${error.message}`);
+        totals.failed++;
+        continue;
+      }
+    }
+
+    const label = finished ? 'archived' : 'deleted';
+    console.log([
+      (options.dryRun ? `would ${label.slice(0, -1)}` : label).padEnd(REPORT_LABEL_WIDTH),
+      gameId.padEnd(8),
+      (gameData.status || 'unknown').padEnd(9),
+      formatAge(getLastActivity(gameData)).padEnd(14),
+      describePlayers(gameData)
+    ].join(''));
+    totals[label]++;
+  }
+  return totals;
+}
+
+/**
+ * Remove Browse Games listings whose game no longer exists
+ * @param {object} connection
+ * @param {object} options - From parseArgs
+ * @returns {Promise<number>} Listings removed (or that would be)
+ */
+async function cleanupListings(connection, options) {
+  const listings = await request(connection, 'GET', 'publicLobbies', { shallow: true }) || {};
+  let removed = 0;
+
+  for (const gameId of Object.keys(listings)) {
+    const status = await request(connection, 'GET', `games/${gameId}/status`);
+    if (status === 'waiting') continue;
+
+    if (!options.dryRun) {
+      await request(connection, 'PATCH', '', {}, { [`publicLobbies/${gameId}`]: null });
+    }
+    const label = options.dryRun ? 'would unlist' : 'unlisted';
+    console.log(`${label.padEnd(REPORT_LABEL_WIDTH)}${gameId.padEnd(8)}game ${status || 'gone'}`);
+    removed++;
+  }
+  return removed;
+}
+
+/**
+ * Free codes reserved before the cutoff whose game was never created (or is gone)
+ * @param {object} connection
+ * @param {object} options - From parseArgs
+ * @returns {Promise<number>} Codes freed (or that would be)
+ */
+async function cleanupCodes(connection, options) {
+  const cutoff = Date.now() - options.maxAge;
+  const codes = await request(connection, 'GET', 'gameCodes', {
+    orderBy: '"reservedAt"',
+    endAt: cutoff,
+    limitToFirst: options.limit
+  }) || {};
+  let freed = 0;
+
+  for (const code of Object.keys(codes)) {
+    const gameCode = await request(connection, 'GET', `games/${code.toLowerCase()}/code`);
+    if (gameCode) continue;
+
+    if (!options.dryRun) {
+      await request(connection, 'PATCH', '', {}, { [`gameCodes/${code}`]: null });
+    }
+    const label = options.dryRun ? 'would free' : 'freed';
+    console.log(`${label.padEnd(REPORT_LABEL_WIDTH)}${code.padEnd(8)}no game`);
+    freed++;
+  }
+  return freed;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const connection = getConnection(options.emulator);
+
+  console.log(`Cleaning up games untouched for ${options.maxAgeText} on ${options.emulator ? 'the emulator' : DATABASE_URL}${options.dryRun ? ' (dry run)' : ''}`);
+
+  const totals = await cleanupGames(connection, options);
+  const unlisted = await cleanupListings(connection, options);
+  const freed = await cleanupCodes(connection, options);
+
+  const failed = totals.failed ? `, ${totals.failed} failed` : '';
+  console.log(`\n${options.dryRun ? 'Dry run (nothing changed)' : 'Done'}: ` +
+    `${totals.archived} finished games archived, ${totals.deleted} abandoned games deleted, ` +
+    `${unlisted} stale listings removed, ${freed} unused codes freed${failed}`);
+  if (totals.failed) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error('Cleanup failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+
+/**
+ * App Icon Generator
+ *
+ * Renders the PWA icons in icons/ from the same drawing as a golden square on
+ * the board: four dots around a gold inset square with the drawStar() star
+ * (see drawSpecialSquareIndicators and drawIconStar in js/board.js).
+ *
+ * Node has no canvas, so the shapes are rasterized here with 4x4
+ * supersampling and written as PNG with the built-in zlib. No dependencies.
+ *
+ * Usage: node scripts/generate-icons.js
+ * Re-run after changing the drawing, then bump CACHE_VERSION in sw.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const ICONS_DIR = path.join(__dirname, '..', 'icons');
+
+// Colors from css/styles.css and board.js
+const BG_COLOR = '#1A1A2E'; // --bg-primary
+const DOT_COLOR = '#FFFFFF'; // --dot-color
+const STROKE_COLOR = '#000000';
+const STAR_COLOR = '#BFA100'; // 25% darker gold, as drawStar() is called for golden squares
+const GOLDEN_FILL = { color: '#FFD700', alpha: 0.25 }; // rgba(255, 215, 0, 0.25)
+
+const SUPERSAMPLE = 4;
+
+// Maskable icons must keep everything inside the central 80% circle
+const ICONS = [
+  { file: 'icon-192.png', size: 192, boxScale: 0.7 },
+  { file: 'icon-512.png', size: 512, boxScale: 0.7 },
+  { file: 'icon-maskable-512.png', size: 512, boxScale: 0.5 },
+  { file: 'apple-touch-icon.png', size: 180, boxScale: 0.7 }
+];
+
+function parseColor(hex, alpha = 1) {
+  return {
+    r: parseInt(hex.slice(1, 3), 16),
+    g: parseInt(hex.slice(3, 5), 16),
+    b: parseInt(hex.slice(5, 7), 16),
+    a: alpha
+  };
+}
+
+// ============================================
+// SHAPES
+// Each layer is { color, contains(x, y) }, painted in order
+// ============================================
+
+/**
+ * Star points in the same order as drawStar() in board.js
+ */
+function getStarPoints(cx, cy, spikes, outerRadius, innerRadius) {
+  const points = [];
+  let rot = Math.PI / 2 * 3;
+  const step = Math.PI / spikes;
+
+  for (let i = 0; i < spikes; i++) {
+    points.push([cx + Math.cos(rot) * outerRadius, cy + Math.sin(rot) * outerRadius]);
+    rot += step;
+    points.push([cx + Math.cos(rot) * innerRadius, cy + Math.sin(rot) * innerRadius]);
+    rot += step;
+  }
+  return points;
+}
+
+function pointInPolygon(points, x, y) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function distanceToSegment(x, y, [x1, y1], [x2, y2]) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const t = Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / (dx * dx + dy * dy)));
+  return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+}
+
+function polygonFill(points, color) {
+  return { color, contains: (x, y) => pointInPolygon(points, x, y) };
+}
+
+function polygonStroke(points, width, color) {
+  return {
+    color,
+    contains: (x, y) => points.some((point, i) => {
+      return distanceToSegment(x, y, point, points[(i + 1) % points.length]) <= width / 2;
+    })
+  };
+}
+
+function circle(cx, cy, radius, color) {
+  return { color, contains: (x, y) => Math.hypot(x - cx, y - cy) <= radius };
+}
+
+function rect(x1, y1, x2, y2, color) {
+  return { color, contains: (x, y) => x >= x1 && x <= x2 && y >= y1 && y <= y2 };
+}
+
+/**
+ * Build the icon drawing for a given size
+ * @param {number} size - Icon size in pixels
+ * @param {number} boxScale - Box size as a fraction of the icon
+ * @returns {Array<object>} Layers
+ */
+function buildIconLayers(size, boxScale) {
+  const center = size / 2;
+  const box = size * boxScale;
+  const left = center - box / 2;
+  const right = center + box / 2;
+
+  // Same proportions as the board: star radius = box * 0.25, inset ~10% of the box
+  const starRadius = box * 0.25;
+  const inset = box * 0.1;
+  const dotRadius = box * 0.07;
+  const strokeWidth = Math.max(1, starRadius / 15); // 1px at the 60px preview size
+
+  const starPoints = getStarPoints(center, center, 5, starRadius, starRadius * 0.5);
+  const layers = [
+    rect(left + inset, left + inset, right - inset, right - inset, parseColor(GOLDEN_FILL.color, GOLDEN_FILL.alpha)),
+    polygonFill(starPoints, parseColor(STAR_COLOR)),
+    polygonStroke(starPoints, strokeWidth, parseColor(STROKE_COLOR))
+  ];
+
+  [[left, left], [right, left], [left, right], [right, right]].forEach(([x, y]) => {
+    layers.push(circle(x, y, dotRadius + strokeWidth / 2, parseColor(STROKE_COLOR)));
+    layers.push(circle(x, y, dotRadius - strokeWidth / 2, parseColor(DOT_COLOR)));
+  });
+
+  return layers;
+}
+
+/**
+ * Rasterize layers onto an opaque background
+ * @returns {Buffer} RGBA pixels
+ */
+function rasterize(size, layers) {
+  const pixels = Buffer.alloc(size * size * 4);
+  const background = parseColor(BG_COLOR);
+
+  for (let py = 0; py < size; py++) {
+    for (let px = 0; px < size; px++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+
+      for (let sy = 0; sy < SUPERSAMPLE; sy++) {
+        for (let sx = 0; sx < SUPERSAMPLE; sx++) {
+          const x = px + (sx + 0.5) / SUPERSAMPLE;
+          const y = py + (sy + 0.5) / SUPERSAMPLE;
+          let color = { ...background };
+
+          layers.forEach(layer => {
+            if (!layer.contains(x, y)) return;
+            const a = layer.color.a;
+            color = {
+              r: layer.color.r * a + color.r * (1 - a),
+              g: layer.color.g * a + color.g * (1 - a),
+              b: layer.color.b * a + color.b * (1 - a)
+            };
+          });
+
+          r += color.r;
+          g += color.g;
+          b += color.b;
+        }
+      }
+
+      const samples = SUPERSAMPLE * SUPERSAMPLE;
+      const offset = (py * size + px) * 4;
+      pixels[offset] = Math.round(r / samples);
+      pixels[offset + 1] = Math.round(g / samples);
+      pixels[offset + 2] = Math.round(b / samples);
+      pixels[offset + 3] = 255;
+    }
+  }
+
+  return pixels;
+}
+
+// ============================================
+// PNG ENCODING
+// ============================================
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+function encodePng(size, pixels) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+  header[10] = 0; // compression
+  header[11] = 0; // filter
+  header[12] = 0; // no interlace
+
+  // Each scanline starts with filter type 0 (none)
+  const rowLength = size * 4;
+  const raw = Buffer.alloc((rowLength + 1) * size);
+  for (let y = 0; y < size; y++) {
+    raw[y * (rowLength + 1)] = 0;
+    pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function main() {
+  if (!fs.existsSync(ICONS_DIR)) {
+    fs.mkdirSync(ICONS_DIR);
+  }
+
+  ICONS.forEach(({ file, size, boxScale }) => {
+    const pixels = rasterize(size, buildIconLayers(size, boxScale));
+    const png = encodePng(size, pixels);
+    fs.writeFileSync(path.join(ICONS_DIR, file), png);
+    console.log(`✓ icons/${file} (${size}x${size}, ${png.length} bytes)`);
+  });
+}
+
+main();
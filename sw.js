@@ -0,0 +1,113 @@
+/**
+ * sw.js - Service worker for Dots and Lines
+ * Precaches the app shell so the menu and Play Locally work with no connectivity
+ *
+ * Caching:
+ * - App shell (index.html, css, js, icons): precached into a versioned cache,
+ *   served network-first. Every successful load refreshes the cached copy, so
+ *   a deploy is picked up on the next online launch even if CACHE_VERSION was
+ *   not bumped; the cache is only used when the network fails. Precaching
+ *   bypasses the HTTP cache (firebase.json lets browsers keep js/css for five
+ *   minutes). Still bump CACHE_VERSION when these files change, so installed
+ *   apps replace the whole shell at once and drop the old cache on activate.
+ * - Firebase SDK from gstatic: versioned by URL, cached the first time it loads
+ * - Everything else (Realtime Database, Auth): straight to the network
+ *
+ * Registered by app.js.
+ */
+
+const CACHE_VERSION = 'v22';
+const CACHE_NAME = `dots-and-lines-${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'css/styles.css',
+  'js/rules.js',
+  'js/layouts.js',
+  'js/movelog.js',
+  'js/series.js',
+  'js/gamecodes.js',
+  'js/bots.js',
+  'js/firebase.js',
+  'js/game.js',
+  'js/lobby.js',
+  'js/board.js',
+  'js/replay.js',
+  'js/chat.js',
+  'js/app.js',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'icons/icon-maskable-512.png',
+  'icons/apple-touch-icon.png'
+];
+
+// Firebase SDK scripts loaded by index.html (the version is part of the URL)
+const SDK_URLS = [
+  'https://www.gstatic.com/firebasejs/10.7.1/firebase-app-compat.js',
+  'https://www.gstatic.com/firebasejs/10.7.1/firebase-database-compat.js',
+  'https://www.gstatic.com/firebasejs/10.7.1/firebase-auth-compat.js'
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })));
+
+    // The SDK is optional for offline play - don't fail the install without it
+    try {
+      await cache.addAll(SDK_URLS);
+    } catch (error) {
+      console.warn('[SW] Firebase SDK not precached:', error);
+    }
+
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('dots-and-lines-') && name !== CACHE_NAME)
+      .map(name => caches.delete(name)));
+
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const isAppFile = url.origin === self.location.origin;
+  const isSdk = SDK_URLS.includes(request.url);
+  if (!isAppFile && !isSdk) return;
+
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE_NAME);
+
+    // Any page (including ?join=CODE links) is the single-page app shell
+    const cacheKey = request.mode === 'navigate' ? 'index.html' : request;
+
+    // The SDK never changes under its URL: cache-first
+    if (isSdk) {
+      const cached = await cache.match(cacheKey);
+      if (cached) return cached;
+    }
+
+    try {
+      const response = await fetch(request);
+      if (response.ok && (isSdk || await cache.match(cacheKey))) {
+        cache.put(cacheKey, response.clone());
+      }
+      return response;
+    } catch (error) {
+      const cached = await cache.match(cacheKey, { ignoreSearch: true });
+      if (cached) return cached;
+      throw error;
+    }
+  })());
+});
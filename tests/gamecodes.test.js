@@ -0,0 +1,87 @@
+/**
+ * gamecodes.test.js - Picking a free game code
+ * Drives GameCodes.allocateCode with a seeded generator and a fake tryReserve,
+ * so the same seed replays the same codes
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const GameCodes = require('../js/gamecodes.js');
+
+const SEED = 7;
+
+/**
+ * The codes an allocator with SEED tries, in order, when every one collides
+ * @returns {string[]}
+ */
+function codesTried() {
+  const random = GameCodes.createCodeGenerator(SEED);
+  const codes = [];
+  for (let length = GameCodes.MIN_CODE_LENGTH; length <= GameCodes.MAX_CODE_LENGTH; length++) {
+    for (let attempt = 0; attempt < GameCodes.ATTEMPTS_PER_LENGTH; attempt++) {
+      codes.push(GameCodes.generateCode(length, random));
+    }
+  }
+  return codes;
+}
+
+/**
+ * Allocate a code with SEED while some codes are taken
+ * @param {Set<string>} taken
+ * @returns {Promise<{code: string, collisions: string[]}>}
+ */
+async function allocate(taken) {
+  const collisions = [];
+  const code = await GameCodes.allocateCode(async candidate => !taken.has(candidate), {
+    random: GameCodes.createCodeGenerator(SEED),
+    onCollision: candidate => collisions.push(candidate)
+  });
+  return { code, collisions };
+}
+
+describe('allocateCode', () => {
+  it('returns the first code when it is free', async () => {
+    const { code, collisions } = await allocate(new Set());
+    assert.equal(code, codesTried()[0]);
+    assert.equal(code.length, GameCodes.MIN_CODE_LENGTH);
+    assert.ok(GameCodes.isValidCode(code));
+    assert.deepEqual(collisions, []);
+  });
+
+  it('skips taken codes', async () => {
+    const tried = codesTried();
+    const { code, collisions } = await allocate(new Set(tried.slice(0, 2)));
+    assert.equal(code, tried[2]);
+    assert.equal(code.length, 6);
+    assert.deepEqual(collisions, tried.slice(0, 2));
+  });
+
+  it('moves on to 7 characters after 4 collisions at 6', async () => {
+    const tried = codesTried();
+    const { code, collisions } = await allocate(new Set(tried.slice(0, 4)));
+    assert.equal(code, tried[4]);
+    assert.equal(code.length, 7);
+    assert.equal(collisions.length, 4);
+  });
+
+  it('moves on to 8 characters after 4 collisions at 7', async () => {
+    const tried = codesTried();
+    const { code, collisions } = await allocate(new Set(tried.slice(0, 8)));
+    assert.equal(code, tried[8]);
+    assert.equal(code.length, 8);
+    assert.deepEqual(collisions.map(taken => taken.length), [6, 6, 6, 6, 7, 7, 7, 7]);
+  });
+
+  it('gives up when every code is taken', async () => {
+    let attempts = 0;
+    const tryReserve = async () => {
+      attempts++;
+      return false;
+    };
+    await assert.rejects(
+      GameCodes.allocateCode(tryReserve, { random: GameCodes.createCodeGenerator(SEED) }),
+      /Could not find a free game code/
+    );
+    assert.equal(attempts, 12);
+  });
+});
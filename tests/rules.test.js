@@ -0,0 +1,218 @@
+/**
+ * rules.test.js - Moves, skips and sabotage in the rules engine
+ * Drives RulesEngine.applyMove, skipTurn and applySabotage on small boards,
+ * including one with a box masked out
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RulesEngine = require('../js/rules.js');
+
+/**
+ * An active 2x2 game between seats 0 (on turn) and 1
+ * Box 0,0 has the sides 0,0,h (top), 1,0,h (bottom), 0,0,v (left) and 0,1,v (right)
+ * @param {object} [overrides] - Fields to replace
+ * @returns {object} Game state
+ */
+function makeState(overrides = {}) {
+  return {
+    status: 'active',
+    boardWidth: 2,
+    boardHeight: 2,
+    players: {
+      0: { score: 0, bankedTurns: 0 },
+      1: { score: 0, bankedTurns: 0 }
+    },
+    playerCount: 2,
+    currentPlayerIndex: 0,
+    lines: {},
+    boxes: {},
+    specialSquares: { golden: [], penalty: [] },
+    ...overrides
+  };
+}
+
+/**
+ * Build a line move from its key
+ * @param {string} lineKey - "row,col,h|v"
+ * @param {number} playerIndex
+ * @returns {{row: number, col: number, direction: string, playerIndex: number}}
+ */
+function line(lineKey, playerIndex = 0) {
+  const [row, col, direction] = lineKey.split(',');
+  return { row: Number(row), col: Number(col), direction, playerIndex };
+}
+
+/**
+ * Event types in the order applyMove returned them
+ * @param {Array<object>} events
+ * @returns {string[]}
+ */
+function eventTypes(events) {
+  return events.map(event => event.type);
+}
+
+describe('applyMove', () => {
+  it('draws the line and passes the turn when no box closes', () => {
+    const state = makeState();
+    const result = RulesEngine.applyMove(state, line('0,0,h'));
+
+    assert.equal(result.ok, true);
+    assert.equal(result.state.lines['0,0,h'], 0);
+    assert.equal(result.state.currentPlayerIndex, 1);
+    assert.deepEqual(eventTypes(result.events), ['line', 'turn']);
+    assert.deepEqual(state.lines, {});
+  });
+
+  it('claims a closed box, scores it and keeps the turn', () => {
+    const state = makeState({ lines: { '0,0,h': 1, '1,0,h': 1, '0,0,v': 1 } });
+    const result = RulesEngine.applyMove(state, line('0,1,v'));
+
+    assert.deepEqual(result.state.boxes['0,0'], { ownerId: 0, type: 'normal' });
+    assert.equal(result.state.players[0].score, 1);
+    assert.equal(result.state.currentPlayerIndex, 0);
+    assert.deepEqual(eventTypes(result.events), ['line', 'box']);
+  });
+
+  it('claims both boxes a line closes', () => {
+    const state = makeState({
+      lines: { '0,0,h': 1, '1,0,h': 1, '0,0,v': 1, '0,1,h': 1, '1,1,h': 1, '0,2,v': 1 }
+    });
+    const result = RulesEngine.applyMove(state, line('0,1,v'));
+
+    assert.deepEqual(Object.keys(result.state.boxes).sort(), ['0,0', '0,1']);
+    assert.equal(result.state.players[0].score, 2);
+    assert.equal(result.state.currentPlayerIndex, 0);
+  });
+
+  it('banks a turn for a golden square and spends it on the next move that closes nothing', () => {
+    const state = makeState({
+      lines: { '0,0,h': 1, '1,0,h': 1, '0,0,v': 1 },
+      specialSquares: { golden: ['0,0'], penalty: [] }
+    });
+    const golden = RulesEngine.applyMove(state, line('0,1,v'), { random: () => 0 });
+
+    assert.equal(golden.state.players[0].bankedTurns, 1);
+    assert.equal(golden.state.currentPlayerIndex, 0);
+    assert.deepEqual(eventTypes(golden.events), ['line', 'box', 'golden', 'respawn']);
+    assert.equal(golden.state.specialSquares.golden.length, 1);
+    assert.notEqual(golden.state.specialSquares.golden[0], '0,0');
+
+    const banked = RulesEngine.applyMove(golden.state, line('2,0,h'));
+    assert.equal(banked.state.players[0].bankedTurns, 0);
+    assert.equal(banked.state.currentPlayerIndex, 0);
+    assert.deepEqual(eventTypes(banked.events), ['line', 'bankedTurnUsed']);
+  });
+
+  it('passes the turn after a penalty square even though a box closed', () => {
+    const state = makeState({
+      lines: { '0,0,h': 1, '1,0,h': 1, '0,0,v': 1 },
+      specialSquares: { golden: [], penalty: ['0,0'] }
+    });
+    const result = RulesEngine.applyMove(state, line('0,1,v'), { random: () => 0 });
+
+    assert.equal(result.state.players[0].score, 1);
+    assert.equal(result.state.currentPlayerIndex, 1);
+    assert.deepEqual(eventTypes(result.events), ['line', 'box', 'penalty', 'respawn', 'turn']);
+  });
+
+  it('refuses a move out of turn or on a drawn line, leaving the state alone', () => {
+    const state = makeState({ lines: { '0,0,h': 1 } });
+
+    const outOfTurn = RulesEngine.applyMove(state, line('0,1,h', 1));
+    assert.equal(outOfTurn.ok, false);
+    assert.equal(outOfTurn.reason, 'not-your-turn');
+    assert.equal(outOfTurn.state, state);
+
+    const drawn = RulesEngine.applyMove(state, line('0,0,h'));
+    assert.equal(drawn.ok, false);
+    assert.equal(drawn.reason, 'line-exists');
+    assert.deepEqual(drawn.events, []);
+  });
+
+  describe('on a masked board', () => {
+    // 2x2 with box 1,1 cut out: three boxes, and the lines around 1,1 alone don't exist
+    const masked = overrides => makeState({ disabledBoxes: { '1,1': true }, ...overrides });
+
+    it('refuses a line that only borders the masked box', () => {
+      const result = RulesEngine.applyMove(masked(), line('2,1,h'));
+      assert.equal(result.ok, false);
+      assert.equal(result.reason, 'off-board');
+    });
+
+    it('closes only the box on the board side of a line along the mask', () => {
+      const state = masked({ lines: { '1,0,h': 1, '2,0,h': 1, '1,0,v': 1 } });
+      const result = RulesEngine.applyMove(state, line('1,1,v'));
+
+      assert.deepEqual(Object.keys(result.state.boxes), ['1,0']);
+      assert.equal(result.state.players[0].score, 1);
+      assert.equal(result.state.currentPlayerIndex, 0);
+    });
+
+    it('ends the game once every box left on the board is claimed', () => {
+      const state = masked({
+        lines: { '1,0,h': 1, '2,0,h': 1, '1,0,v': 1 },
+        boxes: { '0,0': { ownerId: 1, type: 'normal' }, '0,1': { ownerId: 1, type: 'normal' } }
+      });
+      const result = RulesEngine.applyMove(state, line('1,1,v'));
+
+      assert.equal(result.state.status, 'finished');
+      assert.deepEqual(eventTypes(result.events), ['line', 'box', 'gameOver']);
+    });
+  });
+});
+
+describe('skipTurn', () => {
+  it('passes the turn to the next seat, wrapping after the last', () => {
+    const state = makeState({
+      players: { 0: { score: 0 }, 1: { score: 0 }, 2: { score: 0 } },
+      playerCount: 3,
+      currentPlayerIndex: 1,
+      lines: { '0,0,h': 0 }
+    });
+
+    const first = RulesEngine.skipTurn(state);
+    assert.equal(first.state.currentPlayerIndex, 2);
+    assert.deepEqual(first.events, [{ type: 'turn', from: 1, to: 2 }]);
+    assert.deepEqual(first.state.lines, state.lines);
+
+    const second = RulesEngine.skipTurn(first.state);
+    assert.equal(second.state.currentPlayerIndex, 0);
+    assert.equal(state.currentPlayerIndex, 1);
+  });
+});
+
+describe('applySabotage', () => {
+  // Seat 1 owns box 0,0; seat 0 (the saboteur) owns the line right of dot 1,1
+  const sabotaged = () => makeState({
+    lines: { '0,0,h': 1, '1,0,h': 1, '0,0,v': 1, '0,1,v': 1, '1,1,h': 0 },
+    boxes: { '0,0': { ownerId: 1, type: 'normal' } },
+    players: { 0: { score: 0 }, 1: { score: 1 } }
+  });
+
+  it('removes opponents\' lines touching the dot and the boxes they closed', () => {
+    const state = sabotaged();
+    const result = RulesEngine.applySabotage(state, '1,1', 0);
+
+    assert.deepEqual(Object.keys(result.state.lines).sort(), ['0,0,h', '0,0,v', '1,1,h']);
+    assert.deepEqual(result.state.boxes, {});
+    assert.equal(result.state.players[1].score, 0);
+    assert.deepEqual(result.events, [{
+      type: 'sabotage',
+      dot: '1,1',
+      playerIndex: 0,
+      lines: ['1,0,h', '0,1,v'],
+      boxes: ['0,0']
+    }]);
+  });
+
+  it('spares the saboteur\'s own lines and leaves the turn and input state alone', () => {
+    const state = sabotaged();
+    const result = RulesEngine.applySabotage(state, '1,1', 1);
+
+    assert.deepEqual(result.events[0].lines, ['1,1,h']);
+    assert.deepEqual(result.events[0].boxes, []);
+    assert.equal(result.state.currentPlayerIndex, 0);
+    assert.equal(state.lines['1,1,h'], 0);
+  });
+});
@@ -0,0 +1,455 @@
+/**
+ * games.test.js - Security rules for moves in a started game
+ * Lines, boxes and scores, turn order, presence-based skips, the turn timer,
+ * chat and spectators
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const {
+  TIMESTAMP, SKIP, setup, teardown, reset, gameRef, seedGame,
+  seat, botSeat, presence, activeGame, move, lineMove, sabotageMove, skipTurn
+} = require('./helpers');
+
+describe('Game rules', { skip: SKIP }, () => {
+  before(setup);
+  after(teardown);
+  beforeEach(reset);
+
+  describe('Lines', () => {
+    beforeEach(() => seedGame({ ...activeGame(), lines: { '1,1,h': 1 } }));
+
+    it('lets the current player draw a new line', async () => {
+      await assertSucceeds(gameRef('alice').update(lineMove('0,0,h', 0)));
+    });
+
+    it('refuses a line from a player who is not on turn', async () => {
+      await assertFails(gameRef('bob').update(lineMove('0,0,h', 1)));
+    });
+
+    it('refuses redrawing an existing line', async () => {
+      await assertFails(gameRef('alice').update(lineMove('1,1,h', 0)));
+    });
+
+    it('refuses a line owned by another seat', async () => {
+      await assertFails(gameRef('alice').update({ ...lineMove('0,0,h', 0), 'lines/0,0,h': 1 }));
+    });
+
+    it('refuses a malformed line key', async () => {
+      await assertFails(gameRef('alice').update(lineMove('foo', 0)));
+    });
+
+    it('refuses a second line, or a line the log entry doesn\'t name, in one move', async () => {
+      await assertFails(gameRef('alice').update(lineMove('0,0,h', 0, { 'lines/0,1,h': 0 })));
+      await assertFails(gameRef('alice').update(move({
+        'lines/0,0,h': 0,
+        'moves/6': { seq: 6, type: 'line', playerIndex: 0, line: '0,1,h', at: TIMESTAMP }
+      })));
+    });
+
+    it('refuses a moveSeq bump without its log entry', async () => {
+      await assertFails(gameRef('bob').update({ moveSeq: 6 }));
+      await assertFails(gameRef('alice').update(move({ 'lines/0,0,h': 0 })));
+    });
+
+    it('refuses a move without moveSeq', async () => {
+      await assertFails(gameRef('alice').update({ 'lines/0,0,h': 0 }));
+    });
+
+    it('refuses a stale or skipped moveSeq', async () => {
+      await assertFails(gameRef('alice').update(lineMove('0,0,h', 0, {}, 5)));
+      await assertFails(gameRef('alice').update(lineMove('0,0,h', 0, {}, 7)));
+    });
+
+    it('lets only one of two moves on the same moveSeq land', async () => {
+      await assertSucceeds(gameRef('alice').update(lineMove('0,0,h', 0)));
+      await assertFails(gameRef('alice').update(lineMove('0,1,h', 0)));
+    });
+
+    it('refuses removing a line unless you hold the sabotaged dot', async () => {
+      await assertFails(gameRef('bob').update(sabotageMove('1,1', 1, { 'lines/1,1,h': null })));
+    });
+
+    it('lets the saboteur remove lines once per tap, with the sabotage logged', async () => {
+      await seedGame({
+        ...activeGame(),
+        lines: { '1,1,h': 0, '1,1,v': 0 },
+        sabotage: { sabotagedDot: '1,1', lastTappedBy: 'bob' }
+      });
+      await assertFails(gameRef('bob').update(move({ 'lines/1,1,h': null })));
+      await assertFails(gameRef('bob').update({ ...sabotageMove('1,1', 1, { 'lines/1,1,h': null }), 'sabotage/lastTappedBy': 'bob' }));
+      await assertSucceeds(gameRef('bob').update(sabotageMove('1,1', 1, { 'lines/1,1,h': null })));
+      await assertFails(gameRef('bob').update(sabotageMove('1,1', 1, { 'lines/1,1,v': null }, 7)));
+    });
+  });
+
+  describe('Scores and boxes', () => {
+    beforeEach(async () => {
+      const game = activeGame();
+      game.lines = { '0,0,h': 1, '0,1,v': 1, '1,0,h': 1 };
+      game.players[1].score = 3;
+      await seedGame(game);
+    });
+
+    it('lets the current player claim a box they closed', async () => {
+      await assertSucceeds(gameRef('alice').update(lineMove('0,0,v', 0, {
+        'boxes/0,0': { ownerId: 0, type: 'normal' },
+        'players/0/score': 1
+      })));
+    });
+
+    it('refuses setting a score outside a move', async () => {
+      await assertFails(gameRef('alice').update({ 'players/0/score': 99 }));
+    });
+
+    it('refuses raising your score by more than 2 in one move', async () => {
+      await assertFails(gameRef('alice').update(lineMove('2,2,h', 0, { 'players/0/score': 3 })));
+    });
+
+    it('refuses raising another player\'s score', async () => {
+      await assertFails(gameRef('alice').update(lineMove('2,2,h', 0, { 'players/1/score': 4 })));
+    });
+
+    it('refuses lowering a score without the sabotaged dot', async () => {
+      await assertFails(gameRef('alice').update(lineMove('2,2,h', 0, { 'players/1/score': 2 })));
+      await assertFails(gameRef('alice').update(sabotageMove('1,1', 0, { 'players/1/score': 2 })));
+    });
+
+    it('refuses a box whose top or left line is missing', async () => {
+      await assertFails(gameRef('alice').update(lineMove('1,1,h', 0, {
+        'boxes/1,1': { ownerId: 0, type: 'normal' }
+      })));
+    });
+
+    it('refuses claiming a box for another seat', async () => {
+      await assertFails(gameRef('alice').update(lineMove('0,0,v', 0, {
+        'boxes/0,0': { ownerId: 1, type: 'normal' }
+      })));
+    });
+  });
+
+  describe('Turn order and status', () => {
+    beforeEach(() => seedGame(activeGame()));
+
+    it('lets the current player pass the turn', async () => {
+      await assertSucceeds(gameRef('alice').update(lineMove('0,0,h', 0, { currentPlayerIndex: 1 })));
+    });
+
+    it('refuses another player taking the turn', async () => {
+      await assertFails(gameRef('bob').update(lineMove('0,0,h', 0, { currentPlayerIndex: 1 })));
+    });
+
+    it('refuses a currentPlayerIndex past the last seat', async () => {
+      await assertFails(gameRef('alice').update(lineMove('0,0,h', 0, { currentPlayerIndex: 2 })));
+    });
+
+    it('lets only the host finish the game', async () => {
+      await assertFails(gameRef('bob').update({ status: 'finished' }));
+      await assertSucceeds(gameRef('alice').update({ status: 'finished' }));
+    });
+
+    it('refuses moving an active game back to waiting', async () => {
+      await assertFails(gameRef('alice').update({ status: 'waiting' }));
+    });
+
+    it('refuses unknown fields', async () => {
+      await assertFails(gameRef('alice').update({ cheat: 1 }));
+    });
+  });
+
+  describe('Bot turns', () => {
+    beforeEach(async () => {
+      const game = activeGame();
+      game.players[1] = botSeat('hard');
+      game.players[2] = seat('carol');
+      game.members = { alice: 0, carol: 2 };
+      game.playerCount = 3;
+      game.currentPlayerIndex = 1;
+      await seedGame(game);
+    });
+
+    it('lets the host play the bot\'s move', async () => {
+      await assertSucceeds(gameRef('alice').update(lineMove('0,0,h', 1, { currentPlayerIndex: 2 })));
+    });
+
+    it('refuses the bot\'s move from a player who is not the host', async () => {
+      await assertFails(gameRef('carol').update(lineMove('0,0,h', 1)));
+      await assertFails(gameRef('carol').update(lineMove('0,0,h', 1, { currentPlayerIndex: 2 })));
+    });
+  });
+
+  describe('Disconnected players', () => {
+    it('refuses skipping a player who is online', async () => {
+      await seedGame(activeGame());
+      await assertFails(gameRef('bob').update(skipTurn(0, 1)));
+    });
+
+    it('refuses skipping a player offline for less than 20 seconds', async () => {
+      await seedGame({ ...activeGame(), presence: { alice: presence('offline', 5000), bob: presence('online') } });
+      await assertFails(gameRef('bob').update(skipTurn(0, 1)));
+    });
+
+    it('lets a member skip a player offline for 20 seconds', async () => {
+      await seedGame({ ...activeGame(), presence: { alice: presence('offline', 30000), bob: presence('online') } });
+      await assertSucceeds(gameRef('bob').update(skipTurn(0, 1)));
+    });
+
+    it('lets a member hand a seat to a bot after 2 minutes offline', async () => {
+      const game = activeGame();
+      game.players[0].score = 4;
+      game.presence.alice = presence('offline', 3 * 60 * 1000);
+      await seedGame(game);
+
+      const replacement = { ...game.players[0], id: 'bot-r1', name: 'Medium Bot', bot: 'medium' };
+      await assertFails(gameRef('bob').update({
+        'players/0': { ...replacement, score: 9 },
+        'members/alice': null
+      }));
+      await assertSucceeds(gameRef('bob').update({
+        'players/0': replacement,
+        'members/alice': null
+      }));
+    });
+
+    it('refuses handing a seat to a bot before 2 minutes offline', async () => {
+      const game = activeGame();
+      game.presence.alice = presence('offline', 30000);
+      await seedGame(game);
+
+      await assertFails(gameRef('bob').update({
+        'players/0': { ...game.players[0], id: 'bot-r1', name: 'Medium Bot', bot: 'medium' },
+        'members/alice': null
+      }));
+    });
+
+    it('lets a member take over as host only once the host has been offline 2 minutes', async () => {
+      await seedGame(activeGame());
+      await assertFails(gameRef('bob').update({ hostId: 'bob' }));
+
+      await seedGame({ ...activeGame(), presence: { alice: presence('offline', 3 * 60 * 1000), bob: presence('online') } });
+      await assertSucceeds(gameRef('bob').update({ hostId: 'bob' }));
+    });
+  });
+
+  describe('Presence', () => {
+    beforeEach(() => seedGame(activeGame()));
+
+    it('lets a member write their own presence', async () => {
+      await assertSucceeds(gameRef('bob').child('presence/bob').set({ state: 'away', lastChanged: TIMESTAMP }));
+    });
+
+    it('refuses writing another member\'s presence', async () => {
+      await assertFails(gameRef('bob').child('presence/alice').set({ state: 'offline', lastChanged: TIMESTAMP }));
+    });
+
+    it('refuses presence from a non-member or with a client time', async () => {
+      await assertFails(gameRef('carol').child('presence/carol').set({ state: 'online', lastChanged: TIMESTAMP }));
+      await assertFails(gameRef('bob').child('presence/bob').set({ state: 'offline', lastChanged: Date.now() - 60000 }));
+    });
+  });
+
+  describe('Turn timer', () => {
+    it('refuses skipping a turn before the move timer runs out', async () => {
+      await seedGame({ ...activeGame(), turnTimer: { mode: 'move', limit: 30000 }, turnStartedAt: Date.now() - 5000 });
+      await assertFails(gameRef('bob').update(skipTurn(0, 1)));
+    });
+
+    it('lets a member skip a turn once the move timer runs out', async () => {
+      await seedGame({ ...activeGame(), turnTimer: { mode: 'move', limit: 30000 }, turnStartedAt: Date.now() - 60000 });
+      await assertSucceeds(gameRef('bob').update(skipTurn(0, 1)));
+    });
+
+    it('lets a member empty the time bank only once it has run out', async () => {
+      const game = activeGame();
+      game.turnTimer = { mode: 'bank', limit: 60000 };
+      game.players[0].timeBank = 10000;
+      game.players[1].timeBank = 60000;
+
+      await seedGame({ ...game, turnStartedAt: Date.now() - 5000 });
+      await assertFails(gameRef('bob').update({ ...skipTurn(0, 1), 'players/0/timeBank': 0 }));
+
+      await seedGame({ ...game, turnStartedAt: Date.now() - 20000 });
+      await assertSucceeds(gameRef('bob').update({ ...skipTurn(0, 1), 'players/0/timeBank': 0 }));
+    });
+
+    it('refuses raising a time bank or writing another player\'s', async () => {
+      const game = activeGame();
+      game.turnTimer = { mode: 'bank', limit: 60000 };
+      game.players[0].timeBank = 10000;
+      game.players[1].timeBank = 60000;
+      await seedGame(game);
+
+      await assertFails(gameRef('alice').update(lineMove('0,0,h', 0, { 'players/0/timeBank': 20000 })));
+      await assertFails(gameRef('alice').update(lineMove('0,0,h', 0, { 'players/1/timeBank': 1000 })));
+      await assertSucceeds(gameRef('alice').update(lineMove('0,0,h', 0, { 'players/0/timeBank': 8000, currentPlayerIndex: 1 })));
+    });
+
+    it('refuses a turnStartedAt that is not the server time', async () => {
+      await seedGame(activeGame());
+      await assertFails(gameRef('alice').update({ ...lineMove('0,0,h', 0, { currentPlayerIndex: 1 }), turnStartedAt: Date.now() + 60000 }));
+    });
+
+    it('refuses restarting the clock without committing a move', async () => {
+      await seedGame({ ...activeGame(), turnTimer: { mode: 'move', limit: 30000 }, turnStartedAt: Date.now() - 20000 });
+      await assertFails(gameRef('alice').update({ turnStartedAt: TIMESTAMP, lastActivity: TIMESTAMP }));
+      await assertFails(gameRef('alice').child('turnStartedAt').set(TIMESTAMP));
+    });
+
+    it('lets a sabotage move leave the clock running, and only that', async () => {
+      const game = activeGame();
+      game.turnTimer = { mode: 'move', limit: 30000 };
+      game.players[0].score = 3;
+      game.sabotage = { sabotagedDot: '1,1', lastTappedBy: 'bob' };
+      await seedGame(game);
+      await assertFails(gameRef('bob').update({ ...sabotageMove('1,1', 1, { 'players/0/score': 2 }), turnStartedAt: TIMESTAMP }));
+      await assertSucceeds(gameRef('bob').update(sabotageMove('1,1', 1, { 'players/0/score': 2 })));
+    });
+  });
+
+  describe('Sabotage', () => {
+    const tap = (uid, dot = '1,1') => ({ glowingDot: null, sabotagedDot: dot, lastTappedBy: uid });
+
+    const glowingGame = () => ({ ...activeGame(), lines: { '1,1,h': 0 }, sabotage: { glowingDot: '1,1' } });
+
+    it('lets a player who is not on turn start a glow', async () => {
+      await seedGame(activeGame());
+      await assertFails(gameRef('alice').child('sabotage/glowingDot').set('1,1'));
+      await assertSucceeds(gameRef('bob').child('sabotage/glowingDot').set('1,1'));
+    });
+
+    it('refuses a new glow while another glow or an effect is active', async () => {
+      await seedGame(glowingGame());
+      await assertFails(gameRef('bob').child('sabotage/glowingDot').set('2,2'));
+
+      await seedGame({ ...activeGame(), sabotage: { sabotagedDot: '1,1' } });
+      await assertFails(gameRef('bob').child('sabotage/glowingDot').set('2,2'));
+    });
+
+    it('lets a player who is not on turn tap the glowing dot', async () => {
+      await seedGame(glowingGame());
+      await assertFails(gameRef('alice').child('sabotage').update(tap('alice')));
+      await assertSucceeds(gameRef('bob').child('sabotage').update(tap('bob')));
+    });
+
+    it('refuses tapping for someone else', async () => {
+      await seedGame(glowingGame());
+      await assertFails(gameRef('bob').child('sabotage').update(tap('alice')));
+    });
+
+    it('refuses granting yourself a sabotage without tapping the glowing dot', async () => {
+      await seedGame({ ...activeGame(), lines: { '1,1,h': 0 } });
+      await assertFails(gameRef('bob').child('sabotage').update(tap('bob')));
+      await assertFails(gameRef('bob').update(sabotageMove('1,1', 1, { 'lines/1,1,h': null })));
+
+      await seedGame({ ...glowingGame(), sabotage: { glowingDot: '2,2' } });
+      await assertFails(gameRef('bob').child('sabotage').update(tap('bob')));
+      await assertFails(gameRef('bob').update(sabotageMove('1,1', 1, { 'lines/1,1,h': null })));
+    });
+
+    it('refuses sabotage writes when the host turned sabotage off', async () => {
+      const game = glowingGame();
+      game.settings.sabotageEnabled = false;
+      await seedGame(game);
+      await assertFails(gameRef('bob').child('sabotage').update(tap('bob')));
+    });
+  });
+
+  describe('Move log', () => {
+    const entry = (seq, type, playerIndex) => ({ seq, type, playerIndex, at: TIMESTAMP });
+
+    beforeEach(() => seedGame(activeGame()));
+
+    it('lets a move write its entry under the moveSeq it commits', async () => {
+      await assertSucceeds(gameRef('alice').update(lineMove('0,0,h', 0)));
+    });
+
+    it('refuses a move entry under any other seq', async () => {
+      await assertFails(gameRef('alice').update(move({ 'lines/0,0,h': 0, 'moves/7': { ...entry(7, 'line', 0), line: '0,0,h' } })));
+      await assertFails(gameRef('alice').child('moves/6').set(entry(6, 'line', 0)));
+    });
+
+    it('lets a player log a glow after the current move', async () => {
+      await assertSucceeds(gameRef('bob').child('moves/5_abc').set({ ...entry(5, 'glow', 1), dot: '1,1' }));
+    });
+
+    it('refuses a glow logged ahead of the moves, or under a move\'s key', async () => {
+      await assertFails(gameRef('bob').child('moves/6_abc').set({ ...entry(6, 'glow', 1), dot: '1,1' }));
+      await assertFails(gameRef('bob').update(move({ 'moves/6': { ...entry(6, 'glow', 1), dot: '1,1' } })));
+    });
+
+    it('refuses editing or removing an entry', async () => {
+      await seedGame({ ...activeGame(), moves: { 5: { seq: 5, type: 'line', playerIndex: 0, at: Date.now() } } });
+      await assertFails(gameRef('alice').child('moves/5/type').set('skip'));
+      await assertFails(gameRef('alice').child('moves/5').remove());
+    });
+  });
+
+  describe('Spectators', () => {
+    beforeEach(() => seedGame({ ...activeGame(), spectators: { carol: { name: 'Carol', joinedAt: Date.now() } } }));
+
+    it('lets anyone signed in watch under their own uid', async () => {
+      await assertSucceeds(gameRef('dave').child('spectators/dave').set({ name: 'Dave', joinedAt: TIMESTAMP }));
+    });
+
+    it('refuses watching under another uid, or while seated', async () => {
+      await assertFails(gameRef('dave').child('spectators/erin').set({ name: 'Erin', joinedAt: TIMESTAMP }));
+      await assertFails(gameRef('bob').child('spectators/bob').set({ name: 'Bob', joinedAt: TIMESTAMP }));
+    });
+
+    it('refuses game writes from a spectator', async () => {
+      const game = gameRef('carol');
+      await assertFails(game.update(lineMove('0,0,h', 0)));
+      await assertFails(game.update(move({ currentPlayerIndex: 1 })));
+      await assertFails(game.update({ moveSeq: 6 }));
+      await assertFails(game.child('sabotage').update({ sabotagedDot: '1,1', lastTappedBy: 'carol' }));
+      await assertFails(game.child('moves/5_spectator').set({ seq: 5, type: 'glow', playerIndex: 0, at: TIMESTAMP }));
+      await assertFails(game.child('presence/carol').set({ state: 'online', lastChanged: TIMESTAMP }));
+      await assertFails(game.update({ lastActivity: TIMESTAMP }));
+      await assertFails(game.update({ playerCount: 3 }));
+    });
+  });
+
+  describe('Chat', () => {
+    const message = (uid, text = 'nice!') => ({ uid, name: uid, text, at: TIMESTAMP });
+
+    const send = (uid, key, text) => ({
+      [`chat/${key}`]: message(uid, text),
+      [`chatLastSent/${uid}`]: TIMESTAMP,
+      [`chatLastMessage/${uid}`]: key
+    });
+
+    beforeEach(() => seedGame({ ...activeGame(), spectators: { carol: { name: 'Carol', joinedAt: Date.now() } } }));
+
+    it('lets members and spectators send a message with their send time', async () => {
+      await assertSucceeds(gameRef('bob').update(send('bob', 'm1')));
+      await assertSucceeds(gameRef('carol').update(send('carol', 'm2')));
+    });
+
+    it('refuses a message without the send time, under another uid, or from an outsider', async () => {
+      await assertFails(gameRef('bob').update({ 'chat/m1': message('bob'), 'chatLastMessage/bob': 'm1' }));
+      await assertFails(gameRef('bob').update({ ...send('bob', 'm1'), 'chat/m1': message('alice') }));
+      await assertFails(gameRef('dave').update(send('dave', 'm1')));
+    });
+
+    it('refuses an empty message or one over 200 characters', async () => {
+      await assertFails(gameRef('bob').update(send('bob', 'm1', '')));
+      await assertFails(gameRef('bob').update(send('bob', 'm1', 'x'.repeat(201))));
+    });
+
+    it('refuses a second message within a second', async () => {
+      await seedGame({ ...activeGame(), chatLastSent: { bob: Date.now() } });
+      await assertFails(gameRef('bob').update(send('bob', 'm2')));
+    });
+
+    it('refuses several messages in one write', async () => {
+      await assertFails(gameRef('bob').update({ ...send('bob', 'm1'), ...send('bob', 'm2') }));
+      await assertFails(gameRef('bob').update({ ...send('bob', 'm1'), 'chat/m2': message('bob', 'spam') }));
+    });
+
+    it('refuses editing or deleting a message', async () => {
+      await seedGame({ ...activeGame(), chat: { m1: { uid: 'bob', name: 'bob', text: 'hi', at: Date.now() - 5000 } } });
+      await assertFails(gameRef('bob').child('chat/m1/text').set('bye'));
+      await assertFails(gameRef('bob').child('chat/m1').remove());
+    });
+  });
+});
@@ -0,0 +1,298 @@
+/**
+ * helpers.js - Shared setup for the security rules tests
+ * Loads database.rules.json into the Realtime Database emulator, seeds data
+ * with the rules switched off, and builds the game documents the tests start from
+ *
+ * The suites only run under `npm run test:rules`, which starts the emulators
+ * and sets FIREBASE_DATABASE_EMULATOR_HOST. Plain `npm test` skips them.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+const RulesEngine = require('../../js/rules.js');
+
+const PROJECT_ID = 'demo-dots-and-lines';
+const RULES_PATH = path.join(__dirname, '..', '..', 'database.rules.json');
+
+const GAME_ID = 'abcdef';
+const TIMESTAMP = { '.sv': 'timestamp' }; // firebase.database.ServerValue.TIMESTAMP
+const GUEST = ' guest'; // databases key for the signed-out user (not a valid uid)
+
+// Reason to skip the suites, or false when the emulator is running
+const SKIP = process.env.FIREBASE_DATABASE_EMULATOR_HOST
+  ? false
+  : 'needs the database emulator - run "npm run test:rules"';
+
+let testEnv = null;
+let databases = {}; // uid -> database (an emulator connection is set up once per app)
+
+/**
+ * Start a test environment with the current rules
+ * @returns {Promise<void>}
+ */
+async function setup() {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    database: { rules: fs.readFileSync(RULES_PATH, 'utf8') }
+  });
+}
+
+/**
+ * Close every connection so the test process can exit
+ * @returns {Promise<void>}
+ */
+async function teardown() {
+  if (testEnv) {
+    await testEnv.cleanup();
+  }
+  testEnv = null;
+  databases = {};
+}
+
+/**
+ * Empty the database between tests
+ * @returns {Promise<void>}
+ */
+async function reset() {
+  await testEnv.clearDatabase();
+}
+
+/**
+ * Database as seen by a signed-in user
+ * @param {string} uid - auth.uid in the rules
+ * @returns {object} firebase.database.Database
+ */
+function db(uid) {
+  if (!databases[uid]) {
+    databases[uid] = testEnv.authenticatedContext(uid).database();
+  }
+  return databases[uid];
+}
+
+/**
+ * Database as seen by someone who isn't signed in
+ * @returns {object} firebase.database.Database
+ */
+function guestDb() {
+  if (!databases[GUEST]) {
+    databases[GUEST] = testEnv.unauthenticatedContext().database();
+  }
+  return databases[GUEST];
+}
+
+/**
+ * Reference to the test game as seen by a user
+ * @param {string} uid
+ * @param {string} [gameId]
+ * @returns {object} firebase.database.Reference
+ */
+function gameRef(uid, gameId = GAME_ID) {
+  return db(uid).ref(`games/${gameId}`);
+}
+
+/**
+ * Write data without checking the rules
+ * @param {string} dataPath - Database path
+ * @param {*} value
+ * @returns {Promise<void>}
+ */
+async function seed(dataPath, value) {
+  await testEnv.withSecurityRulesDisabled(context => context.database().ref(dataPath).set(value));
+}
+
+/**
+ * Write the test game without checking the rules
+ * @param {object} game - Game document
+ * @returns {Promise<void>}
+ */
+async function seedGame(game) {
+  await seed(`games/${GAME_ID}`, game);
+}
+
+/**
+ * A human seat as joinGame writes it
+ * @param {string} uid
+ * @returns {object}
+ */
+function seat(uid) {
+  const colors = { alice: '#FF6B6B', bob: '#4ECDC4', carol: '#FFE66D', dave: '#95E1D3' };
+  return {
+    id: uid,
+    name: uid.charAt(0).toUpperCase() + uid.slice(1),
+    color: colors[uid] || '#A8E6CF',
+    score: 0,
+    bankedTurns: 0
+  };
+}
+
+/**
+ * A bot seat as addBot writes it
+ * @param {string} [level] - 'easy', 'medium' or 'hard'
+ * @returns {object}
+ */
+function botSeat(level = 'hard') {
+  return {
+    id: `bot-${level}`,
+    name: `${level.charAt(0).toUpperCase() + level.slice(1)} Bot`,
+    color: '#A8E6CF',
+    score: 0,
+    bankedTurns: 0,
+    bot: level
+  };
+}
+
+/**
+ * Presence entry that changed some time ago
+ * @param {string} state - 'online', 'away' or 'offline'
+ * @param {number} [ago] - Milliseconds since the change
+ * @returns {object}
+ */
+function presence(state, ago = 0) {
+  return { state, lastChanged: Date.now() - ago };
+}
+
+/**
+ * A lobby hosted by alice, who sits alone in seat 0
+ * @returns {object} Game document
+ */
+function waitingGame() {
+  return {
+    code: GAME_ID.toUpperCase(),
+    status: 'waiting',
+    hostId: 'alice',
+    layout: 'square',
+    boardWidth: 5,
+    boardHeight: 5,
+    settings: RulesEngine.normalizeSettings(),
+    players: { 0: seat('alice') },
+    playerCount: 1,
+    members: { alice: 0 },
+    currentPlayerIndex: 0,
+    moveSeq: 0,
+    turnPhase: 'normal',
+    createdAt: Date.now(),
+    lastActivity: Date.now()
+  };
+}
+
+/**
+ * A started game between alice (host, seat 0, on turn) and bob (seat 1)
+ * Both are online and five moves have been played
+ * @returns {object} Game document
+ */
+function activeGame() {
+  const game = waitingGame();
+  game.status = 'active';
+  game.players[1] = seat('bob');
+  game.members.bob = 1;
+  game.playerCount = 2;
+  game.moveSeq = 5;
+  game.turnStartedAt = Date.now();
+  game.presence = {
+    alice: presence('online'),
+    bob: presence('online')
+  };
+  return game;
+}
+
+/**
+ * A finished game between alice (host) and bob
+ * @param {string} [gameId]
+ * @returns {object} Game document
+ */
+function finishedGame(gameId = GAME_ID) {
+  const game = activeGame();
+  game.code = gameId.toUpperCase();
+  game.status = 'finished';
+  game.players[0].score = 14;
+  game.players[1].score = 11;
+  return game;
+}
+
+/**
+ * The updates commitMove sends for the next move of the test game
+ * @param {object} updates - Move fields
+ * @param {number} [moveSeq] - New moveSeq (the stored one is 5)
+ * @returns {object}
+ */
+function move(updates, moveSeq = 6) {
+  return {
+    ...updates,
+    moveSeq,
+    turnStartedAt: TIMESTAMP,
+    lastActivity: TIMESTAMP
+  };
+}
+
+/**
+ * The updates that draw one line, with its log entry
+ * @param {string} lineKey - "row,col,h|v"
+ * @param {number} playerIndex - Seat drawing the line
+ * @param {object} [updates] - Other move fields (boxes, scores, turn)
+ * @param {number} [moveSeq] - New moveSeq (the stored one is 5)
+ * @returns {object}
+ */
+function lineMove(lineKey, playerIndex, updates = {}, moveSeq = 6) {
+  return move({
+    [`lines/${lineKey}`]: playerIndex,
+    ...updates,
+    [`moves/${moveSeq}`]: { seq: moveSeq, type: 'line', playerIndex, line: lineKey, at: TIMESTAMP }
+  }, moveSeq);
+}
+
+/**
+ * The updates a sabotage destruction sends, with its log entry
+ * It uses up the tap and leaves the turn clock running
+ * @param {string} dot - Sabotaged dot "row,col"
+ * @param {number} playerIndex - Saboteur's seat
+ * @param {object} updates - Lines, boxes and scores removed or lowered
+ * @param {number} [moveSeq] - New moveSeq (the stored one is 5)
+ * @returns {object}
+ */
+function sabotageMove(dot, playerIndex, updates, moveSeq = 6) {
+  return {
+    ...updates,
+    'sabotage/lastTappedBy': null,
+    [`moves/${moveSeq}`]: { seq: moveSeq, type: 'sabotage', playerIndex, dot, at: TIMESTAMP },
+    moveSeq,
+    lastActivity: TIMESTAMP
+  };
+}
+
+/**
+ * The updates that skip the current player's turn, with its log entry
+ * @param {number} skippedIndex - Seat whose turn is skipped
+ * @param {number} nextIndex - Seat that moves next
+ * @returns {object}
+ */
+function skipTurn(skippedIndex, nextIndex) {
+  return move({
+    currentPlayerIndex: nextIndex,
+    'moves/6': { seq: 6, type: 'skip', playerIndex: skippedIndex, at: TIMESTAMP }
+  });
+}
+
+module.exports = {
+  GAME_ID,
+  TIMESTAMP,
+  SKIP,
+  setup,
+  teardown,
+  reset,
+  db,
+  guestDb,
+  gameRef,
+  seed,
+  seedGame,
+  seat,
+  botSeat,
+  presence,
+  waitingGame,
+  activeGame,
+  finishedGame,
+  move,
+  lineMove,
+  sabotageMove,
+  skipTurn
+};
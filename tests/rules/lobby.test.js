@@ -0,0 +1,465 @@
+/**
+ * lobby.test.js - Security rules for creating, joining and setting up games
+ * Game codes, seats and bots, host-only settings, public listings, host
+ * controls and rematches
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const RulesEngine = require('../../js/rules.js');
+const {
+  GAME_ID, TIMESTAMP, SKIP, setup, teardown, reset, db, guestDb, gameRef,
+  seed, seedGame, seat, botSeat, waitingGame, activeGame, finishedGame
+} = require('./helpers');
+
+/**
+ * A new game as createGame writes it
+ * @param {string} uid - Host
+ * @param {string} gameId
+ * @returns {object}
+ */
+function newGame(uid, gameId) {
+  return {
+    ...waitingGame(),
+    code: gameId.toUpperCase(),
+    hostId: uid,
+    players: { 0: seat(uid) },
+    members: { [uid]: 0 },
+    createdAt: TIMESTAMP,
+    lastActivity: TIMESTAMP
+  };
+}
+
+/**
+ * The updates joinGame sends for a seat
+ * @param {string} uid
+ * @param {number} index - Seat
+ * @returns {object}
+ */
+function joinUpdates(uid, index) {
+  return {
+    [`players/${index}`]: seat(uid),
+    [`members/${uid}`]: index,
+    playerCount: index + 1,
+    lastActivity: TIMESTAMP
+  };
+}
+
+/**
+ * A Browse Games entry as getPublicLobbyEntry builds it
+ * @param {object} game - Game document
+ * @returns {object}
+ */
+function listing(game) {
+  return {
+    code: game.code,
+    hostId: game.hostId,
+    hostName: 'Alice',
+    playerCount: game.playerCount,
+    maxPlayers: game.settings.maxPlayers,
+    layout: game.layout,
+    boardWidth: game.boardWidth,
+    boardHeight: game.boardHeight,
+    preset: game.settings.preset,
+    createdAt: game.createdAt,
+    updatedAt: TIMESTAMP
+  };
+}
+
+/**
+ * Prefix game update paths for a root multi-path update
+ * @param {object} updates - Paths relative to the test game
+ * @returns {object}
+ */
+function atRoot(updates) {
+  const rooted = {};
+  Object.keys(updates).forEach(key => {
+    rooted[`games/${GAME_ID}/${key}`] = updates[key];
+  });
+  return rooted;
+}
+
+describe('Lobby rules', { skip: SKIP }, () => {
+  before(setup);
+  after(teardown);
+  beforeEach(reset);
+
+  describe('Game codes', () => {
+    const reservation = uid => ({ hostId: uid, reservedAt: TIMESTAMP });
+
+    it('lets anyone signed in reserve a free code', async () => {
+      await assertSucceeds(db('carol').ref('gameCodes/QWERTY').set(reservation('carol')));
+    });
+
+    it('refuses reserving a code that is taken, even for its holder', async () => {
+      await seed('gameCodes/QWERTY', { hostId: 'carol', reservedAt: Date.now() });
+      await assertFails(db('dave').ref('gameCodes/QWERTY').set(reservation('dave')));
+      await assertFails(db('carol').ref('gameCodes/QWERTY').set(reservation('carol')));
+    });
+
+    it('lets only the holder free a code', async () => {
+      await seed('gameCodes/QWERTY', { hostId: 'carol', reservedAt: Date.now() });
+      await assertFails(db('dave').ref('gameCodes/QWERTY').remove());
+      await assertSucceeds(db('carol').ref('gameCodes/QWERTY').remove());
+    });
+
+    it('lets the game\'s current host free its code', async () => {
+      await seed('gameCodes/ABCDEF', { hostId: 'carol', reservedAt: Date.now() });
+      await seedGame(waitingGame());
+      await assertSucceeds(db('alice').ref('gameCodes/ABCDEF').remove());
+    });
+
+    it('refuses a reservation for another uid or without the server time', async () => {
+      await assertFails(db('carol').ref('gameCodes/QWERTY').set(reservation('dave')));
+      await assertFails(db('carol').ref('gameCodes/QWERTY').set({ hostId: 'carol', reservedAt: 1 }));
+    });
+
+    it('refuses codes of the wrong length or with confusing characters', async () => {
+      await assertFails(db('carol').ref('gameCodes/QWERT').set(reservation('carol')));
+      await assertFails(db('carol').ref('gameCodes/QWERTYUPA').set(reservation('carol')));
+      await assertFails(db('carol').ref('gameCodes/QWERT0').set(reservation('carol')));
+      await assertFails(db('carol').ref('gameCodes/QWERTI').set(reservation('carol')));
+      await assertFails(db('carol').ref('gameCodes/qwerty').set(reservation('carol')));
+    });
+
+    it('refuses reading codes when signed out', async () => {
+      await assertFails(guestDb().ref('gameCodes/QWERTY').once('value'));
+    });
+  });
+
+  describe('Creating games', () => {
+    it('lets the holder of a code create its game', async () => {
+      await seed('gameCodes/QWERTY', { hostId: 'carol', reservedAt: Date.now() });
+      await assertSucceeds(gameRef('carol', 'qwerty').set(newGame('carol', 'qwerty')));
+    });
+
+    it('refuses creating a game without holding its code', async () => {
+      await assertFails(gameRef('carol', 'qwerty').set(newGame('carol', 'qwerty')));
+
+      await seed('gameCodes/QWERTY', { hostId: 'dave', reservedAt: Date.now() });
+      await assertFails(gameRef('carol', 'qwerty').set(newGame('carol', 'qwerty')));
+    });
+
+    it('refuses overwriting an existing game', async () => {
+      await seed('gameCodes/ABCDEF', { hostId: 'alice', reservedAt: Date.now() });
+      await seedGame(waitingGame());
+      await assertFails(gameRef('alice').set(newGame('alice', GAME_ID)));
+    });
+
+    it('lets only the host delete a waiting game', async () => {
+      await seedGame({ ...waitingGame(), players: { 0: seat('alice'), 1: seat('bob') }, members: { alice: 0, bob: 1 }, playerCount: 2 });
+      await assertFails(gameRef('bob').remove());
+      await assertSucceeds(gameRef('alice').remove());
+    });
+
+    it('refuses a rematch of a game that isn\'t finished, or that you weren\'t in', async () => {
+      await seed('gameCodes/QWERTY', { hostId: 'carol', reservedAt: Date.now() });
+      const rematch = { ...newGame('carol', 'qwerty'), rematchOf: { gameId: GAME_ID, order: { 0: 'carol' } } };
+
+      await seedGame(activeGame());
+      await assertFails(gameRef('carol', 'qwerty').set(rematch));
+
+      await seedGame(finishedGame());
+      await assertFails(gameRef('carol', 'qwerty').set(rematch));
+    });
+
+    it('lets a player offer the rematch they host, once', async () => {
+      await seedGame(finishedGame());
+      await seed('gameCodes/QWERTY', { hostId: 'bob', reservedAt: Date.now() });
+      await assertSucceeds(gameRef('bob', 'qwerty').set({
+        ...newGame('bob', 'qwerty'),
+        rematchOf: { gameId: GAME_ID, order: { 0: 'bob', 1: 'alice' } }
+      }));
+
+      const offer = { gameId: 'qwerty', code: 'QWERTY', hostId: 'bob', hostName: 'Bob' };
+      await assertFails(gameRef('alice').child('rematch').set({ ...offer, hostId: 'alice' }));
+      await assertSucceeds(gameRef('bob').child('rematch').set(offer));
+      await assertFails(gameRef('bob').child('rematch').set(offer));
+    });
+  });
+
+  describe('Joining', () => {
+    beforeEach(() => seedGame(waitingGame()));
+
+    it('lets a player take a free seat under their own uid', async () => {
+      await assertSucceeds(gameRef('bob').update(joinUpdates('bob', 1)));
+    });
+
+    it('refuses a seat for another uid', async () => {
+      await assertFails(gameRef('bob').update({ ...joinUpdates('bob', 1), 'players/1': seat('carol') }));
+    });
+
+    it('refuses joining with a score', async () => {
+      await assertFails(gameRef('bob').update({ ...joinUpdates('bob', 1), 'players/1': { ...seat('bob'), score: 5 } }));
+    });
+
+    it('refuses taking a seat that is already occupied', async () => {
+      await assertFails(gameRef('bob').update({ ...joinUpdates('bob', 0), playerCount: 2 }));
+    });
+
+    it('refuses joining a started game', async () => {
+      await seedGame(activeGame());
+      await assertFails(gameRef('carol').update(joinUpdates('carol', 2)));
+    });
+
+    it('refuses more players than maxPlayers', async () => {
+      const game = waitingGame();
+      game.settings.maxPlayers = 2;
+      game.players[1] = seat('bob');
+      game.members.bob = 1;
+      game.playerCount = 2;
+      await seedGame(game);
+      await assertFails(gameRef('carol').update(joinUpdates('carol', 2)));
+    });
+  });
+
+  describe('Leaving', () => {
+    beforeEach(async () => {
+      const game = waitingGame();
+      game.players[1] = seat('bob');
+      game.players[2] = seat('carol');
+      game.members = { alice: 0, bob: 1, carol: 2 };
+      game.playerCount = 3;
+      await seedGame(game);
+    });
+
+    it('lets a player leave, moving later seats down so the next join fits', async () => {
+      await assertSucceeds(gameRef('bob').update({
+        'players/1': seat('carol'),
+        'members/carol': 1,
+        'players/2': null,
+        'members/bob': null,
+        playerCount: 2,
+        lastActivity: TIMESTAMP
+      }));
+      await assertSucceeds(gameRef('dave').update(joinUpdates('dave', 2)));
+    });
+
+    it('refuses changing a seat that moves down', async () => {
+      await assertFails(gameRef('bob').update({
+        'players/1': { ...seat('carol'), name: 'Mallory' },
+        'members/carol': 1,
+        'players/2': null,
+        'members/bob': null,
+        playerCount: 2
+      }));
+    });
+
+    it('refuses removing another player while leaving', async () => {
+      await assertFails(gameRef('bob').update({
+        'players/1': null,
+        'players/2': null,
+        'members/bob': null,
+        'members/carol': null,
+        playerCount: 1
+      }));
+      await assertFails(gameRef('bob').update({
+        'players/1': null,
+        'players/2': null,
+        'members/bob': null,
+        playerCount: 1
+      }));
+    });
+
+    it('lets a player leave a full lobby, moving every seat up to 6 down', async () => {
+      const uids = ['alice', 'bob', 'carol', 'dave', 'erin', 'frank', 'grace'];
+      const game = waitingGame();
+      game.members = {};
+      uids.forEach((uid, index) => {
+        game.players[index] = seat(uid);
+        game.members[uid] = index;
+      });
+      game.playerCount = uids.length;
+      await seedGame(game);
+
+      const updates = { 'players/6': null, 'members/bob': null, playerCount: 6, lastActivity: TIMESTAMP };
+      uids.slice(2).forEach((uid, offset) => {
+        updates[`players/${offset + 1}`] = seat(uid);
+        updates[`members/${uid}`] = offset + 1;
+      });
+      await assertFails(gameRef('bob').update({ ...updates, 'players/6': seat('grace') }));
+      await assertSucceeds(gameRef('bob').update(updates));
+    });
+  });
+
+  describe('Host-only settings', () => {
+    beforeEach(() => seedGame({ ...waitingGame(), players: { 0: seat('alice'), 1: seat('bob') }, members: { alice: 0, bob: 1 }, playerCount: 2 }));
+
+    it('lets the host change the board and settings while waiting', async () => {
+      await assertSucceeds(gameRef('alice').update({ layout: 'wide', boardWidth: 8, boardHeight: 5 }));
+      await assertSucceeds(gameRef('alice').child('settings/maxPlayers').set(4));
+      await assertSucceeds(gameRef('alice').child('settings').set(RulesEngine.normalizeSettings({ preset: 'classic', goldenSquares: 0, penaltySquares: 0 })));
+    });
+
+    it('refuses board and settings changes from other players', async () => {
+      await assertFails(gameRef('bob').update({ boardWidth: 8 }));
+      await assertFails(gameRef('bob').update({ layout: 'wide' }));
+      await assertFails(gameRef('bob').child('settings/maxPlayers').set(4));
+    });
+
+    it('refuses settings changes once the game has started', async () => {
+      await seedGame(activeGame());
+      await assertFails(gameRef('alice').child('settings/maxPlayers').set(4));
+    });
+
+    it('refuses invalid settings', async () => {
+      const settings = gameRef('alice').child('settings');
+      await assertFails(settings.child('maxPlayers').set(1));
+      await assertFails(settings.child('goldenSquares').set(1.5));
+      await assertFails(settings.child('preset').set('silly'));
+      await assertFails(settings.child('cheat').set(true));
+      const { glowDuration, ...missingOne } = RulesEngine.normalizeSettings();
+      await assertFails(settings.set(missingOne));
+    });
+
+    it('lets only the host set the turn timer, series and listing flag', async () => {
+      await assertSucceeds(gameRef('alice').child('turnTimer').set({ mode: 'move', limit: 30000 }));
+      await assertSucceeds(gameRef('alice').child('series').set({ mode: 'bestOf', target: 3 }));
+      await assertSucceeds(gameRef('alice').child('public').set(false));
+      await assertFails(gameRef('bob').child('turnTimer').set({ mode: 'move', limit: 30000 }));
+      await assertFails(gameRef('bob').child('series').set({ mode: 'bestOf', target: 3 }));
+      await assertFails(gameRef('bob').child('public').set(false));
+    });
+
+    it('refuses out-of-range turn timers and series', async () => {
+      await assertFails(gameRef('alice').child('turnTimer').set({ mode: 'move', limit: 1000 }));
+      await assertFails(gameRef('alice').child('turnTimer').set({ mode: 'move', limit: 1000000 }));
+      await assertFails(gameRef('alice').child('series').set({ mode: 'bestOf', target: 12 }));
+      await assertFails(gameRef('alice').child('series').set({ mode: 'sometimes', target: 3 }));
+    });
+
+    it('lets only the host pick who moves first and start the game', async () => {
+      await assertFails(gameRef('bob').update({ currentPlayerIndex: 1 }));
+      await assertFails(gameRef('bob').update({ status: 'active' }));
+      await assertSucceeds(gameRef('alice').update({ currentPlayerIndex: 1, status: 'active', turnStartedAt: TIMESTAMP }));
+    });
+
+    it('refuses starting with one player', async () => {
+      await seedGame(waitingGame());
+      await assertFails(gameRef('alice').update({ status: 'active' }));
+    });
+  });
+
+  describe('Bot seats', () => {
+    beforeEach(() => seedGame({ ...waitingGame(), players: { 0: seat('alice'), 1: seat('bob') }, members: { alice: 0, bob: 1 }, playerCount: 2 }));
+
+    it('lets the host seat a bot', async () => {
+      await assertSucceeds(gameRef('alice').update({ 'players/2': botSeat('hard'), playerCount: 3 }));
+    });
+
+    it('refuses a bot seated by another player', async () => {
+      await assertFails(gameRef('bob').update({ 'players/2': botSeat('hard'), playerCount: 3 }));
+    });
+
+    it('refuses a bot id without a level, or a level on a human seat', async () => {
+      const { bot, ...noLevel } = botSeat('easy');
+      await assertFails(gameRef('alice').update({ 'players/2': noLevel, playerCount: 3 }));
+      await assertFails(gameRef('alice').update({ 'players/2': { ...seat('carol'), bot: 'hard' }, playerCount: 3 }));
+      await assertFails(gameRef('alice').update({ 'players/2': { ...botSeat('hard'), bot: 'expert' }, playerCount: 3 }));
+    });
+  });
+
+  describe('Host controls', () => {
+    beforeEach(async () => {
+      const game = waitingGame();
+      game.players[1] = seat('bob');
+      game.players[2] = seat('carol');
+      game.members = { alice: 0, bob: 1, carol: 2 };
+      game.playerCount = 3;
+      await seedGame(game);
+    });
+
+    it('lets the host kick and ban a player', async () => {
+      await assertSucceeds(gameRef('alice').update({
+        'players/1': seat('carol'),
+        'members/carol': 1,
+        'players/2': null,
+        'members/bob': null,
+        'bans/bob': { name: 'Bob', bannedAt: TIMESTAMP },
+        playerCount: 2,
+        lastActivity: TIMESTAMP
+      }));
+    });
+
+    it('refuses kicks and bans from other players', async () => {
+      await assertFails(gameRef('bob').update({ 'players/2': null, 'members/carol': null, playerCount: 2 }));
+      await assertFails(gameRef('bob').child('bans/carol').set({ name: 'Carol', bannedAt: TIMESTAMP }));
+    });
+
+    it('refuses a ban for a player still seated, or for yourself', async () => {
+      await assertFails(gameRef('alice').child('bans/bob').set({ name: 'Bob', bannedAt: TIMESTAMP }));
+      await assertFails(gameRef('alice').child('bans/alice').set({ name: 'Alice', bannedAt: TIMESTAMP }));
+    });
+
+    it('refuses a banned player a seat or a spectator spot', async () => {
+      await seedGame({ ...waitingGame(), bans: { bob: { name: 'Bob', bannedAt: Date.now() } } });
+      await assertFails(gameRef('bob').update(joinUpdates('bob', 1)));
+      await assertFails(gameRef('bob').child('members/bob').set(0));
+      await assertFails(gameRef('bob').child('spectators/bob').set({ name: 'Bob', joinedAt: TIMESTAMP }));
+    });
+
+    it('lets the host hand over to a member, not a bot or outsider', async () => {
+      await assertFails(gameRef('alice').update({ hostId: 'dave' }));
+      await seedGame({ ...waitingGame(), players: { 0: seat('alice'), 1: botSeat('easy') }, playerCount: 2 });
+      await assertFails(gameRef('alice').update({ hostId: 'bot-easy' }));
+    });
+
+    it('lets the host make another member host', async () => {
+      await assertSucceeds(gameRef('alice').update({ hostId: 'bob', lastActivity: TIMESTAMP }));
+      await assertFails(gameRef('alice').update({ hostId: 'alice' }));
+    });
+  });
+
+  describe('Public listings', () => {
+    let game;
+
+    beforeEach(async () => {
+      game = { ...waitingGame(), public: true };
+      await seedGame(game);
+      await seed(`publicLobbies/${GAME_ID}`, { ...listing(game), updatedAt: Date.now() });
+    });
+
+    it('lets a player join with the listing updated in the same write', async () => {
+      await assertSucceeds(db('bob').ref().update({
+        ...atRoot(joinUpdates('bob', 1)),
+        [`publicLobbies/${GAME_ID}`]: listing({ ...game, playerCount: 2 })
+      }));
+    });
+
+    it('refuses joining without updating the listing', async () => {
+      await assertFails(gameRef('bob').update(joinUpdates('bob', 1)));
+    });
+
+    it('refuses a listing that doesn\'t match the game', async () => {
+      await assertFails(db('alice').ref(`publicLobbies/${GAME_ID}`).set(listing({ ...game, playerCount: 5 })));
+      await assertFails(db('alice').ref(`publicLobbies/${GAME_ID}`).set({ ...listing(game), hostId: 'bob' }));
+      await assertFails(db('alice').ref(`publicLobbies/${GAME_ID}`).set({ ...listing(game), boardWidth: 9 }));
+    });
+
+    it('refuses starting a public game without removing its listing', async () => {
+      await seedGame({ ...game, players: { 0: seat('alice'), 1: seat('bob') }, members: { alice: 0, bob: 1 }, playerCount: 2 });
+      await seed(`publicLobbies/${GAME_ID}`, { ...listing({ ...game, playerCount: 2 }), updatedAt: Date.now() });
+      await assertFails(gameRef('alice').update({ status: 'active' }));
+      await assertSucceeds(db('alice').ref().update({
+        [`games/${GAME_ID}/status`]: 'active',
+        [`publicLobbies/${GAME_ID}`]: null
+      }));
+    });
+
+    it('refuses listing a private game', async () => {
+      await seedGame({ ...game, public: false });
+      await assertFails(db('alice').ref(`publicLobbies/${GAME_ID}`).set(listing(game)));
+    });
+
+    it('lets anyone clear the listing of a private or deleted game, but not a live one', async () => {
+      await assertFails(db('dave').ref(`publicLobbies/${GAME_ID}`).remove());
+
+      await seedGame({ ...game, public: false });
+      await assertSucceeds(db('dave').ref(`publicLobbies/${GAME_ID}`).remove());
+
+      await seed(`publicLobbies/${GAME_ID}`, { ...listing(game), updatedAt: Date.now() });
+      await seedGame(null);
+      await assertSucceeds(db('dave').ref(`publicLobbies/${GAME_ID}`).remove());
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * users.test.js - Security rules for player profiles
+ * Names and colors, lifetime stats counted once per finished game, and
+ * merging an anonymous profile into an account
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const {
+  TIMESTAMP, SKIP, setup, teardown, reset, db, seed, activeGame, finishedGame
+} = require('./helpers');
+
+const STAT_FIELDS = [
+  'gamesPlayed', 'wins', 'ties', 'boxesCaptured', 'goldenSquares',
+  'penaltySquares', 'rouletteTriggered', 'rouletteSuffered'
+];
+
+/**
+ * A full set of counters
+ * @param {object} [values] - Counters that aren't 0
+ * @returns {object}
+ */
+function stats(values = {}) {
+  const result = {};
+  STAT_FIELDS.forEach(field => {
+    result[field] = values[field] || 0;
+  });
+  return result;
+}
+
+/**
+ * Add two sets of counters, as mergeProfile does
+ * @param {object} a
+ * @param {object} b
+ * @returns {object}
+ */
+function addStats(a, b) {
+  const result = {};
+  STAT_FIELDS.forEach(field => {
+    result[field] = a[field] + b[field];
+  });
+  return result;
+}
+
+describe('Profile rules', { skip: SKIP }, () => {
+  before(setup);
+  after(teardown);
+  beforeEach(reset);
+
+  describe('Name and color', () => {
+    it('lets a player write their own name and color', async () => {
+      await assertSucceeds(db('alice').ref('users/alice').update({ name: 'Alice', color: '#FF6B6B', updatedAt: TIMESTAMP }));
+    });
+
+    it('refuses a color that isn\'t #RRGGBB or a name over 12 characters', async () => {
+      await assertFails(db('alice').ref('users/alice').update({ color: 'red' }));
+      await assertFails(db('alice').ref('users/alice').update({ name: 'A very long name' }));
+    });
+
+    it('refuses reading or writing another player\'s profile', async () => {
+      await seed('users/bob', { name: 'Bob' });
+      await assertFails(db('alice').ref('users/bob').once('value'));
+      await assertFails(db('alice').ref('users/bob').update({ name: 'Mallory' }));
+    });
+  });
+
+  describe('Lifetime stats', () => {
+    beforeEach(async () => {
+      await seed('games/abcdef', finishedGame('abcdef'));
+      await seed('games/ghjkmn', finishedGame('ghjkmn'));
+      await seed('users/alice', {
+        name: 'Alice',
+        stats: stats({ gamesPlayed: 1 }),
+        lastGameId: 'ghjkmn',
+        recordedGames: { ghjkmn: Date.now() }
+      });
+    });
+
+    it('lets a player count a finished game they played in', async () => {
+      await assertSucceeds(db('alice').ref('users/alice').update({
+        stats: stats({ gamesPlayed: 2, wins: 1, boxesCaptured: 14 }),
+        lastGameId: 'abcdef',
+        'recordedGames/abcdef': TIMESTAMP,
+        updatedAt: TIMESTAMP
+      }));
+    });
+
+    it('refuses raising a counter without a newly counted game', async () => {
+      await assertFails(db('alice').ref('users/alice/stats/gamesPlayed').set(2));
+      await assertFails(db('alice').ref('users/alice').update({ 'stats/gamesPlayed': 2, lastGameId: 'abcdef' }));
+    });
+
+    it('refuses counting a game that isn\'t finished, or that they weren\'t in', async () => {
+      await seed('games/pqrstu', activeGame());
+      await assertFails(db('alice').ref('users/alice').update({
+        'stats/gamesPlayed': 2,
+        lastGameId: 'pqrstu',
+        'recordedGames/pqrstu': TIMESTAMP
+      }));
+
+      await seed('users/carol', { stats: stats() });
+      await assertFails(db('carol').ref('users/carol').update({
+        'stats/gamesPlayed': 1,
+        lastGameId: 'abcdef',
+        'recordedGames/abcdef': TIMESTAMP
+      }));
+    });
+
+    it('refuses raising a game counter by more than 1, or lowering any counter', async () => {
+      const counted = { lastGameId: 'abcdef', 'recordedGames/abcdef': TIMESTAMP };
+      await assertFails(db('alice').ref('users/alice').update({ ...counted, 'stats/gamesPlayed': 3 }));
+      await assertFails(db('alice').ref('users/alice').update({ ...counted, 'stats/gamesPlayed': 0 }));
+    });
+
+    it('refuses counting a game again by switching back to it', async () => {
+      await seed('users/alice/recordedGames/abcdef', Date.now());
+      await seed('users/alice/lastGameId', 'abcdef');
+      await assertFails(db('alice').ref('users/alice').update({ 'stats/gamesPlayed': 2, lastGameId: 'ghjkmn' }));
+      await assertFails(db('alice').ref('users/alice').update({
+        'stats/gamesPlayed': 2,
+        lastGameId: 'ghjkmn',
+        'recordedGames/ghjkmn': TIMESTAMP
+      }));
+    });
+
+    it('refuses removing or rewriting a counted game', async () => {
+      await assertFails(db('alice').ref('users/alice/recordedGames/ghjkmn').remove());
+      await assertFails(db('alice').ref('users/alice/recordedGames').remove());
+      await assertFails(db('alice').ref('users/alice').remove());
+    });
+  });
+
+  describe('Merging a guest profile', () => {
+    const guestStats = stats({ gamesPlayed: 3, wins: 2, boxesCaptured: 30 });
+    const accountStats = stats({ gamesPlayed: 1 });
+
+    /**
+     * The root updates mergeProfile sends to add the guest profile to an account
+     * @param {string} uid - Account
+     * @param {object} [changes] - Paths to add or override
+     * @returns {object}
+     */
+    function mergeUpdates(uid, changes = {}) {
+      const updates = {
+        [`users/${uid}/merged/guest`]: 'token-1234567',
+        [`users/${uid}/lastMergedUid`]: 'guest',
+        [`users/${uid}/updatedAt`]: TIMESTAMP,
+        'users/guest/mergedInto': uid,
+        'users/guest/mergeToken': null
+      };
+      const total = addStats(uid === 'alice' ? accountStats : stats(), guestStats);
+      STAT_FIELDS.forEach(field => {
+        updates[`users/${uid}/stats/${field}`] = total[field];
+      });
+      return { ...updates, ...changes };
+    }
+
+    beforeEach(async () => {
+      await seed('users/guest', { name: 'Ana', stats: guestStats, mergeToken: 'token-1234567' });
+      await seed('users/alice', { name: 'Alice', stats: accountStats });
+    });
+
+    it('lets an account add a guest profile with its merge token', async () => {
+      await assertSucceeds(db('alice').ref().update(mergeUpdates('alice')));
+    });
+
+    it('refuses a merge with the wrong token', async () => {
+      await assertFails(db('alice').ref().update(mergeUpdates('alice', { 'users/alice/merged/guest': 'token-7654321' })));
+    });
+
+    it('refuses adding more than the guest profile holds', async () => {
+      await assertFails(db('alice').ref().update(mergeUpdates('alice', { 'users/alice/stats/gamesPlayed': 31 })));
+    });
+
+    it('refuses a merge that leaves the guest token usable', async () => {
+      const updates = mergeUpdates('alice');
+      delete updates['users/guest/mergedInto'];
+      delete updates['users/guest/mergeToken'];
+      await assertFails(db('alice').ref().update(updates));
+    });
+
+    it('refuses merging the same guest profile twice', async () => {
+      await assertSucceeds(db('alice').ref().update(mergeUpdates('alice')));
+      await assertFails(db('alice').ref().update(mergeUpdates('alice', {
+        'users/alice/stats/gamesPlayed': 7,
+        'users/alice/stats/wins': 4,
+        'users/alice/stats/boxesCaptured': 60
+      })));
+    });
+
+    it('refuses removing the merge record to merge again', async () => {
+      await assertSucceeds(db('alice').ref().update(mergeUpdates('alice')));
+      await assertFails(db('alice').ref('users/alice/merged/guest').remove());
+      await assertFails(db('alice').ref('users/alice/lastMergedUid').remove());
+      await assertFails(db('alice').ref('users/alice/merged/guest').set('token-7654321'));
+    });
+
+    it('refuses merging a guest profile into a second account', async () => {
+      await assertSucceeds(db('alice').ref().update(mergeUpdates('alice')));
+      await seed('users/bob', { name: 'Bob' });
+      await assertFails(db('bob').ref().update(mergeUpdates('bob')));
+    });
+
+    it('refuses a new token once the guest profile is merged', async () => {
+      await assertSucceeds(db('alice').ref().update(mergeUpdates('alice')));
+      await assertFails(db('guest').ref('users/guest/mergeToken').set('token-7654321'));
+      await assertFails(db('guest').ref('users/guest/mergedInto').remove());
+    });
+
+    it('refuses clearing another player\'s token outside a merge', async () => {
+      await assertFails(db('bob').ref('users/guest/mergeToken').remove());
+      await assertFails(db('bob').ref('users/guest').update({ mergedInto: 'bob', mergeToken: null }));
+    });
+  });
+});